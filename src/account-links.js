@@ -0,0 +1,163 @@
+/**
+ * Account Links
+ * Builds the URLs used to reach an account: its access portal and the console switch-role page
+ */
+
+// Import partition utilities
+let linkPartitions;
+if (typeof require !== 'undefined') {
+  linkPartitions = require('./partitions.js');
+} else {
+  // In browser context, partitions.js is loaded first
+  linkPartitions = { PARTITIONS, getPortalPartition, getAccountPartition };
+}
+
+// Path of the sign-in page that switches into a role in another account
+const SWITCH_ROLE_PATH = '/switchrole';
+
+// Query parameters the portal script reads to bring an account's entry into view
+// The portal itself ignores them, so links still open the portal without the extension.
+const PORTAL_FOCUS_PARAMS = {
+  accountId: 'aws_account_display_account',
+  show: 'aws_account_display_show'
+};
+
+/**
+ * Formats an account ID in the dashed form the console uses (1234-5678-9012)
+ * @param {string} accountId - The 12-digit account ID
+ * @returns {string} The dashed ID, or the input unchanged if it is not 12 characters
+ */
+function formatDashedAccountId(accountId) {
+  if (typeof accountId !== 'string' || accountId.length !== 12) {
+    return accountId;
+  }
+  return `${accountId.slice(0, 4)}-${accountId.slice(4, 8)}-${accountId.slice(8)}`;
+}
+
+/**
+ * Gets the access portals an account was captured from
+ * Sources that are not portals (e.g. "organizations", "aws-config") are left out.
+ * @param {Object} account - Stored account entry
+ * @returns {Array<string>} Portal identifiers, e.g. "https://my-org.awsapps.com", or for
+ *   GovCloud "https://start.us-gov-home.awsapps.com/directory/d-1234567890"
+ */
+function getAccountPortals(account) {
+  const sources = account && Array.isArray(account.sources) ? account.sources : [];
+  const portals = [];
+
+  for (const source of sources) {
+    try {
+      const url = new URL(source);
+      if (url.protocol === 'https:' && linkPartitions.getPortalPartition(url.hostname)) {
+        portals.push(source.replace(/\/+$/, ''));
+      }
+    } catch (e) {
+      // Not a URL, e.g. an import source
+    }
+  }
+
+  return portals;
+}
+
+/**
+ * Builds the URL of the accounts list in an access portal
+ * @param {string} portal - Portal identifier from getAccountPortals
+ * @returns {string} Portal start page URL
+ */
+function getPortalUrl(portal) {
+  // GovCloud portals are identified by their directory path, which is the start page
+  return new URL(portal).pathname.length > 1 ? `${portal}/#/` : `${portal}/start/#/`;
+}
+
+/**
+ * Builds the access portal link that signs in to an account with a role
+ * @param {string} portal - Portal identifier from getAccountPortals
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string} roleName - Role or permission set to sign in with
+ * @returns {string} Portal console sign-in URL
+ */
+function getPortalRoleUrl(portal, accountId, roleName) {
+  const params = new URLSearchParams({ account_id: accountId, role_name: roleName });
+  return `${getPortalUrl(portal)}console?${params.toString()}`;
+}
+
+/**
+ * Builds the access portal link to an account's entry in the portal's account list
+ * The portal script scrolls to the account and expands it, and with `credentials` also
+ * opens the access keys of its role.
+ * @param {string} portal - Portal identifier from getAccountPortals
+ * @param {string} accountId - The 12-digit account ID
+ * @param {{credentials?: boolean, roleName?: string}} [options] - Whether to open the
+ *   access keys, and of which role (the first listed when not given)
+ * @returns {string} Portal URL
+ */
+function getPortalAccountUrl(portal, accountId, { credentials = false, roleName } = {}) {
+  const url = new URL(getPortalUrl(portal));
+  url.searchParams.set(PORTAL_FOCUS_PARAMS.accountId, accountId);
+  if (credentials) {
+    url.searchParams.set(PORTAL_FOCUS_PARAMS.show, roleName ? `credentials:${roleName}` : 'credentials');
+  }
+  return url.toString();
+}
+
+/**
+ * Reads the account entry a portal link asks to bring into view
+ * @param {string} href - Portal page URL
+ * @returns {{accountId: string, credentials: boolean, roleName: string|null}|null}
+ */
+function parsePortalFocus(href) {
+  let params;
+  try {
+    params = new URL(href).searchParams;
+  } catch (e) {
+    return null;
+  }
+
+  const accountId = params.get(PORTAL_FOCUS_PARAMS.accountId);
+  if (!/^\d{12}$/.test(accountId || '')) {
+    return null;
+  }
+
+  const [show, roleName] = (params.get(PORTAL_FOCUS_PARAMS.show) || '').split(':');
+  return { accountId, credentials: show === 'credentials', roleName: roleName || null };
+}
+
+/**
+ * Builds the console URL that switches into a role in an account
+ * The sign-in host is the one of the account's partition. Without a role name, the
+ * switch-role form opens with the account filled in.
+ * @param {Object} account - Stored account entry
+ * @param {string} [roleName] - Role to switch into
+ * @returns {string} Switch-role URL
+ */
+function getSwitchRoleUrl(account, roleName) {
+  const partition = linkPartitions.PARTITIONS[linkPartitions.getAccountPartition(account)];
+  const params = new URLSearchParams({ account: account.accountId });
+  if (roleName) {
+    params.set('roleName', roleName);
+  }
+  params.set('displayName', account.alias || account.accountName);
+  return `${partition.signinOrigin}${SWITCH_ROLE_PATH}?${params.toString()}`;
+}
+
+// Export for use in content scripts, extension pages and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatDashedAccountId,
+    getAccountPortals,
+    getPortalUrl,
+    getPortalRoleUrl,
+    getPortalAccountUrl,
+    parsePortalFocus,
+    getSwitchRoleUrl
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.formatDashedAccountId = formatDashedAccountId;
+  window.getAccountPortals = getAccountPortals;
+  window.getPortalUrl = getPortalUrl;
+  window.getPortalRoleUrl = getPortalRoleUrl;
+  window.getPortalAccountUrl = getPortalAccountUrl;
+  window.parsePortalFocus = parsePortalFocus;
+  window.getSwitchRoleUrl = getSwitchRoleUrl;
+}
@@ -0,0 +1,344 @@
+/**
+ * Account Switcher
+ * Keyboard-driven palette that searches the stored accounts and their roles, and opens the
+ * access portal or switch-role page for the chosen one
+ */
+
+// Import link and environment utilities
+let switcherLinks;
+let switcherEnvironments;
+if (typeof require !== 'undefined') {
+  switcherLinks = require('./account-links.js');
+  switcherEnvironments = require('./environments.js');
+} else {
+  // In browser context, account-links.js and environments.js are loaded first
+  switcherLinks = {
+    formatDashedAccountId: window.formatDashedAccountId,
+    getAccountPortals: window.getAccountPortals,
+    getPortalRoleUrl: window.getPortalRoleUrl,
+    getSwitchRoleUrl: window.getSwitchRoleUrl
+  };
+  switcherEnvironments = { resolveEnvironment: window.resolveEnvironment };
+}
+
+// Configuration
+const ACCOUNT_SWITCHER_CONFIG = {
+  paletteId: 'aws-account-switcher',
+  maxResults: 20
+};
+
+// Account switcher state
+const switcherState = {
+  entries: [],
+  results: [],
+  selected: 0,
+  previousFocus: null
+};
+
+/**
+ * Lists what can be chosen in the switcher: one entry per captured role, or a single
+ * entry for accounts whose roles are not known
+ * @param {Object} accounts - Account map keyed by account ID
+ * @returns {Array<{account: Object, roleName: string|null, label: string, searchText: string}>}
+ */
+function getSwitcherEntries(accounts) {
+  const entries = [];
+
+  for (const account of Object.values(accounts || {})) {
+    const label = account.alias || account.accountName;
+    const roles = Array.isArray(account.roles) && account.roles.length > 0 ? account.roles : [null];
+    const environment = switcherEnvironments?.resolveEnvironment ? switcherEnvironments.resolveEnvironment(account.tags) : null;
+
+    for (const roleName of roles) {
+      entries.push({
+        account,
+        roleName,
+        label,
+        searchText: [label, account.accountName, account.accountId, roleName, environment?.environment]
+          .filter(Boolean)
+          .join(' ')
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Scores a subsequence match of a query that starts at a given position
+ * @param {string} needle - Lower-case query without spaces
+ * @param {string} haystack - Lower-case text
+ * @param {number} start - Where the first query character matched
+ * @returns {number} Match score, or -1 if the rest of the query does not match
+ */
+function scoreMatchFrom(needle, haystack, start) {
+  let score = 0;
+  let position = start - 1;
+  let streak = 0;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position + 1);
+    if (index === -1) {
+      return -1;
+    }
+
+    streak = index === position + 1 ? streak + 1 : 0;
+    score += 1 + streak * 2;
+    if (index === 0 || /[\s\-_./]/.test(haystack[index - 1])) {
+      score += 3;
+    }
+    position = index;
+  }
+
+  return score;
+}
+
+/**
+ * Scores how well a query matches text, as a fuzzy subsequence match
+ * Characters must appear in order; consecutive characters and characters at the start of
+ * words score higher. Every place the first character appears is tried, so "prod" matches
+ * the word in "payments-prod" rather than letters spread across it.
+ * @param {string} query - Search text
+ * @param {string} text - Text to search in
+ * @returns {number} Match score, or -1 if the query does not match
+ */
+function fuzzyScore(query, text) {
+  const needle = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const haystack = String(text || '').toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+
+  let best = -1;
+  for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+    best = Math.max(best, scoreMatchFrom(needle, haystack, start));
+  }
+
+  // Prefer shorter texts for the same match
+  return best < 0 ? -1 : best - haystack.length / 100;
+}
+
+/**
+ * Filters and ranks switcher entries for a query
+ * @param {Array<Object>} entries - Entries from getSwitcherEntries
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Best matches first, at most maxResults
+ */
+function searchSwitcherEntries(entries, query) {
+  return entries
+    .map(entry => ({ entry, score: fuzzyScore(query, entry.searchText) }))
+    .filter(result => result.score >= 0)
+    .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label, undefined, { sensitivity: 'base' }))
+    .slice(0, ACCOUNT_SWITCHER_CONFIG.maxResults)
+    .map(result => result.entry);
+}
+
+/**
+ * Gets the URL an entry opens: the portal sign-in link for a captured role, otherwise the
+ * console switch-role page
+ * @param {{account: Object, roleName: string|null}} entry - Switcher entry
+ * @returns {string} Target URL
+ */
+function getSwitcherEntryUrl(entry) {
+  const [portal] = switcherLinks.getAccountPortals(entry.account);
+  if (portal && entry.roleName) {
+    return switcherLinks.getPortalRoleUrl(portal, entry.account.accountId, entry.roleName);
+  }
+  return switcherLinks.getSwitchRoleUrl(entry.account, entry.roleName || undefined);
+}
+
+/**
+ * Opens an entry in this tab or a new one, and closes the switcher
+ * @param {Object} entry - Switcher entry
+ * @param {boolean} newTab - Whether to open a new tab
+ */
+function openSwitcherEntry(entry, newTab) {
+  const url = getSwitcherEntryUrl(entry);
+  closeAccountSwitcher();
+
+  if (newTab) {
+    window.open(url, '_blank', 'noopener');
+  } else {
+    window.location.assign(url);
+  }
+}
+
+/**
+ * Renders the result list for the current query
+ * @param {HTMLElement} palette - The switcher element
+ */
+function renderSwitcherResults(palette) {
+  const list = palette.querySelector('.aws-account-switcher-results');
+  list.replaceChildren();
+
+  switcherState.results.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.id = `${ACCOUNT_SWITCHER_CONFIG.paletteId}-option-${index}`;
+    item.className = 'aws-account-switcher-result';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(index === switcherState.selected));
+
+    const name = document.createElement('span');
+    name.className = 'aws-account-switcher-name';
+    name.textContent = entry.roleName ? `${entry.label} / ${entry.roleName}` : entry.label;
+
+    const detail = document.createElement('span');
+    detail.className = 'aws-account-switcher-detail';
+    detail.textContent = switcherLinks.formatDashedAccountId(entry.account.accountId);
+
+    item.append(name, detail);
+    item.addEventListener('mousedown', (event) => {
+      // Keep focus in the search field
+      event.preventDefault();
+      openSwitcherEntry(entry, event.ctrlKey || event.metaKey || event.shiftKey);
+    });
+    list.appendChild(item);
+  });
+
+  const input = palette.querySelector('.aws-account-switcher-search');
+  if (switcherState.results.length > 0) {
+    input.setAttribute('aria-activedescendant', `${ACCOUNT_SWITCHER_CONFIG.paletteId}-option-${switcherState.selected}`);
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+  palette.querySelector('.aws-account-switcher-empty').hidden = switcherState.results.length > 0;
+}
+
+/**
+ * Handles keys in the search field: arrows move, Enter opens (with Ctrl, Cmd or Shift in
+ * a new tab), Escape closes
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleSwitcherKeydown(event) {
+  const palette = document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId);
+  const count = switcherState.results.length;
+
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeAccountSwitcher();
+  } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (count > 0) {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      switcherState.selected = (switcherState.selected + step + count) % count;
+      renderSwitcherResults(palette);
+    }
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    const entry = switcherState.results[switcherState.selected];
+    if (entry) {
+      openSwitcherEntry(entry, event.ctrlKey || event.metaKey || event.shiftKey);
+    }
+  }
+  // Keep console keyboard shortcuts from firing while typing
+  event.stopPropagation();
+}
+
+/**
+ * Builds the switcher element
+ * @returns {HTMLElement}
+ */
+function createSwitcherPalette() {
+  const palette = document.createElement('div');
+  palette.id = ACCOUNT_SWITCHER_CONFIG.paletteId;
+  palette.className = 'aws-account-switcher';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-label', 'Switch account');
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'aws-account-switcher-search';
+  input.placeholder = 'Search accounts and roles';
+  input.autocomplete = 'off';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'true');
+  input.setAttribute('aria-controls', `${ACCOUNT_SWITCHER_CONFIG.paletteId}-results`);
+
+  const list = document.createElement('ul');
+  list.id = `${ACCOUNT_SWITCHER_CONFIG.paletteId}-results`;
+  list.className = 'aws-account-switcher-results';
+  list.setAttribute('role', 'listbox');
+
+  const empty = document.createElement('div');
+  empty.className = 'aws-account-switcher-empty';
+  empty.textContent = 'No matching accounts';
+  empty.hidden = true;
+
+  const hint = document.createElement('div');
+  hint.className = 'aws-account-switcher-hint';
+  hint.textContent = 'Enter to open · Ctrl+Enter in a new tab · Esc to close';
+
+  input.addEventListener('input', () => {
+    switcherState.results = searchSwitcherEntries(switcherState.entries, input.value);
+    switcherState.selected = 0;
+    renderSwitcherResults(palette);
+  });
+  input.addEventListener('keydown', handleSwitcherKeydown);
+  // Clicking anywhere else closes the switcher
+  input.addEventListener('blur', closeAccountSwitcher);
+
+  palette.append(input, list, empty, hint);
+  return palette;
+}
+
+/**
+ * Opens the switcher over the page, or closes it if it is already open
+ * @param {Object} accounts - Account map keyed by account ID
+ * @returns {HTMLElement|null} The switcher element, or null if it was closed
+ */
+function openAccountSwitcher(accounts) {
+  if (document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId)) {
+    closeAccountSwitcher();
+    return null;
+  }
+
+  switcherState.entries = getSwitcherEntries(accounts);
+  switcherState.results = searchSwitcherEntries(switcherState.entries, '');
+  switcherState.selected = 0;
+  switcherState.previousFocus = document.activeElement;
+
+  const palette = createSwitcherPalette();
+  document.body.appendChild(palette);
+  renderSwitcherResults(palette);
+  palette.querySelector('.aws-account-switcher-search').focus();
+
+  return palette;
+}
+
+/**
+ * Closes the switcher and gives focus back to where it was
+ */
+function closeAccountSwitcher() {
+  const palette = document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId);
+  if (!palette) {
+    return;
+  }
+
+  palette.remove();
+  const previousFocus = switcherState.previousFocus;
+  switcherState.entries = [];
+  switcherState.results = [];
+  switcherState.previousFocus = null;
+  if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') {
+    previousFocus.focus();
+  }
+}
+
+// Export for use in the console script and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ACCOUNT_SWITCHER_CONFIG,
+    getSwitcherEntries,
+    fuzzyScore,
+    searchSwitcherEntries,
+    getSwitcherEntryUrl,
+    handleSwitcherKeydown,
+    openAccountSwitcher,
+    closeAccountSwitcher,
+    switcherState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.openAccountSwitcher = openAccountSwitcher;
+  window.closeAccountSwitcher = closeAccountSwitcher;
+}
@@ -0,0 +1,472 @@
+/**
+ * Account Annotator
+ * Labels known account IDs and ARNs anywhere on a console page with the account name
+ *
+ * The page's own text and element structure are never changed, so the console's React
+ * views, code editors and copy/paste keep working. Names are shown as a CSS badge on
+ * elements whose whole text is an account reference, IDs are underlined with the CSS
+ * Custom Highlight API where available, and hovering any reference shows the hover card.
+ */
+
+// Import hover card
+let hoverCard;
+if (typeof require !== 'undefined') {
+  hoverCard = require('./hover-card.js');
+} else {
+  // In browser context, hover-card.js will be loaded separately
+  hoverCard = {
+    showAccountCard: window.showAccountCard,
+    scheduleHideAccountCard: window.scheduleHideAccountCard,
+    keepAccountCard: window.keepAccountCard,
+    isInAccountCard: window.isInAccountCard,
+    removeAccountCard: window.removeAccountCard
+  };
+}
+
+// Import partition utilities
+let annotatorPartitions;
+if (typeof require !== 'undefined') {
+  annotatorPartitions = require('./partitions.js');
+} else {
+  // In browser context, partitions.js is loaded separately
+  annotatorPartitions = { ARN_PARTITION_PATTERN: window.ARN_PARTITION_PATTERN };
+}
+
+// Configuration
+const ANNOTATOR_CONFIG = {
+  scanDelay: 500,
+  // Longest a scan waits while the page keeps changing
+  maxScanDelay: 2000,
+  // Changed subtrees scanned on their own; beyond this the whole page is rescanned
+  maxPendingRoots: 100,
+  maxTextLength: 50000,
+  badgeAttribute: 'data-aws-account-badge',
+  badgeIdAttribute: 'data-aws-account-badge-id',
+  highlightName: 'aws-account-id',
+  // The account name display and account menu open the card themselves (console-content.js)
+  cardOwnerSelector: '.aws-account-name-display, [data-testid="awsc-nav-account-menu-button"]'
+};
+
+// Account references in text: ARNs of any partition with an account field, dashed IDs and
+// bare 12-digit IDs
+const ACCOUNT_REFERENCE_PATTERN = new RegExp(
+  `(arn:(${annotatorPartitions.ARN_PARTITION_PATTERN}):[a-z0-9-]*:[a-z0-9-]*:(\\d{12}):[^\\s"'<>,]*)` +
+    '|(?<![\\d-])(\\d{4}-\\d{4}-\\d{4})(?![\\d-])|(?<!\\d)(\\d{12})(?!\\d)',
+  'dg'
+);
+
+// Elements whose text is never scanned: form fields, code editors, and our own elements
+const SKIP_SELECTOR = [
+  'input',
+  'textarea',
+  'select',
+  'option',
+  'script',
+  'style',
+  'noscript',
+  '[contenteditable=""]',
+  '[contenteditable="true"]',
+  '.monaco-editor',
+  '.ace_editor',
+  '.CodeMirror',
+  '.cm-editor',
+  '[id^="aws-account-"]'
+].join(', ');
+
+// Annotator state
+const annotatorState = {
+  accounts: {},
+  badged: new Set(),
+  // Known account references per text node, as last scanned
+  references: new Map(),
+  observer: null,
+  scanTimer: null,
+  pendingRoots: new Set(),
+  pendingSince: null,
+  pointerFrame: null
+};
+
+/**
+ * Finds account references in a piece of text
+ * For ARNs, start and end cover the account ID inside the ARN; matchStart and matchEnd
+ * cover the whole ARN, and partition is the ARN's partition.
+ * @param {string} text - Text to search
+ * @returns {Array<{accountId: string, kind: string, partition?: string, start: number, end: number, matchStart: number, matchEnd: number}>}
+ */
+function findAccountReferences(text) {
+  const references = [];
+  if (typeof text !== 'string' || text.length === 0) {
+    return references;
+  }
+
+  for (const match of text.matchAll(ACCOUNT_REFERENCE_PATTERN)) {
+    const [arn, partition, arnAccountId, dashed, bare] = [match[1], match[2], match[3], match[4], match[5]];
+    const [matchStart, matchEnd] = match.indices[0];
+
+    if (arn) {
+      const [start, end] = match.indices[3];
+      references.push({ accountId: arnAccountId, kind: 'arn', partition, start, end, matchStart, matchEnd });
+    } else if (dashed) {
+      references.push({ accountId: dashed.replace(/-/g, ''), kind: 'id', start: matchStart, end: matchEnd, matchStart, matchEnd });
+    } else if (bare) {
+      references.push({ accountId: bare, kind: 'id', start: matchStart, end: matchEnd, matchStart, matchEnd });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Gets the name shown for a stored account
+ * @param {Object} account - Stored account entry
+ * @returns {string} The alias, or the captured name
+ */
+function getAnnotationName(account) {
+  return account.alias || account.accountName;
+}
+
+/**
+ * Checks whether an element's text must be left alone
+ * @param {Element} element - Element to check
+ * @returns {boolean} True for form fields, editors and the extension's own elements
+ */
+function isSkippedElement(element) {
+  return Boolean(element && element.closest && element.closest(SKIP_SELECTOR));
+}
+
+/**
+ * Collects the text nodes under a root that may hold account references
+ * Skipped elements are pruned with their whole subtree.
+ * @param {Node} root - Root to walk
+ * @returns {Array<Text>} Candidate text nodes
+ */
+function collectTextNodes(root) {
+  const nodes = [];
+  if (!root || isSkippedElement(root.nodeType === Node.ELEMENT_NODE ? root : root.parentElement)) {
+    return nodes;
+  }
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        return node.matches(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+      }
+      const length = node.nodeValue.length;
+      return length >= 12 && length <= ANNOTATOR_CONFIG.maxTextLength
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_SKIP;
+    }
+  });
+
+  let node;
+  while ((node = walker.nextNode())) {
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Finds known accounts referenced under a root
+ * An element whose only content is one account reference gets a badge; every reference
+ * of a known account is returned for highlighting.
+ * @param {Node} root - Root to scan
+ * @param {Object} accounts - Stored account map keyed by account ID
+ * @returns {{references: Array<{node: Text, reference: Object}>, badges: Map<Element, Object>}}
+ */
+function scanForAccounts(root, accounts) {
+  const references = [];
+  const badges = new Map();
+
+  for (const node of collectTextNodes(root)) {
+    const text = node.nodeValue;
+    const known = findAccountReferences(text).filter(reference => accounts[reference.accountId]);
+    if (known.length === 0) {
+      continue;
+    }
+
+    for (const reference of known) {
+      references.push({ node, reference });
+    }
+
+    const parent = node.parentElement;
+    const whole = known.length === 1 &&
+      text.trim() === text.slice(known[0].matchStart, known[0].matchEnd) &&
+      parent && parent.childNodes.length === 1;
+    if (whole) {
+      badges.set(parent, accounts[known[0].accountId]);
+    }
+  }
+
+  return { references, badges };
+}
+
+/**
+ * Rescans some subtrees and updates the badges and highlights found in them
+ * Annotations elsewhere on the page are kept, except for nodes that have left it.
+ * @param {Node[]} roots - Roots to rescan
+ * @param {boolean} replaceAll - Drop every earlier annotation, not only those under the roots
+ * @returns {number} Number of account references annotated on the page
+ */
+function annotateRoots(roots, replaceAll) {
+  const isRescanned = (node) => replaceAll || !node.isConnected || roots.some(root => root.contains(node));
+
+  for (const node of annotatorState.references.keys()) {
+    if (isRescanned(node)) {
+      annotatorState.references.delete(node);
+    }
+  }
+
+  const badges = new Map();
+  for (const root of roots) {
+    const scan = scanForAccounts(root, annotatorState.accounts);
+    for (const { node, reference } of scan.references) {
+      const known = annotatorState.references.get(node) || [];
+      known.push(reference);
+      annotatorState.references.set(node, known);
+    }
+    for (const [element, account] of scan.badges) {
+      badges.set(element, account);
+    }
+  }
+
+  for (const element of annotatorState.badged) {
+    if (isRescanned(element) && !badges.has(element)) {
+      element.removeAttribute(ANNOTATOR_CONFIG.badgeAttribute);
+      element.removeAttribute(ANNOTATOR_CONFIG.badgeIdAttribute);
+      annotatorState.badged.delete(element);
+    }
+  }
+
+  for (const [element, account] of badges) {
+    element.setAttribute(ANNOTATOR_CONFIG.badgeAttribute, getAnnotationName(account));
+    element.setAttribute(ANNOTATOR_CONFIG.badgeIdAttribute, account.accountId);
+    annotatorState.badged.add(element);
+  }
+
+  const ranges = [];
+  for (const [node, references] of annotatorState.references) {
+    for (const reference of references) {
+      const range = document.createRange();
+      range.setStart(node, reference.start);
+      range.setEnd(node, reference.end);
+      ranges.push(range);
+    }
+  }
+  if (typeof Highlight !== 'undefined' && typeof CSS !== 'undefined' && CSS.highlights) {
+    CSS.highlights.set(ANNOTATOR_CONFIG.highlightName, new Highlight(...ranges));
+  }
+
+  return ranges.length;
+}
+
+/**
+ * Applies badges and highlights for the known accounts on the page
+ * Badges from earlier scans that no longer apply are removed.
+ * @param {Node} [root] - Root to annotate, defaults to the document body
+ * @returns {number} Number of account references found
+ */
+function annotatePage(root = document.body) {
+  return annotateRoots([root], true);
+}
+
+/**
+ * Finds the known account reference under a point on the screen
+ * @param {number} x - Client X coordinate
+ * @param {number} y - Client Y coordinate
+ * @param {Element} [target] - Element under the pointer
+ * @returns {{account: Object, rect: DOMRect}|null} The account and where it is drawn
+ */
+function findAccountAtPoint(x, y, target) {
+  const badged = target && target.closest && target.closest(`[${ANNOTATOR_CONFIG.badgeIdAttribute}]`);
+  if (badged) {
+    const account = annotatorState.accounts[badged.getAttribute(ANNOTATOR_CONFIG.badgeIdAttribute)];
+    return account ? { account, rect: badged.getBoundingClientRect() } : null;
+  }
+
+  let node = null;
+  let offset = 0;
+  if (document.caretRangeFromPoint) {
+    const caret = document.caretRangeFromPoint(x, y);
+    node = caret && caret.startContainer;
+    offset = caret ? caret.startOffset : 0;
+  } else if (document.caretPositionFromPoint) {
+    const caret = document.caretPositionFromPoint(x, y);
+    node = caret && caret.offsetNode;
+    offset = caret ? caret.offset : 0;
+  }
+
+  if (!node || node.nodeType !== Node.TEXT_NODE || isSkippedElement(node.parentElement)) {
+    return null;
+  }
+
+  const reference = findAccountReferences(node.nodeValue)
+    .find(r => offset >= r.matchStart && offset <= r.matchEnd && annotatorState.accounts[r.accountId]);
+  if (!reference) {
+    return null;
+  }
+
+  const range = document.createRange();
+  range.setStart(node, reference.start);
+  range.setEnd(node, reference.end);
+  return { account: annotatorState.accounts[reference.accountId], rect: range.getBoundingClientRect() };
+}
+
+/**
+ * Shows the hover card for an account reference, or lets it close when there is none
+ * The card stays open while the pointer is on it, so its actions can be used. The account
+ * name display and account menu are left alone, as they handle the card themselves.
+ * @param {{account: Object, rect: DOMRect}|null} hit - Result of findAccountAtPoint
+ * @param {Element} [target] - Element under the pointer
+ */
+function updateHoverCard(hit, target) {
+  if (target && target.closest && target.closest(ANNOTATOR_CONFIG.cardOwnerSelector)) {
+    return;
+  }
+  if (hoverCard.isInAccountCard(target)) {
+    hoverCard.keepAccountCard();
+  } else if (hit) {
+    hoverCard.showAccountCard(hit.account, hit.rect);
+  } else {
+    hoverCard.scheduleHideAccountCard();
+  }
+}
+
+/**
+ * Pointer handler opening the hover card for whatever account is hovered
+ * Lookups run at most once per frame.
+ * @param {MouseEvent} event - The mousemove event
+ */
+function handleAnnotatorPointer(event) {
+  if (annotatorState.pointerFrame) {
+    return;
+  }
+  const { clientX, clientY, target } = event;
+  annotatorState.pointerFrame = requestAnimationFrame(() => {
+    annotatorState.pointerFrame = null;
+    updateHoverCard(findAccountAtPoint(clientX, clientY, target), target);
+  });
+}
+
+/**
+ * Rescans the subtrees changed since the last scan
+ * Falls back to the whole page when too many parts of it changed.
+ */
+function runScheduledAnnotation() {
+  const pending = Array.from(annotatorState.pendingRoots).filter(root => root.isConnected);
+  annotatorState.scanTimer = null;
+  annotatorState.pendingRoots = new Set();
+  annotatorState.pendingSince = null;
+
+  if (pending.length > ANNOTATOR_CONFIG.maxPendingRoots) {
+    annotatePage();
+    return;
+  }
+  const roots = pending.filter(root => !pending.some(other => other !== root && other.contains(root)));
+  annotateRoots(roots, false);
+}
+
+/**
+ * Schedules a rescan of the changed subtrees
+ * The delay restarts on every call so bursts of changes scan once, but a page that keeps
+ * changing is still scanned every maxScanDelay.
+ * @param {MutationRecord[]} records - Changes reported by the mutation observer
+ */
+function scheduleAnnotation(records) {
+  for (const record of records) {
+    const root = record.target.nodeType === Node.TEXT_NODE ? record.target.parentElement : record.target;
+    if (root) {
+      annotatorState.pendingRoots.add(root);
+    }
+  }
+
+  const now = Date.now();
+  if (annotatorState.pendingSince === null) {
+    annotatorState.pendingSince = now;
+  }
+  const maxWait = annotatorState.pendingSince + ANNOTATOR_CONFIG.maxScanDelay - now;
+
+  clearTimeout(annotatorState.scanTimer);
+  annotatorState.scanTimer = setTimeout(runScheduledAnnotation, Math.max(0, Math.min(ANNOTATOR_CONFIG.scanDelay, maxWait)));
+}
+
+/**
+ * Sets the known accounts and rescans the page
+ * @param {Object} accounts - Stored account map keyed by account ID
+ */
+function setAnnotatorAccounts(accounts) {
+  annotatorState.accounts = accounts || {};
+  if (annotatorState.observer) {
+    annotatePage();
+  }
+}
+
+/**
+ * Starts annotating the page and keeps annotations current as the page changes
+ * Calling it again only updates the known accounts.
+ * @param {Object} accounts - Stored account map keyed by account ID
+ */
+function startAnnotator(accounts) {
+  annotatorState.accounts = accounts || {};
+  if (annotatorState.observer) {
+    annotatePage();
+    return;
+  }
+
+  annotatorState.observer = new MutationObserver(scheduleAnnotation);
+  annotatorState.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  document.addEventListener('mousemove', handleAnnotatorPointer, { passive: true });
+
+  annotatePage();
+}
+
+/**
+ * Stops annotating and removes every badge, highlight and the hover card
+ */
+function stopAnnotator() {
+  if (annotatorState.observer) {
+    annotatorState.observer.disconnect();
+    annotatorState.observer = null;
+  }
+  clearTimeout(annotatorState.scanTimer);
+  annotatorState.scanTimer = null;
+  annotatorState.pendingRoots = new Set();
+  annotatorState.pendingSince = null;
+  cancelAnimationFrame(annotatorState.pointerFrame);
+  annotatorState.pointerFrame = null;
+  document.removeEventListener('mousemove', handleAnnotatorPointer);
+
+  for (const element of annotatorState.badged) {
+    element.removeAttribute(ANNOTATOR_CONFIG.badgeAttribute);
+    element.removeAttribute(ANNOTATOR_CONFIG.badgeIdAttribute);
+  }
+  annotatorState.badged = new Set();
+  annotatorState.references = new Map();
+
+  if (typeof CSS !== 'undefined' && CSS.highlights) {
+    CSS.highlights.delete(ANNOTATOR_CONFIG.highlightName);
+  }
+  hoverCard.removeAccountCard();
+}
+
+// Export for use in the console script and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANNOTATOR_CONFIG,
+    findAccountReferences,
+    scanForAccounts,
+    annotatePage,
+    scheduleAnnotation,
+    findAccountAtPoint,
+    updateHoverCard,
+    setAnnotatorAccounts,
+    startAnnotator,
+    stopAnnotator,
+    annotatorState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.findAccountReferences = findAccountReferences;
+  window.startAnnotator = startAnnotator;
+  window.stopAnnotator = stopAnnotator;
+  window.setAnnotatorAccounts = setAnnotatorAccounts;
+}
@@ -0,0 +1,112 @@
+/**
+ * Background Listeners
+ * Wires the extension's chrome events to their handlers in the service worker
+ */
+
+// Import message handling
+let listenerMessages;
+if (typeof require !== 'undefined') {
+  listenerMessages = require('./messages.js');
+} else {
+  // Service worker context - messages.js is imported first and exposes its functions on self
+  listenerMessages = { handleMessage: self.handleMessage };
+}
+
+// Import the storage layer
+let listenerStorage;
+if (typeof require !== 'undefined') {
+  listenerStorage = require('./storage.js');
+} else {
+  listenerStorage = {
+    isSyncRelevantChange: self.isSyncRelevantChange,
+    scheduleSync: self.scheduleSync,
+    ensureMigrated: self.ensureMigrated
+  };
+}
+
+/**
+ * Answers a message from a content script or extension page
+ * @param {Object} message - Message with a `type` and type-specific fields
+ * @param {chrome.runtime.MessageSender} sender - Sender of the message
+ * @param {function(Object): void} sendResponse - Sends the response back
+ * @returns {boolean} True, as the response is sent asynchronously
+ */
+function handleRuntimeMessage(message, sender, sendResponse) {
+  listenerMessages.handleMessage(message, sender)
+    .then(sendResponse)
+    .catch(error => {
+      console.error('[AWS Account Display] Message handler error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+
+  return true;
+}
+
+/**
+ * Mirrors account changes made here or on other devices while sync is on
+ * @param {Object} changes - Changed keys with their old and new values
+ * @param {string} areaName - Storage area that changed
+ */
+function handleStorageChange(changes, areaName) {
+  if (listenerStorage.isSyncRelevantChange(changes, areaName)) {
+    listenerStorage.scheduleSync();
+  }
+}
+
+/**
+ * Relays the account switcher shortcut to the console page it was pressed on
+ * @param {string} command - Name of the command from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Tab the shortcut was pressed in
+ */
+function handleCommand(command, tab) {
+  if (command === 'open-account-switcher' && tab?.id !== undefined) {
+    chrome.tabs.sendMessage(tab.id, { type: 'OPEN_ACCOUNT_SWITCHER' }).catch(() => {
+      // Not a console page, so nothing is listening
+    });
+  }
+}
+
+/**
+ * Upgrades stored data and catches up with synced changes when the browser starts
+ * @returns {Promise<void>}
+ */
+function handleStartup() {
+  return listenerStorage.ensureMigrated().then(listenerStorage.scheduleSync);
+}
+
+/**
+ * Upgrades stored data when the extension is installed or updated
+ * @returns {Promise<void>}
+ */
+function handleInstalled() {
+  return listenerStorage.ensureMigrated();
+}
+
+/**
+ * Registers the listeners of the service worker
+ * Called synchronously when the worker starts, so events that woke it are not missed.
+ */
+function registerBackgroundListeners() {
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  chrome.storage.onChanged.addListener(handleStorageChange);
+  chrome.commands.onCommand.addListener(handleCommand);
+  chrome.runtime.onStartup.addListener(handleStartup);
+  chrome.runtime.onInstalled.addListener(handleInstalled);
+}
+
+// Export for use in the service worker and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    handleRuntimeMessage,
+    handleStorageChange,
+    handleCommand,
+    handleStartup,
+    handleInstalled,
+    registerBackgroundListeners
+  };
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    registerBackgroundListeners
+  });
+}
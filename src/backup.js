@@ -0,0 +1,369 @@
+/**
+ * Backup Utilities
+ * Exports the stored account database as JSON or CSV and reads such exports back
+ */
+
+// Import validation utilities
+let backupValidation;
+if (typeof require !== 'undefined') {
+  backupValidation = require('./validation.js');
+} else {
+  // In browser context, validation.js is loaded separately
+  backupValidation = { validateStoredAccount };
+}
+
+// Import the storage schema version and migrations
+let backupMigrations;
+if (typeof require !== 'undefined') {
+  backupMigrations = require('./migrations.js');
+} else {
+  // In browser context, migrations.js is loaded separately
+  backupMigrations = { STORAGE_VERSION, migrateAccounts };
+}
+
+// Identifies files written by this extension
+const BACKUP_FORMAT = 'aws-account-name-display';
+
+// Highest storage schema version this build can restore
+// Entries from older versions are brought up to date by the storage migrations first.
+const SUPPORTED_STORAGE_VERSION = backupMigrations.STORAGE_VERSION;
+
+// CSV columns in export order
+const CSV_COLUMNS = [
+  'accountId',
+  'accountName',
+  'alias',
+  'environment',
+  'color',
+  'email',
+  'status',
+  'partition',
+  'roles',
+  'readOnly',
+  'sources',
+  'lastUpdated',
+  'overridesUpdated',
+  'version'
+];
+
+// Separator for the sources and roles lists inside a CSV cell
+const CSV_SOURCE_SEPARATOR = ' ';
+
+// Cell text spreadsheets would run as a formula; such cells are written with a leading '.
+// Text that already starts with ' before a formula character gets one too, so reading the
+// file back can always remove exactly one.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@]/;
+
+/**
+ * Builds the JSON backup document
+ * @param {{accounts?: Object, version?: number}} storedData - Data read from storage
+ * @param {number} [exportedAt] - Export time
+ * @returns {Object} Backup document
+ */
+function createBackup(storedData, exportedAt = Date.now()) {
+  const accounts = Object.values(storedData.accounts || {})
+    .sort((a, b) => a.accountId.localeCompare(b.accountId));
+
+  return {
+    format: BACKUP_FORMAT,
+    version: storedData.version || 1,
+    exportedAt: new Date(exportedAt).toISOString(),
+    accounts
+  };
+}
+
+/**
+ * Quotes a CSV cell when needed
+ * Text that would start a formula, e.g. an alias of "=HYPERLINK(...)", is prefixed with '
+ * so spreadsheets show it as text.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell text
+ */
+function toCsvCell(value) {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = CSV_FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the CSV export, one row per account
+ * @param {{accounts?: Object, version?: number}} storedData - Data read from storage
+ * @returns {string} CSV text with a header row
+ */
+function createCsvBackup(storedData) {
+  const version = storedData.version || 1;
+  const rows = createBackup(storedData).accounts.map(account => [
+    account.accountId,
+    account.accountName,
+    account.alias,
+    account.tags && account.tags.environment,
+    account.tags && account.tags.color,
+    account.email,
+    account.status,
+    account.partition,
+    (account.roles || []).join(CSV_SOURCE_SEPARATOR),
+    account.readOnly ? 'true' : '',
+    (account.sources || []).join(CSV_SOURCE_SEPARATOR),
+    account.lastUpdated,
+    account.overridesUpdated,
+    version
+  ].map(toCsvCell).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text into rows of cells
+ * Supports quoted cells with embedded commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim().length > 0));
+}
+
+/**
+ * Converts CSV rows back into account entries
+ * @param {Array<Array<string>>} rows - Parsed CSV including the header row
+ * @returns {{success: boolean, version?: number, entries?: Array<Object>, error?: string}}
+ */
+function csvRowsToEntries(rows) {
+  if (rows.length === 0) {
+    return { success: false, error: 'The file is empty' };
+  }
+
+  const header = rows[0].map(h => h.trim());
+  const column = (name) => header.indexOf(name);
+  if (column('accountId') === -1 || column('accountName') === -1) {
+    return { success: false, error: 'CSV must have accountId and accountName columns' };
+  }
+
+  const cellOf = (row, name) => {
+    const index = column(name);
+    const text = index === -1 || row[index] === undefined ? '' : row[index].trim();
+    // Undo the formula guard of toCsvCell
+    return text.startsWith("'") && CSV_FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+  };
+
+  let version = 1;
+  const entries = rows.slice(1).map(row => {
+    const rowVersion = Number(cellOf(row, 'version'));
+    if (Number.isInteger(rowVersion) && rowVersion > version) {
+      version = rowVersion;
+    }
+
+    const entry = {
+      accountId: cellOf(row, 'accountId'),
+      accountName: cellOf(row, 'accountName'),
+      alias: cellOf(row, 'alias'),
+      email: cellOf(row, 'email'),
+      status: cellOf(row, 'status'),
+      partition: cellOf(row, 'partition'),
+      roles: cellOf(row, 'roles').split(CSV_SOURCE_SEPARATOR).filter(Boolean),
+      readOnly: cellOf(row, 'readOnly').toLowerCase() === 'true',
+      sources: cellOf(row, 'sources').split(CSV_SOURCE_SEPARATOR).filter(Boolean)
+    };
+
+    const lastUpdated = cellOf(row, 'lastUpdated');
+    if (lastUpdated) {
+      entry.lastUpdated = Number(lastUpdated);
+    }
+    const overridesUpdated = cellOf(row, 'overridesUpdated');
+    if (overridesUpdated) {
+      entry.overridesUpdated = Number(overridesUpdated);
+    }
+    if (cellOf(row, 'environment')) {
+      entry.tags = { environment: cellOf(row, 'environment'), color: cellOf(row, 'color') || undefined };
+    }
+    return entry;
+  });
+
+  return { success: true, version, entries };
+}
+
+/**
+ * Upgrades one backup entry from the schema version it was exported with
+ * Each entry migrates on its own, so one bad entry does not hold back the others.
+ * @param {*} entry - Account entry as read from the backup
+ * @param {number} version - Storage version of the backup
+ * @returns {{entry?: Object, reason?: string}} The upgraded entry, or why it could not be upgraded
+ */
+function migrateBackupEntry(entry, version) {
+  if (version >= SUPPORTED_STORAGE_VERSION) {
+    return { entry };
+  }
+
+  const key = entry && typeof entry === 'object' ? String(entry.accountId) : '';
+  const result = backupMigrations.migrateAccounts({ [key]: entry }, version);
+  if (result.error) {
+    return { reason: `Could not upgrade from version ${result.version}: ${result.error.message}` };
+  }
+  if (result.issues.length > 0) {
+    // A step set the entry or one of its fields aside; a restore rejects it rather than
+    // dropping data, with the validation reason where there is one
+    const checked = backupValidation.validateStoredAccount(entry);
+    return { reason: checked.valid ? result.issues[0].reason : checked.reason };
+  }
+  return { entry: result.accounts[key] };
+}
+
+/**
+ * Reads a JSON or CSV backup and validates every account in it
+ * Backups from older storage versions are migrated entry by entry before validation.
+ * @param {string} text - The backup file contents
+ * @returns {{success: boolean, accounts?: Array<Object>, rejected?: Array<{index: number, id: *, reason: string}>, error?: string}}
+ */
+function parseBackup(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return { success: false, error: 'The file is empty' };
+  }
+
+  let version;
+  let entries;
+
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { success: false, error: `Not valid JSON: ${error.message}` };
+    }
+    if (data.format !== BACKUP_FORMAT || !Array.isArray(data.accounts)) {
+      return { success: false, error: 'Not an AWS Account Name Display backup' };
+    }
+    version = data.version;
+    entries = data.accounts;
+  } else {
+    const csv = csvRowsToEntries(parseCsv(trimmed));
+    if (!csv.success) {
+      return csv;
+    }
+    version = csv.version;
+    entries = csv.entries;
+  }
+
+  if (!Number.isInteger(version) || version < 1 || version > SUPPORTED_STORAGE_VERSION) {
+    return { success: false, error: `Unsupported backup version: ${version}` };
+  }
+
+  const accounts = [];
+  const rejected = [];
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    const migrated = migrateBackupEntry(entry, version);
+    const checked = migrated.entry
+      ? backupValidation.validateStoredAccount(migrated.entry)
+      : { valid: false, reason: migrated.reason };
+    if (!checked.valid) {
+      rejected.push({ index, id: entry && entry.accountId, reason: checked.reason });
+    } else if (seen.has(checked.account.accountId)) {
+      rejected.push({ index, id: checked.account.accountId, reason: 'Duplicate account ID' });
+    } else {
+      seen.add(checked.account.accountId);
+      accounts.push(checked.account);
+    }
+  });
+
+  return { success: true, accounts, rejected };
+}
+
+/**
+ * Compares stored accounts with accounts about to be restored
+ * @param {Object} storedAccounts - Account map currently stored
+ * @param {Array<Object>} incoming - Validated account entries from a backup
+ * @param {boolean} replace - True if stored accounts missing from the backup will be dropped
+ * @returns {{added: Array<Object>, changed: Array<{account: Object, fields: Array<string>}>, removed: Array<Object>, unchanged: number}}
+ */
+function diffAccounts(storedAccounts, incoming, replace) {
+  const stored = storedAccounts || {};
+  const incomingIds = new Set(incoming.map(a => a.accountId));
+  const fields = ['accountName', 'alias', 'tags', 'email', 'status', 'partition', 'roles', 'readOnly', 'sources'];
+
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const account of incoming) {
+    const current = stored[account.accountId];
+    if (!current) {
+      diff.added.push(account);
+      continue;
+    }
+
+    const changedFields = fields.filter(field =>
+      JSON.stringify(current[field] ?? null) !== JSON.stringify(account[field] ?? null) &&
+      !(field === 'sources' && (current.sources || []).length === 0 && account.sources.length === 0));
+
+    if (changedFields.length > 0) {
+      diff.changed.push({ account, fields: changedFields });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  if (replace) {
+    diff.removed = Object.values(stored).filter(a => !incomingIds.has(a.accountId));
+  }
+
+  return diff;
+}
+
+// Export for use in extension pages and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_FORMAT,
+    SUPPORTED_STORAGE_VERSION,
+    CSV_COLUMNS,
+    createBackup,
+    createCsvBackup,
+    parseCsv,
+    parseBackup,
+    diffAccounts
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.createBackup = createBackup;
+  window.createCsvBackup = createCsvBackup;
+  window.parseBackup = parseBackup;
+  window.diffAccounts = diffAccounts;
+}
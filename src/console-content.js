@@ -16,12 +16,146 @@ if (typeof require !== 'undefined') {
   };
 }
 
+// Import environment utilities
+let environmentUtils;
+if (typeof require !== 'undefined') {
+  environmentUtils = require('./environments.js');
+} else {
+  // In browser context, environments.js will be loaded separately
+  environmentUtils = {
+    resolveEnvironment: window.resolveEnvironment,
+    getEnvironmentCode: window.getEnvironmentCode
+  };
+}
+
+// Import annotator
+let annotatorUtils;
+if (typeof require !== 'undefined') {
+  annotatorUtils = require('./annotator.js');
+} else {
+  // In browser context, annotator.js will be loaded separately
+  annotatorUtils = {
+    startAnnotator: window.startAnnotator,
+    stopAnnotator: window.stopAnnotator,
+    setAnnotatorAccounts: window.setAnnotatorAccounts
+  };
+}
+
+// Import hover card
+let displayCard;
+if (typeof require !== 'undefined') {
+  displayCard = require('./hover-card.js');
+} else {
+  // In browser context, hover-card.js will be loaded separately
+  displayCard = {
+    showAccountCard: window.showAccountCard,
+    scheduleHideAccountCard: window.scheduleHideAccountCard,
+    keepAccountCard: window.keepAccountCard,
+    isInAccountCard: window.isInAccountCard
+  };
+}
+
+// Import tab identity
+let tabIdentity;
+if (typeof require !== 'undefined') {
+  tabIdentity = require('./tab-identity.js');
+} else {
+  // In browser context, tab-identity.js will be loaded separately
+  tabIdentity = {
+    getLabelInitials: window.getLabelInitials,
+    setFaviconBadge: window.setFaviconBadge,
+    clearFaviconBadge: window.clearFaviconBadge,
+    setTabIdentity: window.setTabIdentity,
+    clearTabIdentity: window.clearTabIdentity
+  };
+}
+
+// Import production guardrail
+let guardrail;
+if (typeof require !== 'undefined') {
+  guardrail = require('./guardrail.js');
+} else {
+  // In browser context, guardrail.js will be loaded separately
+  guardrail = {
+    startGuardrail: window.startGuardrail,
+    stopGuardrail: window.stopGuardrail
+  };
+}
+
+// Import read-only mode
+let readOnlyMode;
+if (typeof require !== 'undefined') {
+  readOnlyMode = require('./read-only.js');
+} else {
+  // In browser context, read-only.js will be loaded separately
+  readOnlyMode = {
+    startReadOnlyMode: window.startReadOnlyMode,
+    stopReadOnlyMode: window.stopReadOnlyMode
+  };
+}
+
+// Import account switcher
+let accountSwitcher;
+if (typeof require !== 'undefined') {
+  accountSwitcher = require('./account-switcher.js');
+} else {
+  // In browser context, account-switcher.js will be loaded separately
+  accountSwitcher = { openAccountSwitcher: window.openAccountSwitcher };
+}
+
 // Configuration
 const CONFIG = {
   maxNameLength: 30,
   waitTimeout: 5000,
   pollInterval: 100,
-  displayElementId: 'aws-account-name-display'
+  displayElementId: 'aws-account-name-display',
+  // Shown when the account is not in the stored list
+  unknownAccountName: 'Unknown Account',
+  environmentBandId: 'aws-account-environment-band',
+  // Re-applies of the label allowed within the window before the console is assumed to be
+  // fighting over it and re-applying pauses for a window
+  maxLabelReapplies: 10,
+  labelReapplyWindow: 1000
+};
+
+// Whether storage changes are already being watched for page annotations
+let annotationListenerAdded = false;
+
+// Whether the account switcher shortcut is already being listened for
+let switcherListenerAdded = false;
+
+// Stored account shown on the hover card of the account name display and account menu,
+// which open the card whether or not the page is annotated
+const accountCardState = {
+  account: null,
+  listening: false
+};
+
+// Lifecycle of the script on this page: started once, with one run at a time looking for
+// the account. A navigation aborts the current run and starts a new one.
+const consoleController = {
+  started: false,
+  lastUrl: null,
+  run: null
+};
+
+// Watch on the nav bar that puts the label back when the console re-renders the account menu
+const accountMenuWatch = {
+  observer: null,
+  themeObserver: null,
+  root: null,
+  label: null,
+  reapplied: [],
+  // Set while re-applying is paused after the console kept re-rendering the menu
+  resumeTimer: null
+};
+
+// Account menu text replaced by the name, kept so it can be put back when the display mode
+// no longer shows the name as text
+const replacedMenuText = {
+  node: null,
+  text: null,
+  added: []
 };
 
 // Selectors for AWS Console account elements
@@ -31,13 +165,28 @@ const CONSOLE_SELECTORS = {
   accountMenu: '[data-testid="awsc-nav-account-menu-button"]',
   // Additional selectors for different console versions
   accountMenuAlt: '#nav-usernameMenu, [data-testid="account-menu-button"], [data-testid="more-menu__awsc-nav-account-menu-button"]',
+  // Nav bar around the account menu, which stays when the menu itself is re-rendered
+  navHeader: '#awsc-nav-header, header',
+  // Classes the console puts on the page when its visual mode is dark
+  darkModeSelector: '.awsui-dark-mode, .awsui-polaris-dark-mode',
   // Navigation bar account info
   navAccountInfo: '[data-testid="account-detail-menu"], .nav-elt-label',
   // Account ID patterns in the page
   accountIdPattern: /\b(\d{12})\b/,
   // Pattern with dashes (AWS Console shows "Account ID: 1234-5678-9012")
   // Note: May not have word boundary after due to text like "6022-2330-6405AWSAdministratorAccess"
-  accountIdPatternDashed: /(\d{4})-(\d{4})-(\d{4})/
+  accountIdPatternDashed: /(\d{4})-(\d{4})-(\d{4})/,
+  // Multi-session console hosts start with the account ID and a session ID, in any partition
+  // (e.g. "123456789012-abc123.us-east-1.console.aws.amazon.com")
+  multiSessionHostPattern: /^(\d{12})-[a-z0-9]+\.(?:[a-z0-9-]+\.)?console\.(?:aws\.amazon\.com|amazonaws-us-gov\.com|amazonaws\.cn)$/i,
+  // Role created for a permission set (e.g. "AWSReservedSSO_AdministratorAccess_0123456789abcdef")
+  ssoRolePattern: /AWSReservedSSO_([\w+=,.@-]+?)_[0-9a-f]{16}\b/,
+  // Role in an ARN or role path (e.g. "assumed-role/xyz/session" or "role/xyz")
+  rolePathPattern: /\b(?:assumed-)?role\/([\w+=,.@-]+)/,
+  // Role and session shown in the account menu (e.g. "Admin/jane@example.com @ payments")
+  roleSessionPattern: /(?:^|\s)([A-Za-z][\w+=,.@-]*)\/[^\s/]+/,
+  // Roles that grant admin-level access
+  adminRolePattern: /admin|OrganizationAccountAccessRole/i
 };
 
 /**
@@ -98,11 +247,96 @@ function getCurrentAccountName() {
   return null;
 }
 
+/**
+ * Finds the assumed role or permission set in account menu text
+ * @param {string} text - Account menu text
+ * @returns {string|null} The role name, or null if none is shown
+ */
+function parseRoleName(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const ssoMatch = text.match(CONSOLE_SELECTORS.ssoRolePattern);
+  if (ssoMatch) {
+    return ssoMatch[1];
+  }
+
+  const pathMatch = text.match(CONSOLE_SELECTORS.rolePathPattern);
+  if (pathMatch) {
+    return pathMatch[1];
+  }
+
+  // The account ID runs straight into the role name in the menu, so take it out first
+  const sessionMatch = text.replace(CONSOLE_SELECTORS.accountIdPatternDashed, ' ').match(CONSOLE_SELECTORS.roleSessionPattern);
+  return sessionMatch ? sessionMatch[1] : null;
+}
+
+/**
+ * Extracts the assumed role or permission set from the AWS Console account menu
+ * @returns {string|null} The role name or null if not found
+ */
+function getCurrentRoleName() {
+  const accountButton = document.querySelector(CONSOLE_SELECTORS.accountMenu) ||
+                        document.querySelector(CONSOLE_SELECTORS.accountMenuAlt);
+  if (!accountButton) {
+    return null;
+  }
+
+  const text = [
+    accountButton.textContent,
+    accountButton.getAttribute('aria-label'),
+    accountButton.getAttribute('title')
+  ].filter(Boolean).join(' ');
+  return parseRoleName(text);
+}
+
+/**
+ * Checks whether a role grants admin-level access, judging by its name
+ * @param {string} roleName - Role or permission set name
+ * @returns {boolean}
+ */
+function isAdminRole(roleName) {
+  return typeof roleName === 'string' && CONSOLE_SELECTORS.adminRolePattern.test(roleName);
+}
+
+/**
+ * Creates the role label shown next to the account name
+ * @param {string} roleName - Role or permission set name
+ * @returns {HTMLElement}
+ */
+function createRoleElement(roleName) {
+  const element = document.createElement('span');
+  element.className = 'aws-account-role';
+  element.textContent = truncateText(roleName);
+  element.setAttribute('data-role-level', isAdminRole(roleName) ? 'admin' : 'standard');
+  return element;
+}
+
+/**
+ * Gets the account ID from a multi-session console hostname
+ * Each multi-session tab runs on its own host, so this identifies the tab's account even
+ * when several accounts are signed in at once.
+ * @param {string} [hostname] - Hostname to check, defaults to the current page's
+ * @returns {string|null} The 12-digit account ID, or null outside multi-session mode
+ */
+function getSessionAccountId(hostname = (typeof location !== 'undefined' ? location.hostname : '')) {
+  const match = typeof hostname === 'string' ? hostname.match(CONSOLE_SELECTORS.multiSessionHostPattern) : null;
+  return match ? match[1] : null;
+}
+
 /**
  * Extracts the current account ID from the AWS Console page
+ * A multi-session hostname is authoritative; otherwise the page is searched.
  * @returns {string|null} The 12-digit account ID or null if not found
  */
 function getCurrentAccountId() {
+  const sessionAccountId = getSessionAccountId();
+  if (sessionAccountId) {
+    console.log('[AWS Account Display] Found account ID in multi-session hostname');
+    return sessionAccountId;
+  }
+
   // List of selectors to try in order
   const selectorsToTry = [
     CONSOLE_SELECTORS.accountDetails,
@@ -187,9 +421,10 @@ function getCurrentAccountId() {
 /**
  * Waits for the account element to appear in the DOM with retry logic
  * @param {number} timeout - Maximum wait time in milliseconds
- * @returns {Promise<Element|null>}
+ * @param {AbortSignal} [signal] - Signal that stops the wait, e.g. after a navigation
+ * @returns {Promise<Element|null>} The element, or null if not found or aborted
  */
-async function waitForAccountElement(timeout = CONFIG.waitTimeout) {
+async function waitForAccountElement(timeout = CONFIG.waitTimeout, signal) {
   const config = retryUtils?.RETRY_CONFIG?.console || {
     maxAttempts: 5,
     initialDelay: 500,
@@ -215,7 +450,7 @@ async function waitForAccountElement(timeout = CONFIG.waitTimeout) {
           return;
         }
 
-        if (Date.now() - startTime >= timeout) {
+        if (signal?.aborted || Date.now() - startTime >= timeout) {
           resolve(null);
           return;
         }
@@ -234,7 +469,8 @@ async function waitForAccountElement(timeout = CONFIG.waitTimeout) {
                       document.querySelector(CONSOLE_SELECTORS.accountMenuAlt);
       return element || null;
     },
-    config
+    config,
+    { signal }
   );
 
   return result;
@@ -257,29 +493,40 @@ function truncateText(text, maxLength = CONFIG.maxNameLength) {
  * Creates the display element HTML
  * @param {string} accountName - The account name to display
  * @param {string} accountId - The 12-digit account ID
+ * @param {string} [roleName] - The assumed role, shown after the name as "name / role"
  * @returns {{displayText: string, tooltipText: string, element: HTMLElement}}
  */
-function createDisplayElement(accountName, accountId) {
-  const displayText = truncateText(accountName);
-  const tooltipText = `${accountName} (${accountId})`;
+function createDisplayElement(accountName, accountId, roleName) {
+  const displayText = roleName ? `${truncateText(accountName)} / ${truncateText(roleName)}` : truncateText(accountName);
+  const tooltipText = roleName ? `${accountName} (${accountId}) as ${roleName}` : `${accountName} (${accountId})`;
 
   const element = document.createElement('span');
   element.id = CONFIG.displayElementId;
   element.className = 'aws-account-name-display';
   element.textContent = displayText;
-  element.title = tooltipText;
+  // Hovering opens the account hover card, so no native title tooltip
+  element.setAttribute('aria-label', tooltipText);
   element.setAttribute('data-account-id', accountId);
   element.setAttribute('data-full-name', accountName);
+  // Accounts that are not stored get the "unknown" styling
+  element.setAttribute('data-mapped', String(/^\d{12}$/.test(accountId) && accountName !== CONFIG.unknownAccountName));
+  if (roleName) {
+    element.setAttribute('data-role', roleName);
+    element.setAttribute('data-role-level', isAdminRole(roleName) ? 'admin' : 'standard');
+  }
 
   return { displayText, tooltipText, element };
 }
 
 /**
  * Injects the account name display into the page by replacing "Account ID:" text
+ * With a role, the text reads "name / role:" and the role is labelled with its access level.
  * @param {string} accountName - The account name to display
  * @param {string} accountId - The 12-digit account ID
+ * @param {string} [roleName] - The assumed role or permission set
+ * @returns {boolean} Whether the text was replaced
  */
-function injectAccountNameDisplay(accountName, accountId) {
+function injectAccountNameDisplay(accountName, accountId, roleName) {
   // Find the account menu button
   const accountMenu = document.querySelector(CONSOLE_SELECTORS.accountMenu);
 
@@ -295,16 +542,218 @@ function injectAccountNameDisplay(accountName, accountId) {
     let node;
     while (node = walker.nextNode()) {
       if (node.textContent.includes('Account ID:')) {
-        // Replace "Account ID:" with the account name
-        node.textContent = node.textContent.replace('Account ID:', accountName + ':');
+        replacedMenuText.node = node;
+        replacedMenuText.text = node.textContent;
+        replacedMenuText.added = [];
+        if (roleName) {
+          // Replace "Account ID:" with the account name and a role label
+          const [before, after] = node.textContent.split('Account ID:');
+          const roleElement = createRoleElement(roleName);
+          const rest = document.createTextNode(`:${after}`);
+          node.textContent = `${before}${accountName} / `;
+          node.after(roleElement, rest);
+          replacedMenuText.added = [roleElement, rest];
+        } else {
+          // Replace "Account ID:" with the account name
+          node.textContent = node.textContent.replace('Account ID:', accountName + ':');
+        }
         console.log('[AWS Account Display] Replaced "Account ID:" with account name');
-        return;
+        return true;
       }
     }
 
     // If no "Account ID:" text found, the page may already show the account name
     console.log('[AWS Account Display] No "Account ID:" text found, page may already show account name');
   }
+  return false;
+}
+
+/**
+ * Puts back the account menu text replaced by injectAccountNameDisplay
+ * @returns {boolean} Whether the text was put back
+ */
+function restoreAccountMenuText() {
+  const { node, text, added } = replacedMenuText;
+  replacedMenuText.node = null;
+  replacedMenuText.text = null;
+  replacedMenuText.added = [];
+  // Gone with a re-render, which brings back the console's own text anyway
+  if (!node || !node.isConnected) {
+    return false;
+  }
+
+  added.forEach(addedNode => addedNode.remove());
+  node.textContent = text;
+  return true;
+}
+
+/**
+ * Gets the console's visual mode
+ * The console marks the page when its visual mode setting (or the browser default it
+ * follows) is dark, so this can differ from prefers-color-scheme.
+ * @returns {'dark'|'light'}
+ */
+function getConsoleTheme() {
+  const selector = CONSOLE_SELECTORS.darkModeSelector;
+  return document.documentElement.matches(selector) || document.body?.matches(selector) ? 'dark' : 'light';
+}
+
+/**
+ * Places the styled account badge next to the account menu, replacing any earlier one
+ * @param {string} accountName - The account name to display
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string} [roleName] - The assumed role or permission set
+ * @returns {HTMLElement|null} The badge, or null if there is no account menu
+ */
+function placeAccountBadge(accountName, accountId, roleName) {
+  const accountMenu = document.querySelector(CONSOLE_SELECTORS.accountMenu);
+  removeAccountBadge();
+  if (!accountMenu) {
+    return null;
+  }
+
+  const { element } = createDisplayElement(accountName, accountId, roleName);
+  element.setAttribute('data-theme', getConsoleTheme());
+  accountMenu.before(element);
+  return element;
+}
+
+/**
+ * Removes the account badge
+ */
+function removeAccountBadge() {
+  document.getElementById(CONFIG.displayElementId)?.remove();
+}
+
+/**
+ * Applies the watched label to the account menu, as text, a badge or both
+ * The records of these edits are dropped so the watch does not react to its own changes.
+ * @returns {boolean} Whether the text was replaced or the badge placed
+ */
+function applyAccountLabel() {
+  if (!accountMenuWatch.label) {
+    return false;
+  }
+
+  const { accountName, accountId, roleName, mode } = accountMenuWatch.label;
+  let applied = false;
+  if (mode !== 'badge') {
+    applied = injectAccountNameDisplay(accountName, accountId, roleName);
+  } else {
+    restoreAccountMenuText();
+  }
+  if (mode === 'badge' || mode === 'both') {
+    applied = Boolean(placeAccountBadge(accountName, accountId, roleName)) || applied;
+  } else {
+    removeAccountBadge();
+  }
+  accountMenuWatch.observer?.takeRecords();
+  return applied;
+}
+
+/**
+ * Keeps the badge in step with the console's visual mode
+ */
+function handleThemeMutations() {
+  document.getElementById(CONFIG.displayElementId)?.setAttribute('data-theme', getConsoleTheme());
+}
+
+/**
+ * Puts the label back when the console has re-rendered the account menu with its own text,
+ * or dropped the badge (e.g. after opening the menu, switching region or changing theme)
+ * When the console replaces the whole nav bar, the watch follows it to the new one.
+ */
+function handleAccountMenuMutations() {
+  const accountMenu = document.querySelector(CONSOLE_SELECTORS.accountMenu);
+  const label = accountMenuWatch.label;
+  if (!label || !accountMenu) {
+    return;
+  }
+  if (!accountMenuWatch.root?.isConnected) {
+    watchAccountMenu(label.accountName, label.accountId, label.roleName, label.mode);
+  }
+
+  const textLost = label.mode !== 'badge' && accountMenu.textContent.includes('Account ID:');
+  const badgeLost = (label.mode === 'badge' || label.mode === 'both') && !document.getElementById(CONFIG.displayElementId);
+  if (!textLost && !badgeLost) {
+    return;
+  }
+  if (accountMenuWatch.resumeTimer !== null) {
+    return;
+  }
+
+  const now = Date.now();
+  accountMenuWatch.reapplied = accountMenuWatch.reapplied.filter(time => now - time < CONFIG.labelReapplyWindow);
+  if (accountMenuWatch.reapplied.length >= CONFIG.maxLabelReapplies) {
+    console.warn('[AWS Account Display] Account menu keeps re-rendering, pausing re-applying the name');
+    pauseAccountMenuWatch();
+    return;
+  }
+
+  accountMenuWatch.reapplied.push(now);
+  applyAccountLabel();
+}
+
+/**
+ * Pauses re-applying the label for a window, then catches up on what changed meanwhile
+ */
+function pauseAccountMenuWatch() {
+  clearTimeout(accountMenuWatch.resumeTimer);
+  accountMenuWatch.resumeTimer = setTimeout(() => {
+    accountMenuWatch.resumeTimer = null;
+    accountMenuWatch.reapplied = [];
+    handleAccountMenuMutations();
+  }, CONFIG.labelReapplyWindow);
+}
+
+/**
+ * Watches the nav bar around the account menu and keeps the label applied
+ * @param {string} accountName - The account name to display
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string} [roleName] - The assumed role or permission set
+ * @param {string} [mode] - 'text', 'badge' or 'both', following the accountDisplayMode setting
+ * @returns {boolean} Whether the account menu is watched
+ */
+function watchAccountMenu(accountName, accountId, roleName, mode = 'text') {
+  const accountMenu = document.querySelector(CONSOLE_SELECTORS.accountMenu);
+  const root = accountMenu ? (accountMenu.closest(CONSOLE_SELECTORS.navHeader) || accountMenu.parentElement) : null;
+  if (!root) {
+    unwatchAccountMenu();
+    return false;
+  }
+
+  accountMenuWatch.label = { accountName, accountId, roleName, mode };
+  if (!accountMenuWatch.themeObserver) {
+    accountMenuWatch.themeObserver = new MutationObserver(handleThemeMutations);
+    accountMenuWatch.themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    accountMenuWatch.themeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+  }
+  if (accountMenuWatch.root !== root) {
+    accountMenuWatch.observer?.disconnect();
+    accountMenuWatch.observer = new MutationObserver(handleAccountMenuMutations);
+    accountMenuWatch.observer.observe(root, { childList: true, subtree: true, characterData: true });
+    // The parent tells when the nav bar itself is replaced
+    if (root.parentNode) {
+      accountMenuWatch.observer.observe(root.parentNode, { childList: true });
+    }
+    accountMenuWatch.root = root;
+  }
+  return true;
+}
+
+/**
+ * Stops watching the account menu
+ */
+function unwatchAccountMenu() {
+  accountMenuWatch.observer?.disconnect();
+  accountMenuWatch.themeObserver?.disconnect();
+  accountMenuWatch.observer = null;
+  accountMenuWatch.themeObserver = null;
+  accountMenuWatch.root = null;
+  accountMenuWatch.label = null;
+  accountMenuWatch.reapplied = [];
+  clearTimeout(accountMenuWatch.resumeTimer);
+  accountMenuWatch.resumeTimer = null;
 }
 
 /**
@@ -326,6 +775,67 @@ async function requestAccountName(accountId) {
   }
 }
 
+/**
+ * Requests the full stored account entry from background service worker
+ * @param {string} accountId - The 12-digit account ID
+ * @returns {Promise<Object|null>}
+ */
+async function requestAccountDetails(accountId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_ACCOUNT_DETAILS',
+      accountId: accountId
+    });
+
+    return response?.success ? response.account : null;
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to get account details:', error);
+    return null;
+  }
+}
+
+/**
+ * Draws a colored band across the top of the page for the account's environment
+ * The environment color is also exposed on the root element so the nav bar can be tinted.
+ * The band is removed when the account has no environment tag.
+ * @param {{environment?: string, color?: string}|null} tags - The account's tags
+ * @returns {HTMLElement|null} The band element, or null if removed
+ */
+function applyEnvironmentBand(tags) {
+  const environment = environmentUtils?.resolveEnvironment ? environmentUtils.resolveEnvironment(tags) : null;
+  const root = document.documentElement;
+  let band = document.getElementById(CONFIG.environmentBandId);
+
+  if (!environment) {
+    if (band) {
+      band.remove();
+    }
+    root.removeAttribute('data-aws-account-environment');
+    root.style.removeProperty('--aws-account-environment-color');
+    return null;
+  }
+
+  if (!band) {
+    band = document.createElement('div');
+    band.id = CONFIG.environmentBandId;
+    band.className = 'aws-account-environment-band';
+    band.setAttribute('aria-hidden', 'true');
+
+    const label = document.createElement('span');
+    label.className = 'aws-account-environment-label';
+    band.appendChild(label);
+
+    document.body.appendChild(band);
+  }
+
+  band.setAttribute('data-environment', environment.environment);
+  band.querySelector('.aws-account-environment-label').textContent = environment.label;
+  root.setAttribute('data-aws-account-environment', environment.environment);
+  root.style.setProperty('--aws-account-environment-color', environment.color);
+
+  return band;
+}
+
 /**
  * Requests account ID by name from background service worker
  * @param {string} accountName - The account name to look up
@@ -345,10 +855,95 @@ async function requestAccountIdByName(accountName) {
   }
 }
 
+/**
+ * Requests every stored account from background service worker
+ * @returns {Promise<Object>} Account map keyed by account ID
+ */
+async function requestAllAccounts() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_ACCOUNTS' });
+    return response?.success ? response.accounts : {};
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to get accounts:', error);
+    return {};
+  }
+}
+
+/**
+ * Requests the extension settings from background service worker
+ * @returns {Promise<Object|null>}
+ */
+async function requestSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    return response?.success ? response.settings : null;
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to get settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Starts or stops labelling account IDs across the page, following the annotateAccountIds setting
+ * @returns {Promise<boolean>} Whether the annotator is running
+ */
+async function refreshPageAnnotations() {
+  if (!annotatorUtils?.startAnnotator) {
+    return false;
+  }
+
+  const settings = await requestSettings();
+  if (!settings || !settings.annotateAccountIds) {
+    annotatorUtils.stopAnnotator();
+    return false;
+  }
+
+  annotatorUtils.startAnnotator(await requestAllAccounts());
+  return true;
+}
+
+/**
+ * Labels account IDs across the page, and keeps the labels and the tab title current when
+ * accounts or settings change
+ */
+async function setupPageAnnotations() {
+  await refreshPageAnnotations();
+
+  if (chrome.storage?.onChanged && !annotationListenerAdded) {
+    annotationListenerAdded = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && (changes.accounts || changes.settings)) {
+        refreshPageAnnotations();
+        runConsoleDisplay();
+      }
+    });
+  }
+}
+
+/**
+ * Opens the account switcher when its keyboard shortcut is pressed
+ * The shortcut is a browser command, so the background service worker relays it here.
+ */
+function setupAccountSwitcher() {
+  if (!chrome.runtime?.onMessage || switcherListenerAdded) {
+    return;
+  }
+
+  switcherListenerAdded = true;
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'OPEN_ACCOUNT_SWITCHER') {
+      requestAllAccounts().then(accounts => accountSwitcher.openAccountSwitcher(accounts));
+    }
+  });
+}
+
 /**
  * Updates the display with the current account information
+ * Stops after any lookup if the signal was aborted, so a run overtaken by a navigation
+ * never labels the page with the previous account.
+ * @param {AbortSignal} [signal] - Signal of the run this update belongs to
  */
-async function updateDisplay() {
+async function updateDisplay(signal) {
   // First try to get account ID directly from the page
   let accountId = getCurrentAccountId();
   let accountName = null;
@@ -356,6 +951,9 @@ async function updateDisplay() {
   if (accountId) {
     // We have the account ID, look up the name
     accountName = await requestAccountName(accountId);
+    if (signal?.aborted) {
+      return;
+    }
   } else {
     // No account ID visible, try to get account name from the page
     const pageAccountName = getCurrentAccountName();
@@ -364,9 +962,16 @@ async function updateDisplay() {
       console.log('[AWS Account Display] Found account name on page:', pageAccountName);
       // Look up the account ID by name
       accountId = await requestAccountIdByName(pageAccountName);
+      if (signal?.aborted) {
+        return;
+      }
 
       if (accountId) {
-        accountName = pageAccountName;
+        // Prefer the stored name, which reflects any user-defined alias
+        accountName = (await requestAccountName(accountId)) || pageAccountName;
+        if (signal?.aborted) {
+          return;
+        }
         console.log('[AWS Account Display] Matched account name to ID:', accountId);
       } else {
         // Account name found but not in storage - display it anyway
@@ -382,43 +987,266 @@ async function updateDisplay() {
     return;
   }
 
-  const displayName = accountName || 'Unknown Account';
-  injectAccountNameDisplay(displayName, accountId);
-  console.log('[AWS Account Display] Displaying:', displayName, 'for account', accountId);
+  const details = accountId !== 'unknown' ? await requestAccountDetails(accountId) : null;
+  if (signal?.aborted) {
+    return;
+  }
+  applyEnvironmentBand(details?.tags);
+
+  const settings = await requestSettings();
+  if (signal?.aborted) {
+    return;
+  }
+  const displayName = accountName || CONFIG.unknownAccountName;
+  const roleName = getCurrentRoleName();
+  // Keep the label applied when the console re-renders the account menu
+  watchAccountMenu(displayName, accountId, roleName, settings?.accountDisplayMode);
+  applyAccountLabel();
+  updateAccountCard(details);
+  console.log('[AWS Account Display] Displaying:', displayName, 'for account', accountId, roleName ? `as ${roleName}` : '');
+
+  // Read-only accounts hold back changes before the guardrail asks to confirm them
+  updateReadOnly(accountId, displayName, details?.readOnly === true);
+
+  updateTabIdentity(accountId, accountName, details?.tags, settings?.tabTitleMode);
+  updateTabFavicon(accountId, accountName, details?.tags, settings?.faviconBadge);
+  updateGuardrail(accountName, details?.tags, settings?.prodGuardrail === true);
 }
 
 /**
- * Sets up navigation change detection for SPA behavior
+ * Finds the account name display or account menu an element belongs to
+ * @param {EventTarget|null} element - Element under the pointer
+ * @returns {Element|null}
  */
-function setupNavigationObserver() {
-  // Watch for URL changes
-  let lastUrl = location.href;
+function getAccountCardAnchor(element) {
+  return element instanceof Element
+    ? element.closest(`#${CONFIG.displayElementId}, ${CONSOLE_SELECTORS.accountMenu}`)
+    : null;
+}
 
-  const observer = new MutationObserver(() => {
-    if (location.href !== lastUrl) {
-      lastUrl = location.href;
-      console.log('[AWS Account Display] URL changed, restarting retry logic');
-      // Restart initialization with fresh retry state
-      init();
-    }
-  });
+/**
+ * Opens the hover card when the pointer enters the account name display or account menu,
+ * and keeps it open while the pointer is on the card
+ * @param {MouseEvent} event - The mouseover event
+ */
+function handleAccountCardOver(event) {
+  const anchor = getAccountCardAnchor(event.target);
+  if (anchor && accountCardState.account) {
+    displayCard.showAccountCard(accountCardState.account, anchor.getBoundingClientRect());
+  } else if (displayCard.isInAccountCard(event.target)) {
+    displayCard.keepAccountCard();
+  }
+}
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+/**
+ * Lets the hover card close when the pointer leaves the display, the menu or the card
+ * for anywhere else
+ * @param {MouseEvent} event - The mouseout event
+ */
+function handleAccountCardOut(event) {
+  const from = event.target;
+  const to = event.relatedTarget;
+  if (!getAccountCardAnchor(from) && !displayCard.isInAccountCard(from)) {
+    return;
+  }
+  if (getAccountCardAnchor(to) || displayCard.isInAccountCard(to)) {
+    return;
+  }
+  displayCard.scheduleHideAccountCard();
+}
+
+/**
+ * Sets the account the account name display and account menu open the hover card for
+ * @param {Object|null} account - The stored account entry, or null for accounts not stored
+ * @returns {boolean} Whether the display opens the card
+ */
+function updateAccountCard(account) {
+  if (!displayCard?.showAccountCard) {
+    return false;
+  }
+
+  accountCardState.account = account?.accountId ? account : null;
+  if (!accountCardState.listening) {
+    accountCardState.listening = true;
+    document.addEventListener('mouseover', handleAccountCardOver, { passive: true });
+    document.addEventListener('mouseout', handleAccountCardOut, { passive: true });
+  }
+  return accountCardState.account !== null;
+}
+
+/**
+ * Marks the page and holds back change actions when the account is flagged read-only
+ * @param {string} accountId - The account ID shown on the page
+ * @param {string} accountName - The name or alias shown in the banner
+ * @param {boolean} readOnly - Whether the account is flagged read-only
+ * @returns {boolean} Whether the page is read-only
+ */
+function updateReadOnly(accountId, accountName, readOnly) {
+  if (!readOnlyMode?.startReadOnlyMode) {
+    return false;
+  }
+
+  if (!readOnly || !/^\d{12}$/.test(accountId)) {
+    readOnlyMode.stopReadOnlyMode();
+    return false;
+  }
+
+  readOnlyMode.startReadOnlyMode({ accountId, label: accountName });
+  return true;
+}
 
-  // Also listen for popstate events
-  window.addEventListener('popstate', () => {
-    console.log('[AWS Account Display] Popstate event, restarting retry logic');
-    init();
+/**
+ * Guards destructive actions in production accounts when the prodGuardrail setting is on
+ * @param {string|null} accountName - The stored name or alias, which is typed to confirm
+ * @param {{environment?: string, color?: string}|null} tags - The account's tags
+ * @param {boolean} enabled - Whether the guardrail is turned on
+ * @returns {boolean} Whether the page is guarded
+ */
+function updateGuardrail(accountName, tags, enabled) {
+  if (!guardrail?.startGuardrail) {
+    return false;
+  }
+
+  const environment = environmentUtils?.resolveEnvironment ? environmentUtils.resolveEnvironment(tags) : null;
+  if (!enabled || !accountName || !environment?.production) {
+    guardrail.stopGuardrail();
+    return false;
+  }
+
+  guardrail.startGuardrail({ label: accountName });
+  return true;
+}
+
+/**
+ * Marks the tab title and favicon with the account, following the tabTitleMode setting
+ * In 'session' mode only multi-session tabs are marked, since those are the ones that can
+ * be signed in to different accounts at once; 'prefix' and 'suffix' mark every console tab.
+ * @param {string|null} accountId - The account ID shown on the page
+ * @param {string|null} accountName - The stored name or alias, if known
+ * @param {{environment?: string, color?: string}|null} tags - The account's tags
+ * @param {string} [mode] - 'session', 'prefix', 'suffix' or 'off'
+ */
+function updateTabIdentity(accountId, accountName, tags, mode = 'session') {
+  if (!tabIdentity?.setTabIdentity) {
+    return;
+  }
+
+  const marked = mode === 'session'
+    ? Boolean(accountId) && accountId === getSessionAccountId()
+    : (mode === 'prefix' || mode === 'suffix') && Boolean(accountName || /^\d{12}$/.test(accountId));
+  if (!marked) {
+    tabIdentity.clearTabIdentity();
+    return;
+  }
+
+  const label = accountName || `${accountId.slice(0, 4)}-${accountId.slice(4, 8)}-${accountId.slice(8)}`;
+  const environment = environmentUtils?.resolveEnvironment ? environmentUtils.resolveEnvironment(tags) : null;
+  tabIdentity.setTabIdentity({
+    label,
+    environment: environment?.environment,
+    color: environment?.color,
+    position: mode === 'suffix' ? 'suffix' : 'prefix'
   });
 }
 
+/**
+ * Badges the tab favicon with the account's environment, following the faviconBadge setting
+ * Untagged accounts are badged with their initials in multi-session tabs only, so those
+ * tabs can still be told apart.
+ * @param {string|null} accountId - The account ID shown on the page
+ * @param {string|null} accountName - The stored name or alias, if known
+ * @param {{environment?: string, color?: string}|null} tags - The account's tags
+ * @param {string} [mode] - 'letter', 'dot' or 'off'
+ * @returns {Promise<HTMLLinkElement|null>} The badged icon, or null if none
+ */
+async function updateTabFavicon(accountId, accountName, tags, mode = 'letter') {
+  if (!tabIdentity?.setFaviconBadge) {
+    return null;
+  }
+
+  const environment = environmentUtils?.resolveEnvironment ? environmentUtils.resolveEnvironment(tags) : null;
+  let badge = null;
+  if (mode !== 'off' && environment) {
+    badge = { text: environmentUtils.getEnvironmentCode(environment.environment), color: environment.color };
+  } else if (mode !== 'off' && accountId && accountId === getSessionAccountId()) {
+    badge = { text: tabIdentity.getLabelInitials(accountName || accountId) };
+  }
+
+  if (!badge) {
+    tabIdentity.clearFaviconBadge();
+    return null;
+  }
+  if (mode === 'dot') {
+    badge.text = '';
+  }
+  return tabIdentity.setFaviconBadge(badge);
+}
+
+/**
+ * Looks for the account with retry logic and updates the display
+ * Any run still in progress is aborted first, so only the latest navigation is acted on.
+ * @returns {Promise<boolean>} Whether the display was updated
+ */
+async function runConsoleDisplay() {
+  consoleController.run?.abort();
+  const run = new AbortController();
+  consoleController.run = run;
+
+  // Wait for account element to appear with retry logic
+  const accountElement = await waitForAccountElement(CONFIG.waitTimeout, run.signal);
+  if (run.signal.aborted) {
+    return false;
+  }
+
+  // A multi-session hostname names the account even if the account menu never appears
+  if (!accountElement && !getSessionAccountId()) {
+    console.warn('[AWS Account Display] Account element not found after all retries');
+    return false;
+  }
+
+  await updateDisplay(run.signal);
+  return !run.signal.aborted;
+}
+
+/**
+ * Starts a new run when the console navigates to another URL
+ */
+function handleNavigation() {
+  if (location.href === consoleController.lastUrl) {
+    return;
+  }
+
+  consoleController.lastUrl = location.href;
+  console.log('[AWS Account Display] URL changed, restarting retry logic');
+  runConsoleDisplay();
+}
+
+/**
+ * Sets up navigation change detection for SPA behavior
+ * The Navigation API reports the console's own history.pushState calls. Patching history
+ * would not: content scripts run in an isolated world and never see the page's calls.
+ * Without it, back, forward and hash navigations are still picked up.
+ */
+function watchNavigation() {
+  if (typeof navigation !== 'undefined' && typeof navigation.addEventListener === 'function') {
+    navigation.addEventListener('navigatesuccess', handleNavigation);
+  } else {
+    window.addEventListener('popstate', handleNavigation);
+    window.addEventListener('hashchange', handleNavigation);
+  }
+}
+
 /**
  * Main initialization function
+ * Runs once per page; later navigations go through handleNavigation.
  */
 async function init() {
+  if (consoleController.started) {
+    return;
+  }
+  consoleController.started = true;
+  consoleController.lastUrl = location.href;
+
   // Wait for DOM to be ready
   const waitFn = retryUtils?.waitForDOMReady ||
                  (typeof window !== 'undefined' && window.waitForDOMReady);
@@ -427,19 +1255,14 @@ async function init() {
     await waitFn();
   }
 
-  // Wait for account element to appear with retry logic
-  const accountElement = await waitForAccountElement();
-
-  if (!accountElement) {
-    console.warn('[AWS Account Display] Account element not found after all retries');
-    return;
-  }
+  // Account IDs elsewhere on the page are labelled even if the account menu never appears
+  await setupPageAnnotations();
+  setupAccountSwitcher();
 
-  // Update display
-  await updateDisplay();
+  // Set up navigation detection for SPA behavior
+  watchNavigation();
 
-  // Set up navigation observer for SPA behavior
-  setupNavigationObserver();
+  await runConsoleDisplay();
 }
 
 // Run when DOM is ready
@@ -452,13 +1275,39 @@ if (document.readyState === 'loading') {
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    getSessionAccountId,
     getCurrentAccountId,
+    parseRoleName,
+    getCurrentRoleName,
+    isAdminRole,
     waitForAccountElement,
     truncateText,
     createDisplayElement,
     injectAccountNameDisplay,
+    getConsoleTheme,
+    placeAccountBadge,
+    applyAccountLabel,
+    restoreAccountMenuText,
+    updateAccountCard,
+    accountCardState,
+    watchAccountMenu,
+    unwatchAccountMenu,
+    accountMenuWatch,
     requestAccountName,
+    requestAccountDetails,
+    requestAllAccounts,
+    refreshPageAnnotations,
+    setupAccountSwitcher,
+    applyEnvironmentBand,
     updateDisplay,
+    updateTabIdentity,
+    updateTabFavicon,
+    updateGuardrail,
+    updateReadOnly,
+    runConsoleDisplay,
+    handleNavigation,
+    init,
+    consoleController,
     CONFIG,
     CONSOLE_SELECTORS
   };
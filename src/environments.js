@@ -0,0 +1,106 @@
+/**
+ * Environment Utilities
+ * Known environment tags and their colors, shared by the options page and console script
+ */
+
+// Built-in environments keyed by tag value
+// Codes are the short letters drawn on console tab favicons. Production environments are
+// the ones the production guardrail protects.
+const ENVIRONMENT_PRESETS = {
+  prod: { label: 'Production', color: '#d13212', code: 'P', production: true },
+  staging: { label: 'Staging', color: '#ff9900', code: 'S', production: false },
+  dev: { label: 'Development', color: '#1d8102', code: 'D', production: false },
+  sandbox: { label: 'Sandbox', color: '#0073bb', code: 'SB', production: false }
+};
+
+// Other common spellings of the built-in environments, mapped to their preset
+const ENVIRONMENT_ALIASES = {
+  production: 'prod',
+  prd: 'prod',
+  stage: 'staging',
+  stg: 'staging',
+  development: 'dev'
+};
+
+// Color used for custom environments that have no color of their own
+const DEFAULT_ENVIRONMENT_COLOR = '#8d6cdb';
+
+/**
+ * Gets the preset key an environment tag stands for, e.g. "prod" for "Production"
+ * @param {string} environment - The environment tag value
+ * @returns {string|null} The preset key, or null for custom values
+ */
+function getEnvironmentPresetKey(environment) {
+  if (typeof environment !== 'string') {
+    return null;
+  }
+  const value = environment.trim().toLowerCase();
+  const key = Object.prototype.hasOwnProperty.call(ENVIRONMENT_ALIASES, value) ? ENVIRONMENT_ALIASES[value] : value;
+  return Object.prototype.hasOwnProperty.call(ENVIRONMENT_PRESETS, key) ? key : null;
+}
+
+/**
+ * Looks up the built-in preset for an environment tag, or one of its other spellings
+ * @param {string} environment - The environment tag value
+ * @returns {{label: string, color: string, code: string, production: boolean}|null} The preset, or null for custom values
+ */
+function getEnvironmentPreset(environment) {
+  const key = getEnvironmentPresetKey(environment);
+  return key ? ENVIRONMENT_PRESETS[key] : null;
+}
+
+/**
+ * Resolves the environment tag of an account to a label and color
+ * An explicit color on the tags wins over the preset color. Other spellings of a preset
+ * resolve to the preset, so "production" is prod.
+ * @param {{environment?: string, color?: string}} tags - The account's tags
+ * @returns {{environment: string, label: string, color: string, production: boolean}|null} Resolved environment, or null if untagged
+ */
+function resolveEnvironment(tags) {
+  if (!tags || typeof tags.environment !== 'string' || tags.environment.trim().length === 0) {
+    return null;
+  }
+
+  const environment = tags.environment.trim();
+  const presetKey = getEnvironmentPresetKey(environment);
+  const preset = presetKey ? ENVIRONMENT_PRESETS[presetKey] : null;
+
+  return {
+    environment: presetKey || environment,
+    label: preset ? preset.label : environment,
+    color: tags.color || (preset ? preset.color : DEFAULT_ENVIRONMENT_COLOR),
+    production: preset ? preset.production : false
+  };
+}
+
+/**
+ * Gets the short letter code for an environment tag, e.g. "P" for prod
+ * Custom environments use their first two letters or digits.
+ * @param {string} environment - The environment tag value
+ * @returns {string} Upper-case code, or an empty string for an empty tag
+ */
+function getEnvironmentCode(environment) {
+  const preset = getEnvironmentPreset(environment);
+  if (preset) {
+    return preset.code;
+  }
+  return typeof environment === 'string' ? environment.replace(/[^A-Za-z0-9]/g, '').slice(0, 2).toUpperCase() : '';
+}
+
+// Export for use in content scripts and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ENVIRONMENT_PRESETS,
+    DEFAULT_ENVIRONMENT_COLOR,
+    getEnvironmentPreset,
+    resolveEnvironment,
+    getEnvironmentCode
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.ENVIRONMENT_PRESETS = ENVIRONMENT_PRESETS;
+  window.DEFAULT_ENVIRONMENT_COLOR = DEFAULT_ENVIRONMENT_COLOR;
+  window.getEnvironmentPreset = getEnvironmentPreset;
+  window.resolveEnvironment = resolveEnvironment;
+  window.getEnvironmentCode = getEnvironmentCode;
+}
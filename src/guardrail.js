@@ -0,0 +1,299 @@
+/**
+ * Production Guardrail
+ * Holds back destructive actions in production accounts until the account alias is typed,
+ * as a second look before terminating, deleting or emptying something
+ */
+
+// Configuration
+const GUARDRAIL_CONFIG = {
+  overlayId: 'aws-account-guardrail',
+  // Console confirmation dialogs and modals
+  dialogSelector: '[role="dialog"], [role="alertdialog"], [aria-modal="true"], [class*="modal"]',
+  // Clickable elements that can confirm an action
+  buttonSelector: 'button, [role="button"], input[type="submit"], input[type="button"]',
+  // Labels of destructive actions, e.g. "Terminate", "Delete bucket", "Delete stack"
+  destructivePattern: /^\s*(terminate|delete|remove|destroy|empty|deregister|purge)\b/i
+};
+
+// Guardrail state
+const guardrailState = {
+  label: null,
+  listening: false,
+  confirmedButton: null
+};
+
+// Checks that can hold back clicks and submits, shared with read-only mode so the page has
+// one capture listener per event
+const actionGuardState = {
+  guards: [],
+  listening: false
+};
+
+/**
+ * Gets the label of a button as shown to the user
+ * @param {Element} button - Button element
+ * @returns {string}
+ */
+function getButtonLabel(button) {
+  return (button.textContent || button.value || button.getAttribute('aria-label') || '').trim();
+}
+
+/**
+ * Checks whether a button confirms a destructive action
+ * The button must be labelled like one and sit in a confirmation dialog, or on a page that
+ * exists only to confirm one (e.g. the S3 "Delete bucket" page).
+ * @param {Element} button - Button element
+ * @returns {boolean}
+ */
+function isDestructiveAction(button) {
+  if (!GUARDRAIL_CONFIG.destructivePattern.test(getButtonLabel(button))) {
+    return false;
+  }
+  if (button.closest(GUARDRAIL_CONFIG.dialogSelector)) {
+    return true;
+  }
+
+  const heading = document.querySelector('h1');
+  return Boolean(heading && GUARDRAIL_CONFIG.destructivePattern.test(heading.textContent || ''));
+}
+
+/**
+ * Gets the default button of a form, the one Enter in a form field submits with
+ * This is the form's first submit button, as in the HTML implicit submission rules.
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Element|null}
+ */
+function getDefaultButton(form) {
+  return Array.from(form.elements).find((element) =>
+    (element instanceof HTMLButtonElement || element instanceof HTMLInputElement) &&
+    (element.type === 'submit' || element.type === 'image')
+  ) || null;
+}
+
+/**
+ * Finds the buttons an action event may carry out
+ * A click is for the button it landed on. A submit is for its submitter, or, when there is
+ * none (e.g. Enter in a form field), for the form's default button.
+ * @param {Event} event - A click or submit event
+ * @returns {Element[]}
+ */
+function getActionButtons(event) {
+  const target = event.target;
+  if (event.type !== 'submit') {
+    const button = target instanceof Element ? target.closest(GUARDRAIL_CONFIG.buttonSelector) : null;
+    return button ? [button] : [];
+  }
+  if (!(target instanceof HTMLFormElement)) {
+    return [];
+  }
+  const button = event.submitter || getDefaultButton(target);
+  return button ? [button] : [];
+}
+
+/**
+ * Runs the action guards on a click or submit, and holds the event back if one of them does
+ * @param {Event} event - The click or submit event, seen in the capture phase
+ */
+function handleActionEvent(event) {
+  const buttons = getActionButtons(event);
+  const held = actionGuardState.guards.some((guard) => buttons.some((button) => guard(button)));
+  if (held) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+}
+
+/**
+ * Adds a check that can hold back clicks and submits, and starts listening for them
+ * Guards run in the order they were added unless asked to run first, and the first one to
+ * hold an action back takes it over.
+ * @param {function(Element): boolean} guard - Gets the button, returns true to hold it back
+ * @param {{first?: boolean}} [options] - Run before the guards already added
+ */
+function addActionGuard(guard, { first = false } = {}) {
+  if (actionGuardState.guards.includes(guard)) {
+    return;
+  }
+  if (first) {
+    actionGuardState.guards.unshift(guard);
+  } else {
+    actionGuardState.guards.push(guard);
+  }
+  if (!actionGuardState.listening) {
+    actionGuardState.listening = true;
+    document.addEventListener('click', handleActionEvent, true);
+    document.addEventListener('submit', handleActionEvent, true);
+  }
+}
+
+/**
+ * Removes a guard, and stops listening once none is left
+ * @param {function(Element): boolean} guard - A guard passed to addActionGuard
+ */
+function removeActionGuard(guard) {
+  actionGuardState.guards = actionGuardState.guards.filter((other) => other !== guard);
+  if (actionGuardState.listening && actionGuardState.guards.length === 0) {
+    document.removeEventListener('click', handleActionEvent, true);
+    document.removeEventListener('submit', handleActionEvent, true);
+    actionGuardState.listening = false;
+  }
+}
+
+/**
+ * Holds back destructive actions and asks for confirmation first
+ * The click replayed after confirmation, and the submit it causes, go through.
+ * @param {Element} button - The button being clicked or submitted with
+ * @returns {boolean} Whether the action was held back
+ */
+function holdBackDestructiveAction(button) {
+  if (guardrailState.label === null || button.closest(`#${GUARDRAIL_CONFIG.overlayId}`)) {
+    return false;
+  }
+  if (guardrailState.confirmedButton === button || !isDestructiveAction(button)) {
+    return false;
+  }
+
+  showGuardrailConfirmation(button);
+  return true;
+}
+
+/**
+ * Shows the overlay that asks for the account alias before an action goes through
+ * @param {Element} button - The held-back button
+ * @returns {HTMLElement} The overlay element
+ */
+function showGuardrailConfirmation(button) {
+  removeGuardrailConfirmation();
+
+  const label = guardrailState.label;
+  const overlay = document.createElement('div');
+  overlay.id = GUARDRAIL_CONFIG.overlayId;
+  overlay.className = 'aws-account-guardrail';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'aws-account-guardrail-dialog';
+  dialog.setAttribute('role', 'alertdialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', `${GUARDRAIL_CONFIG.overlayId}-title`);
+
+  const title = document.createElement('h2');
+  title.id = `${GUARDRAIL_CONFIG.overlayId}-title`;
+  title.textContent = `"${getButtonLabel(button)}" in a production account`;
+
+  const prompt = document.createElement('p');
+  prompt.append('Type ');
+  const strong = document.createElement('strong');
+  strong.textContent = label;
+  prompt.append(strong, ' to confirm.');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'aws-account-guardrail-input';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('aria-label', 'Account alias');
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'aws-account-guardrail-cancel';
+  cancel.textContent = 'Cancel';
+
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.className = 'aws-account-guardrail-confirm';
+  confirm.textContent = 'Continue';
+  confirm.disabled = true;
+
+  const proceed = () => {
+    if (input.value.trim() !== label) {
+      return;
+    }
+    removeGuardrailConfirmation();
+    // Let the replayed click, and the submit it may cause, through this once
+    guardrailState.confirmedButton = button;
+    try {
+      button.click();
+    } finally {
+      guardrailState.confirmedButton = null;
+    }
+  };
+
+  input.addEventListener('input', () => {
+    confirm.disabled = input.value.trim() !== label;
+  });
+  dialog.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      removeGuardrailConfirmation();
+    } else if (event.key === 'Enter') {
+      proceed();
+    }
+    // Keep console keyboard shortcuts from firing while typing
+    event.stopPropagation();
+  });
+  cancel.addEventListener('click', removeGuardrailConfirmation);
+  confirm.addEventListener('click', proceed);
+
+  const actions = document.createElement('div');
+  actions.className = 'aws-account-guardrail-actions';
+  actions.append(cancel, confirm);
+  dialog.append(title, prompt, input, actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  input.focus();
+
+  return overlay;
+}
+
+/**
+ * Removes the confirmation overlay, leaving the held-back action undone
+ */
+function removeGuardrailConfirmation() {
+  document.getElementById(GUARDRAIL_CONFIG.overlayId)?.remove();
+}
+
+/**
+ * Starts guarding destructive actions on the page
+ * @param {{label: string}} account - The name or alias to type to confirm
+ */
+function startGuardrail({ label }) {
+  guardrailState.label = label;
+  if (!guardrailState.listening) {
+    guardrailState.listening = true;
+    addActionGuard(holdBackDestructiveAction);
+  }
+}
+
+/**
+ * Stops guarding destructive actions
+ */
+function stopGuardrail() {
+  if (guardrailState.listening) {
+    removeActionGuard(holdBackDestructiveAction);
+    guardrailState.listening = false;
+  }
+  guardrailState.label = null;
+  guardrailState.confirmedButton = null;
+  removeGuardrailConfirmation();
+}
+
+// Export for use in the console script and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GUARDRAIL_CONFIG,
+    getButtonLabel,
+    isDestructiveAction,
+    addActionGuard,
+    removeActionGuard,
+    startGuardrail,
+    stopGuardrail,
+    guardrailState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.startGuardrail = startGuardrail;
+  window.stopGuardrail = stopGuardrail;
+  // Shared with read-only mode, loaded after this script
+  window.getButtonLabel = getButtonLabel;
+  window.addActionGuard = addActionGuard;
+  window.removeActionGuard = removeActionGuard;
+}
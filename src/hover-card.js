@@ -0,0 +1,262 @@
+/**
+ * Account Hover Card
+ * Shows an account's details and quick actions next to a recognized account ID or name
+ */
+
+// Import link, environment and partition utilities
+let cardLinks;
+let cardEnvironments;
+let cardPartitions;
+if (typeof require !== 'undefined') {
+  cardLinks = require('./account-links.js');
+  cardEnvironments = require('./environments.js');
+  cardPartitions = require('./partitions.js');
+} else {
+  // In browser context, account-links.js, environments.js and partitions.js are loaded first
+  cardLinks = {
+    formatDashedAccountId: window.formatDashedAccountId,
+    getAccountPortals: window.getAccountPortals,
+    getPortalAccountUrl: window.getPortalAccountUrl,
+    getSwitchRoleUrl: window.getSwitchRoleUrl
+  };
+  cardEnvironments = { resolveEnvironment: window.resolveEnvironment };
+  cardPartitions = {
+    PARTITIONS: window.PARTITIONS,
+    DEFAULT_PARTITION: window.DEFAULT_PARTITION,
+    getAccountPartition: window.getAccountPartition
+  };
+}
+
+// Configuration
+const HOVER_CARD_CONFIG = {
+  cardId: 'aws-account-hover-card',
+  hideDelay: 300,
+  copiedResetDelay: 1500,
+  offset: 6
+};
+
+// Hover card state
+const hoverCardState = {
+  accountId: null,
+  hideTimer: null
+};
+
+/**
+ * Lists the detail rows shown on the card for an account
+ * Rows without a value are left out, as is the partition of commercial AWS accounts.
+ * Roles are the ones listed for the account in the access portal.
+ * @param {Object} account - Stored account entry
+ * @returns {Array<{label: string, value: string}>}
+ */
+function getAccountCardRows(account) {
+  const environment = cardEnvironments?.resolveEnvironment ? cardEnvironments.resolveEnvironment(account.tags) : null;
+  const partition = cardPartitions.getAccountPartition(account);
+  const portals = cardLinks.getAccountPortals(account).map(portal => new URL(portal).hostname);
+  const lastSeen = Number.isFinite(account.lastUpdated) && account.lastUpdated > 0
+    ? new Date(account.lastUpdated).toLocaleString()
+    : '';
+
+  const rows = [
+    { label: 'Account ID', value: `${cardLinks.formatDashedAccountId(account.accountId)} · ${account.accountId}` },
+    { label: 'Email', value: account.email || '' },
+    { label: 'Environment', value: environment ? environment.label : '' },
+    { label: 'Roles', value: (account.roles || []).join(', ') },
+    { label: 'Partition', value: partition !== cardPartitions.DEFAULT_PARTITION ? cardPartitions.PARTITIONS[partition].label : '' },
+    { label: portals.length > 1 ? 'Portals' : 'Portal', value: portals.join(', ') },
+    { label: 'Last seen', value: lastSeen }
+  ];
+
+  return rows.filter(row => row.value);
+}
+
+/**
+ * Creates a link button for the card's action row
+ * @param {string} text - Link text
+ * @param {string} href - Target URL
+ * @returns {HTMLAnchorElement}
+ */
+function createCardLink(text, href) {
+  const link = document.createElement('a');
+  link.className = 'aws-account-hover-card-action';
+  link.textContent = text;
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+/**
+ * Copies an account ID to the clipboard and confirms on the button
+ * @param {string} accountId - The account ID to copy
+ * @param {HTMLButtonElement} button - The copy button
+ * @returns {Promise<boolean>} Whether the ID was copied
+ */
+async function copyAccountId(accountId, button) {
+  try {
+    await navigator.clipboard.writeText(accountId);
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy ID'; }, HOVER_CARD_CONFIG.copiedResetDelay);
+    return true;
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to copy account ID:', error);
+    button.textContent = 'Copy failed';
+    return false;
+  }
+}
+
+/**
+ * Builds the card contents for an account
+ * @param {HTMLElement} card - The card element to fill
+ * @param {Object} account - Stored account entry
+ */
+function renderAccountCard(card, account) {
+  card.replaceChildren();
+
+  const title = document.createElement('div');
+  title.className = 'aws-account-hover-card-title';
+  title.textContent = account.alias || account.accountName;
+  card.appendChild(title);
+
+  if (account.alias && account.alias !== account.accountName) {
+    const subtitle = document.createElement('div');
+    subtitle.className = 'aws-account-hover-card-subtitle';
+    subtitle.textContent = account.accountName;
+    card.appendChild(subtitle);
+  }
+
+  const details = document.createElement('dl');
+  details.className = 'aws-account-hover-card-details';
+  for (const row of getAccountCardRows(account)) {
+    const term = document.createElement('dt');
+    term.textContent = row.label;
+    const value = document.createElement('dd');
+    value.textContent = row.value;
+    details.append(term, value);
+  }
+  card.appendChild(details);
+
+  const actions = document.createElement('div');
+  actions.className = 'aws-account-hover-card-actions';
+
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.className = 'aws-account-hover-card-action';
+  copyButton.textContent = 'Copy ID';
+  copyButton.addEventListener('click', () => copyAccountId(account.accountId, copyButton));
+  actions.appendChild(copyButton);
+
+  const [portal] = cardLinks.getAccountPortals(account);
+  if (portal) {
+    actions.appendChild(createCardLink('Open in access portal', cardLinks.getPortalAccountUrl(portal, account.accountId)));
+    actions.appendChild(createCardLink('Get credentials', cardLinks.getPortalAccountUrl(portal, account.accountId, { credentials: true })));
+  }
+  actions.appendChild(createCardLink('Switch role', cardLinks.getSwitchRoleUrl(account)));
+
+  card.appendChild(actions);
+}
+
+/**
+ * Shows the card for an account below where it is drawn
+ * Showing the card already open for the same account only cancels a pending hide.
+ * @param {Object} account - Stored account entry
+ * @param {{left: number, bottom: number}} rect - Where the account reference is drawn
+ * @returns {HTMLElement} The card element
+ */
+function showAccountCard(account, rect) {
+  keepAccountCard();
+
+  let card = document.getElementById(HOVER_CARD_CONFIG.cardId);
+  if (card && !card.hidden && hoverCardState.accountId === account.accountId) {
+    return card;
+  }
+
+  if (!card) {
+    card = document.createElement('div');
+    card.id = HOVER_CARD_CONFIG.cardId;
+    card.className = 'aws-account-hover-card';
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-label', 'Account details');
+    document.body.appendChild(card);
+  }
+
+  renderAccountCard(card, account);
+  card.style.left = `${Math.round(rect.left)}px`;
+  card.style.top = `${Math.round(rect.bottom + HOVER_CARD_CONFIG.offset)}px`;
+  card.hidden = false;
+  hoverCardState.accountId = account.accountId;
+
+  return card;
+}
+
+/**
+ * Hides the card after a short delay, so the pointer can move from the reference onto it
+ */
+function scheduleHideAccountCard() {
+  if (hoverCardState.hideTimer || !hoverCardState.accountId) {
+    return;
+  }
+  hoverCardState.hideTimer = setTimeout(hideAccountCard, HOVER_CARD_CONFIG.hideDelay);
+}
+
+/**
+ * Keeps the card open, cancelling a pending hide
+ */
+function keepAccountCard() {
+  clearTimeout(hoverCardState.hideTimer);
+  hoverCardState.hideTimer = null;
+}
+
+/**
+ * Hides the card immediately
+ */
+function hideAccountCard() {
+  clearTimeout(hoverCardState.hideTimer);
+  hoverCardState.hideTimer = null;
+  hoverCardState.accountId = null;
+
+  const card = document.getElementById(HOVER_CARD_CONFIG.cardId);
+  if (card) {
+    card.hidden = true;
+  }
+}
+
+/**
+ * Checks whether an element is inside the card
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isInAccountCard(element) {
+  return Boolean(element && element.closest && element.closest(`#${HOVER_CARD_CONFIG.cardId}`));
+}
+
+/**
+ * Removes the card from the page
+ */
+function removeAccountCard() {
+  hideAccountCard();
+  document.getElementById(HOVER_CARD_CONFIG.cardId)?.remove();
+}
+
+// Export for use in the annotator and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HOVER_CARD_CONFIG,
+    getAccountCardRows,
+    copyAccountId,
+    showAccountCard,
+    scheduleHideAccountCard,
+    keepAccountCard,
+    hideAccountCard,
+    isInAccountCard,
+    removeAccountCard,
+    hoverCardState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.showAccountCard = showAccountCard;
+  window.scheduleHideAccountCard = scheduleHideAccountCard;
+  window.keepAccountCard = keepAccountCard;
+  window.hideAccountCard = hideAccountCard;
+  window.isInAccountCard = isInAccountCard;
+  window.removeAccountCard = removeAccountCard;
+}
@@ -0,0 +1,257 @@
+/**
+ * Account Importers
+ * Parses account lists exported from other tools into account mappings
+ */
+
+// Import validation utilities
+let importValidation;
+if (typeof require !== 'undefined') {
+  importValidation = require('./validation.js');
+} else {
+  // In browser context, validation.js is loaded separately
+  importValidation = { isValidAccountId, isValidAccountName, sanitizeAccountName, isValidEmail, isValidAccountStatus };
+}
+
+// Import partition utilities
+let importPartitions;
+if (typeof require !== 'undefined') {
+  importPartitions = require('./partitions.js');
+} else {
+  // In browser context, partitions.js is loaded separately
+  importPartitions = { ARN_PARTITION_PATTERN, getArnPartition, getRegionPartition };
+}
+
+// Source recorded for accounts imported from AWS Organizations
+const ORGANIZATIONS_SOURCE = 'organizations';
+
+// Source recorded for accounts imported from an AWS CLI config file
+const AWS_CONFIG_SOURCE = 'aws-config';
+
+// IAM role ARN: arn:<partition>:iam::<account-id>:role/<name>
+const ROLE_ARN_ACCOUNT_PATTERN = new RegExp(`^arn:${importPartitions.ARN_PARTITION_PATTERN}:iam::(\\d{12}):role/`);
+
+// Organizations account ARN: arn:<partition>:organizations::<management-id>:account/<org-id>/<account-id>
+const ORGANIZATIONS_ACCOUNT_ARN_PATTERN = new RegExp(
+  `^arn:${importPartitions.ARN_PARTITION_PATTERN}:organizations::\\d{12}:account/(o-[a-z0-9]+)/\\d{12}$`
+);
+
+/**
+ * Parses the output of `aws organizations list-accounts`
+ * Every entry goes through the same validation as captured accounts. Entries that fail are
+ * reported in `rejected` rather than imported. The account status is kept so suspended
+ * accounts stay flagged once stored.
+ * The source is scoped to the organization ID when the ARNs carry one, so importing
+ * several organizations keeps each one's accounts apart.
+ * @param {string} text - The JSON text
+ * @returns {{success: boolean, source?: string, accounts?: Array<Object>, rejected?: Array<{index: number, id: *, reason: string}>, error?: string}}
+ */
+function parseOrganizationsAccounts(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { success: false, error: `Not valid JSON: ${error.message}` };
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.Accounts;
+  if (!Array.isArray(entries)) {
+    return { success: false, error: 'Expected an "Accounts" array as printed by aws organizations list-accounts' };
+  }
+
+  const accounts = [];
+  const rejected = [];
+  const organizationIds = new Set();
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      rejected.push({ index, id: null, reason: 'Not an account object' });
+      return;
+    }
+
+    const accountId = typeof entry.Id === 'string' ? entry.Id.trim() : entry.Id;
+    if (!importValidation.isValidAccountId(accountId)) {
+      rejected.push({ index, id: entry.Id, reason: 'Invalid account ID' });
+      return;
+    }
+    if (!importValidation.isValidAccountName(entry.Name)) {
+      rejected.push({ index, id: accountId, reason: 'Invalid account name' });
+      return;
+    }
+
+    const account = {
+      accountId,
+      accountName: importValidation.sanitizeAccountName(entry.Name)
+    };
+    if (importValidation.isValidEmail(entry.Email)) {
+      account.email = entry.Email.trim();
+    }
+    if (importValidation.isValidAccountStatus(entry.Status)) {
+      account.status = entry.Status;
+    }
+
+    const arnMatch = typeof entry.Arn === 'string' && entry.Arn.match(ORGANIZATIONS_ACCOUNT_ARN_PATTERN);
+    if (arnMatch) {
+      organizationIds.add(arnMatch[1]);
+      account.partition = importPartitions.getArnPartition(entry.Arn);
+    }
+
+    accounts.push(account);
+  });
+
+  const source = organizationIds.size === 1
+    ? `${ORGANIZATIONS_SOURCE}:${[...organizationIds][0]}`
+    : ORGANIZATIONS_SOURCE;
+
+  return { success: true, source, accounts, rejected };
+}
+
+/**
+ * Parses INI text into sections, as used by ~/.aws/config and ~/.aws/credentials
+ * Indented lines belong to a nested setting (e.g. "s3 =") and are skipped.
+ * @param {string} text - The INI text
+ * @returns {Array<{name: string, values: Object<string, string>}>} Sections in file order
+ */
+function parseIni(text) {
+  const sections = [];
+  let current = null;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const sectionMatch = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+    if (sectionMatch) {
+      current = { name: sectionMatch[1], values: {} };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current || /^\s/.test(rawLine)) {
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      current.values[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Parses named profiles from an AWS CLI config file
+ * The account ID comes from sso_account_id or from the account in role_arn. The account
+ * name is the profile name, or the value of `nameKey` when the profile sets it. When
+ * several profiles point at the same account, the first one names it.
+ * @param {string} text - The config file contents
+ * @param {Object} [options]
+ * @param {string} [options.nameKey] - Profile key whose value to use as the account name
+ * @returns {{success: boolean, source?: string, accounts?: Array<Object>, rejected?: Array<{index: number, id: *, label: string, reason: string}>, error?: string}}
+ */
+function parseAwsConfigProfiles(text, { nameKey } = {}) {
+  const sections = parseIni(text);
+  const profiles = sections
+    .map(section => ({ ...section, profile: getProfileName(section.name) }))
+    .filter(section => section.profile !== null);
+
+  if (profiles.length === 0) {
+    return { success: false, error: 'No [profile ...] sections found' };
+  }
+
+  const key = typeof nameKey === 'string' ? nameKey.trim().toLowerCase() : '';
+  const accounts = [];
+  const rejected = [];
+  const namedBy = new Map();
+
+  profiles.forEach((section, index) => {
+    const label = `profile ${section.profile}`;
+    const accountId = getProfileAccountId(section.values);
+
+    if (!accountId) {
+      rejected.push({ index, id: null, label, reason: 'No sso_account_id or role_arn with an account ID' });
+      return;
+    }
+    if (namedBy.has(accountId)) {
+      rejected.push({ index, id: accountId, label, reason: `Account already named by profile ${namedBy.get(accountId)}` });
+      return;
+    }
+
+    const name = key && section.values[key] ? section.values[key] : section.profile;
+    if (!importValidation.isValidAccountName(name)) {
+      rejected.push({ index, id: accountId, label, reason: 'Invalid account name' });
+      return;
+    }
+
+    namedBy.set(accountId, section.profile);
+    const account = { accountId, accountName: importValidation.sanitizeAccountName(name) };
+    const partition = getProfilePartition(section.values);
+    if (partition) {
+      account.partition = partition;
+    }
+    accounts.push(account);
+  });
+
+  return { success: true, source: AWS_CONFIG_SOURCE, accounts, rejected };
+}
+
+/**
+ * Gets the profile name from a config section name
+ * "[profile prod]" and "[default]" are profiles, as are bare names in a credentials file.
+ * @param {string} sectionName - The section name without brackets
+ * @returns {string|null} The profile name, or null for non-profile sections
+ */
+function getProfileName(sectionName) {
+  const match = sectionName.match(/^profile\s+(.+)$/);
+  if (match) {
+    return match[1].trim();
+  }
+  // sso-session, services and similar sections are not profiles
+  return /\s/.test(sectionName) ? null : sectionName;
+}
+
+/**
+ * Gets the account ID a profile points at
+ * @param {Object<string, string>} values - The profile's settings
+ * @returns {string|null} The 12-digit account ID, or null if none
+ */
+function getProfileAccountId(values) {
+  if (importValidation.isValidAccountId(values.sso_account_id)) {
+    return values.sso_account_id;
+  }
+
+  const arnMatch = (values.role_arn || '').match(ROLE_ARN_ACCOUNT_PATTERN);
+  return arnMatch ? arnMatch[1] : null;
+}
+
+/**
+ * Gets the partition a profile's account is in, from role_arn or the SSO region
+ * @param {Object<string, string>} values - The profile's settings
+ * @returns {string|null} The partition, or null if the profile does not say
+ */
+function getProfilePartition(values) {
+  if (importValidation.isValidAccountId(values.sso_account_id)) {
+    return importPartitions.getRegionPartition(values.sso_region);
+  }
+  return importPartitions.getArnPartition(values.role_arn);
+}
+
+// Export for use in extension pages and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORGANIZATIONS_SOURCE,
+    AWS_CONFIG_SOURCE,
+    parseOrganizationsAccounts,
+    parseIni,
+    parseAwsConfigProfiles
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.ORGANIZATIONS_SOURCE = ORGANIZATIONS_SOURCE;
+  window.AWS_CONFIG_SOURCE = AWS_CONFIG_SOURCE;
+  window.parseOrganizationsAccounts = parseOrganizationsAccounts;
+  window.parseIni = parseIni;
+  window.parseAwsConfigProfiles = parseAwsConfigProfiles;
+}
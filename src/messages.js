@@ -0,0 +1,145 @@
+/**
+ * Message Handling
+ * Routes messages from content scripts and extension pages to the storage layer
+ */
+
+// Import the storage layer
+let storage;
+if (typeof require !== 'undefined') {
+  storage = require('./storage.js');
+} else {
+  // Service worker context - storage.js is imported first and exposes its functions on self
+  storage = self;
+}
+
+// Messages that change settings or stored data beyond capturing accounts. Only the
+// extension's own pages may send them, never a content script on a web page.
+const PRIVILEGED_MESSAGE_TYPES = [
+  'SET_ACCOUNT_ALIAS',
+  'SET_ACCOUNT_TAGS',
+  'SET_ACCOUNT_READ_ONLY',
+  'RESTORE_ACCOUNTS',
+  'UPDATE_SETTINGS',
+  'SYNC_NOW',
+  'CLEAR_DATA'
+];
+
+/**
+ * Checks whether a message was sent by one of the extension's own pages
+ * Pages are the popup, which has no tab, and the options page, which is the top frame of
+ * its own tab. Content scripts, and extension frames inside a web page, are neither.
+ * @param {chrome.runtime.MessageSender} [sender] - Sender of the message
+ * @returns {boolean}
+ */
+function isExtensionPage(sender) {
+  const extensionUrl = chrome.runtime.getURL('');
+  const isExtensionUrl = (url) => typeof url === 'string' && url.startsWith(extensionUrl);
+
+  if (!sender || sender.id !== chrome.runtime.id || !isExtensionUrl(sender.url)) {
+    return false;
+  }
+  return !sender.tab || (sender.frameId === 0 && isExtensionUrl(sender.tab.url));
+}
+
+/**
+ * Message handler for content script and extension page communication
+ * @param {Object} message - Message with a `type` and type-specific fields
+ * @param {chrome.runtime.MessageSender} [sender] - Sender of the message
+ * @returns {Promise<Object>} Response to send back
+ */
+async function handleMessage(message, sender) {
+  if (!message || !message.type) {
+    return { success: false, error: 'Invalid message format' };
+  }
+  if (PRIVILEGED_MESSAGE_TYPES.includes(message.type) && !isExtensionPage(sender)) {
+    return { success: false, error: `${message.type} is only accepted from extension pages` };
+  }
+
+  await storage.ensureMigrated();
+
+  switch (message.type) {
+    case 'STORE_ACCOUNTS':
+      if (!Array.isArray(message.accounts)) {
+        return { success: false, error: 'Accounts must be an array' };
+      }
+      if (message.mode !== undefined && !Object.values(storage.STORE_MODES).includes(message.mode)) {
+        return { success: false, error: `Unknown store mode: ${message.mode}` };
+      }
+      return await storage.storeAccounts(message.accounts, message.source || sender?.origin, message.mode);
+
+    case 'GET_ACCOUNT_NAME':
+      if (!message.accountId) {
+        return { success: false, accountName: null, error: 'Account ID required' };
+      }
+      return await storage.getAccountName(message.accountId);
+
+    case 'GET_ALL_ACCOUNTS':
+      return await storage.getAllAccounts();
+
+    case 'GET_BACKUP_DATA':
+      return await storage.getBackupData();
+
+    case 'GET_ACCOUNT_BY_NAME':
+      if (!message.accountName) {
+        return { success: false, accountId: null, error: 'Account name required' };
+      }
+      return await storage.getAccountByName(message.accountName);
+
+    case 'SET_ACCOUNT_ALIAS':
+      if (!message.accountId) {
+        return { success: false, error: 'Account ID required' };
+      }
+      return await storage.setAccountAlias(message.accountId, message.alias);
+
+    case 'SET_ACCOUNT_TAGS':
+      if (!message.accountId) {
+        return { success: false, error: 'Account ID required' };
+      }
+      return await storage.setAccountTags(message.accountId, message.tags);
+
+    case 'SET_ACCOUNT_READ_ONLY':
+      if (!message.accountId) {
+        return { success: false, error: 'Account ID required' };
+      }
+      return await storage.setAccountReadOnly(message.accountId, message.readOnly);
+
+    case 'GET_ACCOUNT_DETAILS':
+      if (!message.accountId) {
+        return { success: false, account: null, error: 'Account ID required' };
+      }
+      return await storage.getAccountDetails(message.accountId);
+
+    case 'RESTORE_ACCOUNTS':
+      if (!Array.isArray(message.accounts)) {
+        return { success: false, error: 'Accounts must be an array' };
+      }
+      return await storage.restoreAccounts(message.accounts, message.replace === true);
+
+    case 'GET_SETTINGS':
+      return await storage.getSettings();
+
+    case 'UPDATE_SETTINGS':
+      return await storage.updateSettings(message.settings);
+
+    case 'SYNC_NOW':
+      return await storage.syncAccounts();
+
+    case 'CLEAR_DATA':
+      return await storage.clearAllAccounts();
+
+    default:
+      return { success: false, error: `Unknown message type: ${message.type}` };
+  }
+}
+
+// Export for use in the service worker and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    handleMessage
+  };
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    handleMessage
+  });
+}
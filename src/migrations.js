@@ -0,0 +1,141 @@
+/**
+ * Storage Migrations
+ * Upgrades the stored account map from older schema versions, one ordered step at a time
+ */
+
+// Import validation utilities
+let migrationValidation;
+if (typeof require !== 'undefined') {
+  migrationValidation = require('./validation.js');
+} else {
+  // In browser and service worker context, validation.js is loaded first
+  migrationValidation = { isValidAccountId, isValidAccountName, sanitizeAccountName, isValidEnvironment, isValidColor };
+}
+
+/**
+ * Ordered schema migrations
+ * Each step upgrades the account map from the previous version to `version`. A step must
+ * not drop data silently: anything it cannot carry over is returned as an issue, with the
+ * original value, so it can be recovered. Data saved without a version is treated as
+ * version 1, so a step must also accept entries already in a newer shape.
+ * Version 1 entries are { accountId, accountName, lastUpdated }.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Record the sources each account was captured from',
+    migrate(accounts) {
+      const migrated = {};
+      const issues = [];
+
+      for (const [key, entry] of Object.entries(accounts)) {
+        const accountId = entry && typeof entry === 'object' && entry.accountId !== undefined ? entry.accountId : key;
+        if (!entry || typeof entry !== 'object' || accountId !== key ||
+            !migrationValidation.isValidAccountId(accountId) ||
+            !migrationValidation.isValidAccountName(entry.accountName)) {
+          issues.push({ accountId: key, reason: 'Unreadable account entry set aside', value: entry });
+          continue;
+        }
+
+        migrated[key] = {
+          ...entry,
+          accountId,
+          lastUpdated: Number.isFinite(entry.lastUpdated) ? entry.lastUpdated : 0,
+          // Version 1 did not record where accounts came from
+          sources: Array.isArray(entry.sources) ? entry.sources.filter(s => typeof s === 'string' && s) : []
+        };
+      }
+
+      return { accounts: migrated, issues };
+    }
+  },
+  {
+    version: 3,
+    description: 'Normalize aliases and environment tags',
+    migrate(accounts) {
+      const migrated = {};
+      const issues = [];
+
+      for (const [accountId, entry] of Object.entries(accounts)) {
+        const { alias, tags, ...account } = entry;
+
+        if (typeof alias === 'string' && migrationValidation.isValidAccountName(alias)) {
+          account.alias = migrationValidation.sanitizeAccountName(alias);
+        } else if (alias !== undefined && alias !== null && alias !== '') {
+          issues.push({ accountId, reason: 'Invalid alias removed', value: alias });
+        }
+
+        if (tags && typeof tags === 'object' && migrationValidation.isValidEnvironment(tags.environment)) {
+          account.tags = { environment: tags.environment.trim() };
+          if (migrationValidation.isValidColor(tags.color)) {
+            account.tags.color = tags.color.toLowerCase();
+          } else if (tags.color !== undefined && tags.color !== null && tags.color !== '') {
+            issues.push({ accountId, reason: 'Invalid tag color removed', value: tags.color });
+          }
+        } else if (tags !== undefined && tags !== null) {
+          issues.push({ accountId, reason: 'Invalid tags removed', value: tags });
+        }
+
+        migrated[accountId] = account;
+      }
+
+      return { accounts: migrated, issues };
+    }
+  }
+];
+
+// Schema version written by this build
+const STORAGE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades an account map to the latest schema version
+ * Steps newer than `fromVersion` run in order, each on a copy of the previous result. If a
+ * step throws, the result stops at the last step that succeeded and the error is reported.
+ * @param {Object} accounts - Stored account map
+ * @param {number} fromVersion - Schema version the map was written with
+ * @param {Array<Object>} [migrations] - Migration steps, defaults to MIGRATIONS
+ * @returns {{accounts: Object, version: number, applied: Array<number>, issues: Array<Object>, error?: {version: number, message: string}}}
+ */
+function migrateAccounts(accounts, fromVersion, migrations = MIGRATIONS) {
+  let current = accounts || {};
+  let version = fromVersion;
+  const applied = [];
+  const issues = [];
+
+  for (const step of migrations) {
+    if (step.version <= version) {
+      continue;
+    }
+
+    try {
+      const result = step.migrate(JSON.parse(JSON.stringify(current)));
+      current = result.accounts;
+      version = step.version;
+      applied.push(step.version);
+      issues.push(...result.issues.map(issue => ({ ...issue, version: step.version })));
+    } catch (error) {
+      return { accounts: current, version, applied, issues, error: { version: step.version, message: error.message } };
+    }
+  }
+
+  return { accounts: current, version, applied, issues };
+}
+
+// Export for use in the service worker, extension pages and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIGRATIONS,
+    STORAGE_VERSION,
+    migrateAccounts
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.STORAGE_VERSION = STORAGE_VERSION;
+  window.migrateAccounts = migrateAccounts;
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    STORAGE_VERSION,
+    migrateAccounts
+  });
+}
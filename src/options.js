@@ -0,0 +1,921 @@
+/**
+ * Options Page Script
+ * Lets users manage per-account settings such as display aliases and environment tags,
+ * import accounts from other sources, sync them across devices, and back up or restore the
+ * account database
+ */
+
+// Import validation utilities
+let validation;
+if (typeof require !== 'undefined') {
+  validation = require('./validation.js');
+} else {
+  // In browser context, validation.js is loaded separately
+  validation = { isValidAccountId, isValidAccountName, sanitizeAccountName, isValidEnvironment, isValidColor };
+}
+
+// Import environment utilities
+let environmentUtils;
+if (typeof require !== 'undefined') {
+  environmentUtils = require('./environments.js');
+} else {
+  // In browser context, environments.js is loaded separately
+  environmentUtils = { ENVIRONMENT_PRESETS, DEFAULT_ENVIRONMENT_COLOR, getEnvironmentPreset, resolveEnvironment };
+}
+
+// Import account list parsers
+let importerUtils;
+if (typeof require !== 'undefined') {
+  importerUtils = require('./importers.js');
+} else {
+  // In browser context, importers.js is loaded separately
+  importerUtils = { parseOrganizationsAccounts, parseAwsConfigProfiles };
+}
+
+// Import backup utilities
+let backupUtils;
+if (typeof require !== 'undefined') {
+  backupUtils = require('./backup.js');
+} else {
+  // In browser context, backup.js is loaded separately
+  backupUtils = { createBackup, createCsvBackup, parseBackup, diffAccounts };
+}
+
+// Import sections on the page, keyed by element ID prefix
+// Organizations lists are complete, so a re-import replaces that organization's accounts.
+// Config files only name some accounts, so their imports are merged in.
+const IMPORT_SECTIONS = {
+  organizations: {
+    parse: (text) => importerUtils.parseOrganizationsAccounts(text),
+    mode: 'replace'
+  },
+  'aws-config': {
+    parse: (text) => importerUtils.parseAwsConfigProfiles(text, {
+      nameKey: document.getElementById('aws-config-name-key')?.value
+    }),
+    mode: 'merge'
+  }
+};
+
+// Controls on the page bound directly to a setting, element ID to setting name
+const SETTING_CONTROLS = {
+  'account-display-mode': 'accountDisplayMode',
+  'annotate-account-ids': 'annotateAccountIds',
+  'tab-title-mode': 'tabTitleMode',
+  'favicon-badge': 'faviconBadge',
+  'prod-guardrail': 'prodGuardrail'
+};
+
+// Select value that reveals the custom environment input
+const CUSTOM_ENVIRONMENT = '__custom__';
+
+// Current page state
+const optionsState = {
+  accounts: {},
+  filter: ''
+};
+
+/**
+ * Validates an alias entered by the user
+ * An empty alias is valid and clears the alias.
+ * @param {string} alias - The alias text
+ * @returns {{valid: boolean, alias: string|null, error?: string}}
+ */
+function validateAlias(alias) {
+  if (typeof alias !== 'string' || alias.trim().length === 0) {
+    return { valid: true, alias: null };
+  }
+
+  if (!validation.isValidAccountName(alias)) {
+    return { valid: false, alias: null, error: 'Alias must be 256 characters or fewer' };
+  }
+
+  return { valid: true, alias: validation.sanitizeAccountName(alias) };
+}
+
+/**
+ * Saves an alias through the background service worker
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string} alias - The alias text, empty to clear
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function saveAlias(accountId, alias) {
+  const checked = validateAlias(alias);
+  if (!checked.valid) {
+    return { success: false, error: checked.error };
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_ACCOUNT_ALIAS',
+      accountId: accountId,
+      alias: checked.alias
+    });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to save alias:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Validates an environment tag and color chosen by the user
+ * An empty environment is valid and clears the tags.
+ * @param {string} environment - The environment tag value
+ * @param {string} [color] - The #rrggbb color, omitted to use the preset color
+ * @returns {{valid: boolean, tags: Object|null, error?: string}}
+ */
+function validateTags(environment, color) {
+  if (typeof environment !== 'string' || environment.trim().length === 0) {
+    return { valid: true, tags: null };
+  }
+
+  if (!validation.isValidEnvironment(environment)) {
+    return {
+      valid: false,
+      tags: null,
+      error: 'Environment must be up to 32 letters, digits, spaces, dots, dashes or underscores'
+    };
+  }
+
+  if (color && !validation.isValidColor(color)) {
+    return { valid: false, tags: null, error: 'Color must be in #rrggbb form' };
+  }
+
+  const tags = { environment: environment.trim() };
+  if (color) {
+    tags.color = color.toLowerCase();
+  }
+  return { valid: true, tags };
+}
+
+/**
+ * Saves an account's environment tag through the background service worker
+ * The color is only stored when it differs from the preset color of the environment.
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string} environment - The environment tag value, empty to clear
+ * @param {string} [color] - The #rrggbb color
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function saveTags(accountId, environment, color) {
+  const preset = environmentUtils.getEnvironmentPreset(environment);
+  const customColor = preset && color && color.toLowerCase() === preset.color.toLowerCase() ? undefined : color;
+
+  const checked = validateTags(environment, customColor);
+  if (!checked.valid) {
+    return { success: false, error: checked.error };
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_ACCOUNT_TAGS',
+      accountId: accountId,
+      tags: checked.tags
+    });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to save tags:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Marks an account read-only, or clears the mark, through the background service worker
+ * @param {string} accountId - The 12-digit account ID
+ * @param {boolean} readOnly - True to mark the account read-only
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function saveReadOnly(accountId, readOnly) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_ACCOUNT_READ_ONLY',
+      accountId: accountId,
+      readOnly: readOnly === true
+    });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to save read-only flag:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Returns the stored accounts matching the filter, sorted by name
+ * @param {Object} accounts - Account map keyed by account ID
+ * @param {string} filter - Filter text matched against names, alias and ID
+ * @returns {Array<Object>} Matching accounts
+ */
+function getVisibleAccounts(accounts, filter) {
+  const search = (filter || '').trim().toLowerCase();
+
+  return Object.values(accounts || {})
+    .filter(account => !search ||
+      account.accountId.includes(search) ||
+      account.accountName.toLowerCase().includes(search) ||
+      (account.alias || '').toLowerCase().includes(search))
+    .sort((a, b) => a.accountName.localeCompare(b.accountName, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Builds the table row for one account
+ * @param {Object} account - Stored account entry
+ * @returns {HTMLTableRowElement}
+ */
+function createAccountRow(account) {
+  const tr = document.createElement('tr');
+  tr.dataset.accountId = account.accountId;
+
+  const nameCell = document.createElement('td');
+  nameCell.textContent = account.accountName;
+  if (account.status === 'SUSPENDED') {
+    const flag = document.createElement('span');
+    flag.className = 'status-flag';
+    flag.textContent = 'Suspended';
+    nameCell.appendChild(flag);
+  }
+
+  const idCell = document.createElement('td');
+  idCell.className = 'account-id';
+  idCell.textContent = account.accountId;
+
+  const aliasCell = document.createElement('td');
+  const aliasInput = document.createElement('input');
+  aliasInput.type = 'text';
+  aliasInput.className = 'alias-input';
+  aliasInput.maxLength = 256;
+  aliasInput.placeholder = account.accountName;
+  aliasInput.value = account.alias || '';
+  aliasInput.setAttribute('aria-label', `Alias for ${account.accountName}`);
+  aliasCell.appendChild(aliasInput);
+
+  const statusCell = document.createElement('td');
+  statusCell.className = 'row-status';
+  statusCell.setAttribute('role', 'status');
+
+  const environmentCell = document.createElement('td');
+  environmentCell.appendChild(createEnvironmentControls(account, (response) => showRowStatus(statusCell, response)));
+
+  const readOnlyCell = document.createElement('td');
+  readOnlyCell.className = 'read-only-cell';
+  const readOnlyInput = document.createElement('input');
+  readOnlyInput.type = 'checkbox';
+  readOnlyInput.className = 'read-only-input';
+  readOnlyInput.checked = account.readOnly === true;
+  readOnlyInput.setAttribute('aria-label', `Read-only for ${account.accountName}`);
+  readOnlyCell.appendChild(readOnlyInput);
+
+  aliasInput.addEventListener('change', async () => {
+    const response = await saveAlias(account.accountId, aliasInput.value);
+    showRowStatus(statusCell, response);
+
+    if (response.success) {
+      const checked = validateAlias(aliasInput.value);
+      aliasInput.value = checked.alias || '';
+      optionsState.accounts[account.accountId] = { ...optionsState.accounts[account.accountId], alias: checked.alias || undefined };
+    }
+  });
+
+  readOnlyInput.addEventListener('change', async () => {
+    const response = await saveReadOnly(account.accountId, readOnlyInput.checked);
+    showRowStatus(statusCell, response);
+
+    if (response.success) {
+      optionsState.accounts[account.accountId] = { ...optionsState.accounts[account.accountId], readOnly: readOnlyInput.checked || undefined };
+    } else {
+      readOnlyInput.checked = !readOnlyInput.checked;
+    }
+  });
+
+  tr.append(nameCell, idCell, aliasCell, environmentCell, readOnlyCell, statusCell);
+  return tr;
+}
+
+/**
+ * Builds the environment select, custom value input and color picker for one account
+ * @param {Object} account - Stored account entry
+ * @param {Function} onSaved - Called with the save response
+ * @returns {HTMLElement} Container holding the controls
+ */
+function createEnvironmentControls(account, onSaved) {
+  const container = document.createElement('div');
+  container.className = 'environment-controls';
+
+  const resolved = environmentUtils.resolveEnvironment(account.tags);
+  const isPreset = resolved && environmentUtils.getEnvironmentPreset(resolved.environment);
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', `Environment for ${account.accountName}`);
+  select.add(new Option('None', ''));
+  for (const [value, preset] of Object.entries(environmentUtils.ENVIRONMENT_PRESETS)) {
+    select.add(new Option(preset.label, value));
+  }
+  select.add(new Option('Custom...', CUSTOM_ENVIRONMENT));
+  select.value = resolved ? (isPreset ? resolved.environment : CUSTOM_ENVIRONMENT) : '';
+
+  const customInput = document.createElement('input');
+  customInput.type = 'text';
+  customInput.className = 'environment-custom';
+  customInput.maxLength = 32;
+  customInput.placeholder = 'e.g. pci-prod';
+  customInput.value = resolved && !isPreset ? resolved.environment : '';
+  customInput.hidden = select.value !== CUSTOM_ENVIRONMENT;
+  customInput.setAttribute('aria-label', `Custom environment for ${account.accountName}`);
+
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.value = resolved ? resolved.color : environmentUtils.DEFAULT_ENVIRONMENT_COLOR;
+  colorInput.disabled = !resolved;
+  colorInput.setAttribute('aria-label', `Environment color for ${account.accountName}`);
+
+  const save = async () => {
+    const environment = select.value === CUSTOM_ENVIRONMENT ? customInput.value : select.value;
+    if (select.value === CUSTOM_ENVIRONMENT && !customInput.value.trim()) {
+      // Wait until a custom value has been typed
+      return;
+    }
+
+    const color = environment ? colorInput.value : undefined;
+    const response = await saveTags(account.accountId, environment, color);
+    onSaved(response);
+
+    if (response.success) {
+      const tags = validateTags(environment).tags;
+      colorInput.disabled = !tags;
+      optionsState.accounts[account.accountId] = { ...optionsState.accounts[account.accountId], tags: tags || undefined };
+    }
+  };
+
+  select.addEventListener('change', () => {
+    customInput.hidden = select.value !== CUSTOM_ENVIRONMENT;
+    const preset = environmentUtils.getEnvironmentPreset(select.value);
+    colorInput.value = preset ? preset.color : environmentUtils.DEFAULT_ENVIRONMENT_COLOR;
+
+    if (select.value === CUSTOM_ENVIRONMENT) {
+      customInput.focus();
+    }
+    save();
+  });
+  customInput.addEventListener('change', save);
+  colorInput.addEventListener('change', save);
+
+  container.append(select, customInput, colorInput);
+  return container;
+}
+
+/**
+ * Shows the outcome of a save in a row's status cell
+ * @param {HTMLElement} statusCell - The status cell
+ * @param {{success: boolean, error?: string}} response - The save response
+ */
+function showRowStatus(statusCell, response) {
+  statusCell.classList.toggle('error', !response.success);
+  statusCell.textContent = response.success ? 'Saved' : response.error;
+}
+
+/**
+ * Renders the account table from the current state
+ */
+function renderAccounts() {
+  const tbody = document.getElementById('account-rows');
+  if (!tbody) {
+    return;
+  }
+
+  tbody.textContent = '';
+  for (const account of getVisibleAccounts(optionsState.accounts, optionsState.filter)) {
+    tbody.appendChild(createAccountRow(account));
+  }
+
+  const emptyState = document.getElementById('empty-state');
+  if (emptyState) {
+    emptyState.hidden = Object.keys(optionsState.accounts).length > 0;
+  }
+}
+
+/**
+ * Summarizes a parsed import for the preview
+ * @param {{accounts: Array<Object>, rejected: Array<Object>}} parsed - Successful parse result
+ * @param {Object} storedAccounts - Account map currently stored
+ * @returns {{added: number, updated: number, suspended: Array<Object>, rejected: Array<Object>}}
+ */
+function summarizeImport(parsed, storedAccounts) {
+  const stored = storedAccounts || {};
+
+  return {
+    added: parsed.accounts.filter(a => !stored[a.accountId]).length,
+    updated: parsed.accounts.filter(a => stored[a.accountId]).length,
+    suspended: parsed.accounts.filter(a => a.status === 'SUSPENDED'),
+    rejected: parsed.rejected
+  };
+}
+
+/**
+ * Renders the preview of a parsed import
+ * @param {HTMLElement} output - Element to render into
+ * @param {Object} parsed - Result of an importer's parse function
+ */
+function renderImportPreview(output, parsed) {
+  output.textContent = '';
+  output.classList.toggle('error', !parsed.success);
+
+  if (!parsed.success) {
+    output.textContent = parsed.error;
+    return;
+  }
+
+  const summary = summarizeImport(parsed, optionsState.accounts);
+  const lines = [
+    `${parsed.accounts.length} accounts ready to import (${summary.added} new, ${summary.updated} already known).`
+  ];
+  if (summary.suspended.length > 0) {
+    lines.push(`Suspended: ${summary.suspended.map(a => `${a.accountName} (${a.accountId})`).join(', ')}`);
+  }
+  for (const rejected of summary.rejected) {
+    const label = rejected.label || `entry ${rejected.index + 1}`;
+    lines.push(`Skipped ${label}${rejected.id ? ` (${rejected.id})` : ''}: ${rejected.reason}`);
+  }
+
+  for (const line of lines) {
+    const p = document.createElement('p');
+    p.textContent = line;
+    output.appendChild(p);
+  }
+}
+
+/**
+ * Stores parsed accounts through the background service worker
+ * @param {{source: string, accounts: Array<Object>}} parsed - Successful parse result
+ * @param {string} [mode] - Store mode, 'replace' or 'merge'
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function importAccounts(parsed, mode = 'replace') {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'STORE_ACCOUNTS',
+      source: parsed.source,
+      accounts: parsed.accounts,
+      mode: mode
+    });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to import accounts:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Wires up an import section: paste or upload, preview, then import
+ * @param {string} prefix - Element ID prefix of the section
+ * @param {{parse: Function, mode: string}} section - Parser for the input text and store mode
+ */
+function setupImportSection(prefix, { parse, mode }) {
+  const input = document.getElementById(`${prefix}-input`);
+  const fileInput = document.getElementById(`${prefix}-file`);
+  const previewButton = document.getElementById(`${prefix}-preview`);
+  const importButton = document.getElementById(`${prefix}-import`);
+  const output = document.getElementById(`${prefix}-output`);
+
+  if (!input || !previewButton || !importButton || !output) {
+    return;
+  }
+
+  let parsed = null;
+
+  const reset = () => {
+    parsed = null;
+    importButton.disabled = true;
+  };
+
+  // Any edit in the section (text, name key, ...) invalidates the preview
+  (input.closest('section') || input).addEventListener('input', reset);
+
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (file) {
+        input.value = await file.text();
+        reset();
+      }
+    });
+  }
+
+  previewButton.addEventListener('click', () => {
+    parsed = parse(input.value);
+    renderImportPreview(output, parsed);
+    importButton.disabled = !parsed.success || parsed.accounts.length === 0;
+  });
+
+  importButton.addEventListener('click', async () => {
+    if (!parsed || !parsed.success) {
+      return;
+    }
+
+    const response = await importAccounts(parsed, mode);
+    output.classList.toggle('error', !response.success);
+    output.textContent = response.success
+      ? `Imported ${parsed.accounts.length} accounts.`
+      : `Import failed: ${response.error}`;
+
+    if (response.success) {
+      reset();
+      optionsState.accounts = await loadAccounts();
+      renderAccounts();
+    }
+  });
+}
+
+/**
+ * Offers text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports the whole stored database as a file
+ * The outcome is shown in the backup section's output, as for a restore.
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportBackup(format) {
+  const output = document.getElementById('backup-output');
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'GET_BACKUP_DATA' }) || { success: false, error: 'No response' };
+    if (response.success) {
+      const date = new Date().toISOString().slice(0, 10);
+      if (format === 'csv') {
+        downloadFile(`aws-accounts-${date}.csv`, backupUtils.createCsvBackup(response), 'text/csv');
+      } else {
+        const backup = backupUtils.createBackup(response);
+        downloadFile(`aws-accounts-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+      }
+    }
+  } catch (error) {
+    console.error('[AWS Account Display] Export failed:', error);
+    response = { success: false, error: error.message };
+  }
+
+  if (output) {
+    output.classList.toggle('error', !response.success);
+    output.textContent = response.success
+      ? `Exported ${Object.keys(response.accounts).length} accounts.`
+      : `Export failed: ${response.error}`;
+  }
+}
+
+/**
+ * Renders what restoring a backup would change
+ * @param {HTMLElement} output - Element to render into
+ * @param {Object} parsed - Result of parseBackup
+ * @param {Object} diff - Result of diffAccounts, when parsing succeeded
+ */
+function renderRestorePreview(output, parsed, diff) {
+  output.textContent = '';
+  output.classList.toggle('error', !parsed.success);
+
+  if (!parsed.success) {
+    output.textContent = parsed.error;
+    return;
+  }
+
+  const describe = (account) => `${account.alias || account.accountName} (${account.accountId})`;
+  const lines = [
+    `${diff.added.length} to add, ${diff.changed.length} to change, ${diff.removed.length} to remove, ${diff.unchanged} unchanged.`
+  ];
+  for (const account of diff.added) {
+    lines.push(`+ ${describe(account)}`);
+  }
+  for (const { account, fields } of diff.changed) {
+    lines.push(`~ ${describe(account)}: ${fields.join(', ')}`);
+  }
+  for (const account of diff.removed) {
+    lines.push(`- ${describe(account)}`);
+  }
+  for (const rejected of parsed.rejected) {
+    lines.push(`Skipped row ${rejected.index + 1}${rejected.id ? ` (${rejected.id})` : ''}: ${rejected.reason}`);
+  }
+
+  for (const line of lines) {
+    const p = document.createElement('p');
+    p.textContent = line;
+    output.appendChild(p);
+  }
+}
+
+/**
+ * Writes validated backup entries through the background service worker
+ * @param {Array<Object>} accounts - Validated account entries
+ * @param {boolean} replace - True to drop stored accounts that are not in the backup
+ * @returns {Promise<{success: boolean, restored?: number, error?: string}>}
+ */
+async function restoreBackup(accounts, replace) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESTORE_ACCOUNTS',
+      accounts: accounts,
+      replace: replace
+    });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to restore backup:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Wires up the backup section: export buttons, and restore with a diff preview
+ */
+function setupBackupSection() {
+  const input = document.getElementById('backup-input');
+  const fileInput = document.getElementById('backup-file');
+  const replaceInput = document.getElementById('backup-replace');
+  const previewButton = document.getElementById('backup-preview');
+  const restoreButton = document.getElementById('backup-restore');
+  const output = document.getElementById('backup-output');
+
+  document.getElementById('export-json')?.addEventListener('click', () => exportBackup('json'));
+  document.getElementById('export-csv')?.addEventListener('click', () => exportBackup('csv'));
+
+  if (!input || !previewButton || !restoreButton || !output) {
+    return;
+  }
+
+  let parsed = null;
+
+  const reset = () => {
+    parsed = null;
+    restoreButton.disabled = true;
+  };
+
+  (input.closest('section') || input).addEventListener('input', reset);
+  replaceInput?.addEventListener('change', reset);
+
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (file) {
+      input.value = await file.text();
+      reset();
+    }
+  });
+
+  previewButton.addEventListener('click', () => {
+    parsed = backupUtils.parseBackup(input.value);
+    const diff = parsed.success
+      ? backupUtils.diffAccounts(optionsState.accounts, parsed.accounts, Boolean(replaceInput?.checked))
+      : null;
+    renderRestorePreview(output, parsed, diff);
+    restoreButton.disabled = !parsed.success ||
+      (diff.added.length + diff.changed.length + diff.removed.length === 0);
+  });
+
+  restoreButton.addEventListener('click', async () => {
+    if (!parsed || !parsed.success) {
+      return;
+    }
+
+    const response = await restoreBackup(parsed.accounts, Boolean(replaceInput?.checked));
+    output.classList.toggle('error', !response.success);
+    output.textContent = response.success
+      ? `Restored ${response.restored} accounts.`
+      : `Restore failed: ${response.error}`;
+
+    if (response.success) {
+      reset();
+      optionsState.accounts = await loadAccounts();
+      renderAccounts();
+    }
+  });
+}
+
+/**
+ * Describes the outcome of the last sync
+ * @param {boolean} enabled - Whether sync is turned on
+ * @param {Object} [syncState] - Sync state recorded by the background service worker
+ * @returns {{text: string, error: boolean}}
+ */
+function formatSyncStatus(enabled, syncState) {
+  if (!enabled) {
+    return { text: 'Sync is off. Accounts are stored on this computer only.', error: false };
+  }
+  if (syncState && syncState.lastError) {
+    return { text: `Sync failed: ${syncState.lastError}`, error: true };
+  }
+  if (!syncState || !syncState.lastSyncAt) {
+    return { text: 'Not synced yet.', error: false };
+  }
+
+  const used = Math.round((syncState.bytes / syncState.quotaBytes) * 100);
+  return {
+    text: `Last synced ${new Date(syncState.lastSyncAt).toLocaleString()}, using ${used}% of sync storage.`,
+    error: false
+  };
+}
+
+/**
+ * Saves settings through the background service worker
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<{success: boolean, settings?: Object, error?: string}>}
+ */
+async function updateSettings(changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: changes });
+    return response || { success: false, error: 'No response' };
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to save settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Wires up the sync section: the on/off switch, sync now, and the last sync status
+ */
+async function setupSyncSection() {
+  const enabledInput = document.getElementById('sync-enabled');
+  const syncButton = document.getElementById('sync-now');
+  const status = document.getElementById('sync-status');
+  if (!enabledInput || !syncButton || !status) {
+    return;
+  }
+
+  const refresh = async () => {
+    const { settings, syncState } = await chrome.storage.local.get(['settings', 'syncState']);
+    const enabled = Boolean(settings && settings.syncEnabled);
+    const described = formatSyncStatus(enabled, syncState);
+
+    enabledInput.checked = enabled;
+    syncButton.disabled = !enabled;
+    status.textContent = described.text;
+    status.classList.toggle('error', described.error);
+  };
+
+  const afterSync = async () => {
+    await refresh();
+    optionsState.accounts = await loadAccounts();
+    renderAccounts();
+  };
+
+  enabledInput.addEventListener('change', async () => {
+    enabledInput.disabled = true;
+    const response = await updateSettings({ syncEnabled: enabledInput.checked });
+    enabledInput.disabled = false;
+    if (!response.success) {
+      status.textContent = `Could not change sync: ${response.error}`;
+      status.classList.add('error');
+      return;
+    }
+    await afterSync();
+  });
+
+  syncButton.addEventListener('click', async () => {
+    syncButton.disabled = true;
+    let error = null;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SYNC_NOW' });
+      if (!response || !response.success) {
+        error = (response && response.error) || 'No response';
+      }
+      await afterSync();
+    } catch (e) {
+      console.error('[AWS Account Display] Sync failed:', e);
+      error = e.message;
+    } finally {
+      syncButton.disabled = !enabledInput.checked;
+    }
+
+    if (error) {
+      status.textContent = `Sync failed: ${error}`;
+      status.classList.add('error');
+    }
+  });
+
+  await refresh();
+}
+
+/**
+ * Wires up the checkboxes and selects bound directly to a setting
+ */
+async function setupSettingControls() {
+  const status = document.getElementById('display-status');
+  let settings = {};
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    settings = (response && response.settings) || {};
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to load settings:', error);
+    if (status) {
+      status.textContent = `Could not load settings: ${error.message}`;
+      status.classList.add('error');
+    }
+  }
+
+  for (const [inputId, setting] of Object.entries(SETTING_CONTROLS)) {
+    const input = document.getElementById(inputId);
+    if (!input) {
+      continue;
+    }
+
+    const isCheckbox = input.type === 'checkbox';
+    const readValue = () => (isCheckbox ? input.checked : input.value);
+    const writeValue = (value) => {
+      if (isCheckbox) {
+        input.checked = Boolean(value);
+      } else {
+        input.value = value;
+      }
+    };
+
+    let saved = settings[setting];
+    writeValue(saved);
+    input.addEventListener('change', async () => {
+      input.disabled = true;
+      const result = await updateSettings({ [setting]: readValue() });
+      input.disabled = false;
+      if (result.success) {
+        saved = readValue();
+      } else {
+        writeValue(saved);
+      }
+      if (status) {
+        status.textContent = result.success ? '' : `Could not save setting: ${result.error}`;
+        status.classList.toggle('error', !result.success);
+      }
+    });
+  }
+}
+
+/**
+ * Loads the stored account map through the background service worker
+ * @returns {Promise<Object>} Account map keyed by account ID
+ */
+async function loadAccounts() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_ACCOUNTS' });
+    return response && response.success ? response.accounts : {};
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to load accounts:', error);
+    return {};
+  }
+}
+
+/**
+ * Main initialization function
+ */
+async function init() {
+  const filter = document.getElementById('account-filter');
+  if (!filter) {
+    return;
+  }
+
+  filter.addEventListener('input', () => {
+    optionsState.filter = filter.value;
+    renderAccounts();
+  });
+
+  for (const [prefix, section] of Object.entries(IMPORT_SECTIONS)) {
+    setupImportSection(prefix, section);
+  }
+  setupBackupSection();
+  await setupSyncSection();
+  await setupSettingControls();
+
+  optionsState.accounts = await loadAccounts();
+  renderAccounts();
+}
+
+document.addEventListener('DOMContentLoaded', init);
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateAlias,
+    saveAlias,
+    validateTags,
+    saveTags,
+    saveReadOnly,
+    getVisibleAccounts,
+    createAccountRow,
+    createEnvironmentControls,
+    renderAccounts,
+    summarizeImport,
+    renderImportPreview,
+    importAccounts,
+    exportBackup,
+    renderRestorePreview,
+    restoreBackup,
+    formatSyncStatus,
+    updateSettings,
+    setupSyncSection,
+    setupSettingControls,
+    optionsState
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Partition Utilities
+ * Hosts and sign-in endpoints of the AWS partitions: commercial, GovCloud (US) and China
+ */
+
+// Partitions keyed by their ARN partition name
+// Portal domains are listed most specific first: GovCloud portals are also under awsapps.com.
+const PARTITIONS = {
+  'aws-us-gov': {
+    label: 'AWS GovCloud (US)',
+    consoleDomain: 'console.amazonaws-us-gov.com',
+    portalDomains: ['us-gov-home.awsapps.com'],
+    signinOrigin: 'https://signin.amazonaws-us-gov.com'
+  },
+  'aws-cn': {
+    label: 'AWS China',
+    consoleDomain: 'console.amazonaws.cn',
+    portalDomains: ['awsapps.cn'],
+    signinOrigin: 'https://signin.amazonaws.cn'
+  },
+  aws: {
+    label: 'AWS',
+    consoleDomain: 'console.aws.amazon.com',
+    portalDomains: ['awsapps.com'],
+    signinOrigin: 'https://signin.aws.amazon.com'
+  }
+};
+
+// Partition assumed for accounts stored without one
+const DEFAULT_PARTITION = 'aws';
+
+// ARN partition field, e.g. "aws" in "arn:aws:iam::123456789012:root"
+const ARN_PARTITION_PATTERN = 'aws(?:-us-gov|-cn)?';
+
+/**
+ * Checks whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Hostname to check
+ * @param {string} domain - Domain to match
+ * @returns {boolean}
+ */
+function isHostInDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Validates a partition name
+ * @param {string} partition - The partition to validate
+ * @returns {boolean} True for a known partition
+ */
+function isValidPartition(partition) {
+  return typeof partition === 'string' && Object.prototype.hasOwnProperty.call(PARTITIONS, partition);
+}
+
+/**
+ * Gets the partition of an AWS Console hostname
+ * @param {string} hostname - Hostname, e.g. "us-gov-west-1.console.amazonaws-us-gov.com"
+ * @returns {string|null} The partition, or null if not a console host
+ */
+function getConsolePartition(hostname) {
+  if (typeof hostname !== 'string') {
+    return null;
+  }
+  const host = hostname.toLowerCase();
+  return Object.keys(PARTITIONS).find(partition => isHostInDomain(host, PARTITIONS[partition].consoleDomain)) || null;
+}
+
+/**
+ * Gets the partition of an access portal hostname
+ * @param {string} hostname - Hostname, e.g. "d-1234567890.awsapps.cn"
+ * @returns {string|null} The partition, or null if not a portal host
+ */
+function getPortalPartition(hostname) {
+  if (typeof hostname !== 'string') {
+    return null;
+  }
+  const host = hostname.toLowerCase();
+  return Object.keys(PARTITIONS)
+    .find(partition => PARTITIONS[partition].portalDomains.some(domain => isHostInDomain(host, domain))) || null;
+}
+
+/**
+ * Gets the identifier of the access portal a page belongs to
+ * Portals are told apart by origin, except GovCloud, where every organization shares one
+ * host and the directory ID in the path names the portal.
+ * @param {{origin: string, hostname: string, pathname: string}} location - Page location
+ * @returns {string} Portal identifier, e.g. "https://my-org.awsapps.com"
+ */
+function getPortalSource(location) {
+  const directory = getPortalPartition(location.hostname) === 'aws-us-gov'
+    ? location.pathname.match(/^\/directory\/[^/]+/)
+    : null;
+  return directory ? `${location.origin}${directory[0]}` : location.origin;
+}
+
+/**
+ * Gets the partition named in an ARN
+ * @param {string} arn - ARN, e.g. "arn:aws-cn:iam::123456789012:root"
+ * @returns {string|null} The partition, or null if not an ARN of a known partition
+ */
+function getArnPartition(arn) {
+  const match = typeof arn === 'string' && arn.match(new RegExp(`^arn:(${ARN_PARTITION_PATTERN}):`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Gets the partition a region belongs to
+ * @param {string} region - Region name, e.g. "us-gov-west-1" or "cn-north-1"
+ * @returns {string|null} The partition, or null if not a region name
+ */
+function getRegionPartition(region) {
+  if (typeof region !== 'string' || !/^[a-z]{2}(-[a-z]+)+-\d+$/.test(region.trim())) {
+    return null;
+  }
+  const name = region.trim();
+  if (name.startsWith('us-gov-')) {
+    return 'aws-us-gov';
+  }
+  return name.startsWith('cn-') ? 'aws-cn' : DEFAULT_PARTITION;
+}
+
+/**
+ * Gets the partition of a stored account
+ * @param {Object} account - Stored account entry
+ * @returns {string} The account's partition, commercial AWS when not recorded
+ */
+function getAccountPartition(account) {
+  return account && isValidPartition(account.partition) ? account.partition : DEFAULT_PARTITION;
+}
+
+// Export for use in the service worker, content scripts, extension pages and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PARTITIONS,
+    DEFAULT_PARTITION,
+    ARN_PARTITION_PATTERN,
+    isValidPartition,
+    getConsolePartition,
+    getPortalPartition,
+    getPortalSource,
+    getArnPartition,
+    getRegionPartition,
+    getAccountPartition
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.PARTITIONS = PARTITIONS;
+  window.DEFAULT_PARTITION = DEFAULT_PARTITION;
+  window.ARN_PARTITION_PATTERN = ARN_PARTITION_PATTERN;
+  window.isValidPartition = isValidPartition;
+  window.getConsolePartition = getConsolePartition;
+  window.getPortalPartition = getPortalPartition;
+  window.getPortalSource = getPortalSource;
+  window.getArnPartition = getArnPartition;
+  window.getRegionPartition = getRegionPartition;
+  window.getAccountPartition = getAccountPartition;
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    PARTITIONS,
+    DEFAULT_PARTITION,
+    ARN_PARTITION_PATTERN,
+    isValidPartition,
+    getConsolePartition,
+    getPortalPartition,
+    getPortalSource,
+    getArnPartition,
+    getRegionPartition,
+    getAccountPartition
+  });
+}
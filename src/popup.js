@@ -0,0 +1,282 @@
+/**
+ * Popup Script
+ * Lists every stored account with search, sorting and copy-to-clipboard
+ */
+
+// Current table state
+const popupState = {
+  accounts: [],
+  query: '',
+  sortKey: 'accountName',
+  sortDirection: 'ascending'
+};
+
+/**
+ * Formats an account ID in bare (123456789012) or dashed (1234-5678-9012) form
+ * @param {string} accountId - The 12-digit account ID
+ * @param {boolean} dashed - Whether to insert dashes
+ * @returns {string} Formatted account ID
+ */
+function formatAccountId(accountId, dashed = false) {
+  if (!dashed || typeof accountId !== 'string' || accountId.length !== 12) {
+    return accountId;
+  }
+  return `${accountId.slice(0, 4)}-${accountId.slice(4, 8)}-${accountId.slice(8)}`;
+}
+
+/**
+ * Formats the sources an account was captured from for display
+ * Portal origins are shown by hostname only; other sources (e.g. "organizations") as-is.
+ * @param {Array<string>} sources - Source identifiers
+ * @returns {string} Comma separated source list
+ */
+function formatSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return '';
+  }
+
+  return sources.map(source => {
+    try {
+      const url = new URL(source);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.hostname : source;
+    } catch (e) {
+      return source;
+    }
+  }).join(', ');
+}
+
+/**
+ * Formats a lastUpdated timestamp for display
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Localized date and time, or empty string when unknown
+ */
+function formatTimestamp(timestamp) {
+  if (typeof timestamp !== 'number' || !isFinite(timestamp)) {
+    return '';
+  }
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Converts the stored account map into table rows
+ * The displayed name is the user-defined alias when one is set.
+ * @param {Object} accounts - Account map keyed by account ID
+ * @returns {Array<{accountId: string, accountName: string, capturedName: string, roles: string, source: string, lastUpdated: number, suspended: boolean}>}
+ */
+function toAccountRows(accounts) {
+  return Object.values(accounts || {}).map(account => ({
+    accountId: account.accountId,
+    accountName: account.alias || account.accountName,
+    capturedName: account.accountName,
+    roles: (account.roles || []).join(', '),
+    source: formatSources(account.sources),
+    lastUpdated: account.lastUpdated,
+    suspended: account.status === 'SUSPENDED'
+  }));
+}
+
+/**
+ * Filters rows by a search query matching name or alias, bare or dashed ID, role or source
+ * @param {Array<Object>} rows - Table rows
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matching rows
+ */
+function filterAccounts(rows, query) {
+  const search = (query || '').trim().toLowerCase();
+  if (!search) {
+    return rows;
+  }
+
+  return rows.filter(row =>
+    row.accountName.toLowerCase().includes(search) ||
+    row.capturedName.toLowerCase().includes(search) ||
+    row.accountId.includes(search) ||
+    formatAccountId(row.accountId, true).includes(search) ||
+    row.roles.toLowerCase().includes(search) ||
+    row.source.toLowerCase().includes(search)
+  );
+}
+
+/**
+ * Sorts rows by a column
+ * @param {Array<Object>} rows - Table rows
+ * @param {string} sortKey - Column key to sort by
+ * @param {string} direction - 'ascending' or 'descending'
+ * @returns {Array<Object>} New sorted array
+ */
+function sortAccounts(rows, sortKey, direction = 'ascending') {
+  const factor = direction === 'descending' ? -1 : 1;
+
+  return [...rows].sort((a, b) => {
+    const left = a[sortKey];
+    const right = b[sortKey];
+
+    if (typeof left === 'number' || typeof right === 'number') {
+      return ((left || 0) - (right || 0)) * factor;
+    }
+    return String(left || '').localeCompare(String(right || ''), undefined, { sensitivity: 'base' }) * factor;
+  });
+}
+
+/**
+ * Copies an account ID to the clipboard
+ * @param {string} accountId - The 12-digit account ID
+ * @param {boolean} dashed - Whether to copy the dashed form
+ * @returns {Promise<boolean>} True if copied
+ */
+async function copyAccountId(accountId, dashed) {
+  const text = formatAccountId(accountId, dashed);
+  const status = document.getElementById('copy-status');
+
+  try {
+    await navigator.clipboard.writeText(text);
+    if (status) {
+      status.textContent = `Copied ${text}`;
+    }
+    return true;
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to copy account ID:', error);
+    if (status) {
+      status.textContent = 'Copy failed';
+    }
+    return false;
+  }
+}
+
+/**
+ * Renders the account table from the current state
+ */
+function renderAccounts() {
+  const tbody = document.getElementById('account-rows');
+  if (!tbody) {
+    return;
+  }
+
+  const rows = sortAccounts(
+    filterAccounts(popupState.accounts, popupState.query),
+    popupState.sortKey,
+    popupState.sortDirection
+  );
+
+  tbody.textContent = '';
+
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = row.accountName;
+    nameCell.title = row.accountName === row.capturedName
+      ? row.accountName
+      : `${row.accountName} (captured as ${row.capturedName})`;
+    if (row.suspended) {
+      nameCell.classList.add('suspended');
+      nameCell.title += ' - suspended';
+    }
+    if (row.roles) {
+      // Roles the user can sign in with, as listed in the access portal
+      const roles = document.createElement('div');
+      roles.className = 'account-roles';
+      roles.textContent = row.roles;
+      nameCell.appendChild(roles);
+      nameCell.title += `\nRoles: ${row.roles}`;
+    }
+
+    const idCell = document.createElement('td');
+    idCell.className = 'account-id';
+    idCell.textContent = formatAccountId(row.accountId, true);
+    idCell.title = 'Click to copy, Shift+click to copy with dashes';
+    idCell.addEventListener('click', (event) => copyAccountId(row.accountId, event.shiftKey));
+
+    const sourceCell = document.createElement('td');
+    sourceCell.textContent = row.source;
+    sourceCell.title = row.source;
+
+    const updatedCell = document.createElement('td');
+    updatedCell.textContent = formatTimestamp(row.lastUpdated);
+
+    tr.append(nameCell, idCell, sourceCell, updatedCell);
+    tbody.appendChild(tr);
+  }
+
+  document.querySelectorAll('th[data-sort-key]').forEach(th => {
+    if (th.dataset.sortKey === popupState.sortKey) {
+      th.setAttribute('aria-sort', popupState.sortDirection);
+    } else {
+      th.removeAttribute('aria-sort');
+    }
+  });
+
+  const count = document.getElementById('account-count');
+  if (count) {
+    count.textContent = rows.length === popupState.accounts.length
+      ? `${rows.length} accounts`
+      : `${rows.length} of ${popupState.accounts.length} accounts`;
+  }
+
+  const emptyState = document.getElementById('empty-state');
+  if (emptyState) {
+    emptyState.hidden = popupState.accounts.length > 0;
+  }
+}
+
+/**
+ * Loads the stored account map through the background service worker
+ * @returns {Promise<Object>} Account map keyed by account ID
+ */
+async function loadAccounts() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_ACCOUNTS' });
+    return response && response.success ? response.accounts : {};
+  } catch (error) {
+    console.error('[AWS Account Display] Failed to load accounts:', error);
+    return {};
+  }
+}
+
+/**
+ * Main initialization function
+ */
+async function init() {
+  const search = document.getElementById('account-search');
+  if (!search) {
+    return;
+  }
+
+  search.addEventListener('input', () => {
+    popupState.query = search.value;
+    renderAccounts();
+  });
+
+  document.querySelectorAll('th[data-sort-key]').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sortKey;
+      if (popupState.sortKey === key) {
+        popupState.sortDirection = popupState.sortDirection === 'ascending' ? 'descending' : 'ascending';
+      } else {
+        popupState.sortKey = key;
+        popupState.sortDirection = 'ascending';
+      }
+      renderAccounts();
+    });
+  });
+
+  popupState.accounts = toAccountRows(await loadAccounts());
+  renderAccounts();
+}
+
+document.addEventListener('DOMContentLoaded', init);
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatAccountId,
+    formatSources,
+    formatTimestamp,
+    toAccountRows,
+    filterAccounts,
+    sortAccounts,
+    copyAccountId,
+    renderAccounts,
+    popupState
+  };
+}
@@ -16,13 +16,43 @@ if (typeof require !== 'undefined') {
   };
 }
 
+// Import partition utilities
+let portalPartitions;
+if (typeof require !== 'undefined') {
+  portalPartitions = require('./partitions.js');
+} else {
+  // In browser context, partitions.js is loaded first
+  portalPartitions = {
+    getPortalPartition: window.getPortalPartition,
+    getPortalSource: window.getPortalSource
+  };
+}
+
+// Import link utilities
+let portalLinks;
+if (typeof require !== 'undefined') {
+  portalLinks = require('./account-links.js');
+} else {
+  // In browser context, account-links.js is loaded first
+  portalLinks = { parsePortalFocus: window.parsePortalFocus };
+}
+
 // Selectors for IAM Identity Center Portal elements
 const PORTAL_SELECTORS = {
   // Primary selectors based on common portal structure
   accountList: 'portal-application',
   accountItem: 'portal-instance',
   accountName: '.name',
-  accountId: '.accountId, .account-id, [class*="accountId"]'
+  accountId: '.accountId, .account-id, [class*="accountId"]',
+  // Links that sign in to a role, listed under an account once it is expanded
+  // (e.g. "#/console?account_id=123456789012&role_name=AdministratorAccess")
+  roleLink: 'a[href*="role_name="]',
+  // Control in a role's row that shows its access keys
+  credentialsText: /access keys|programmatic access/i,
+  // Account search box, which hides the accounts that do not match
+  searchInput: 'input[type="search"], input[placeholder*="search" i], input[aria-label*="search" i]',
+  // Shown in the account list while it is still loading
+  loadingIndicator: '[role="progressbar"], [aria-busy="true"]'
 };
 
 // Fallback selectors for different portal versions
@@ -34,9 +64,58 @@ const FALLBACK_SELECTORS = {
 
 /**
  * Extracts account information from the portal page DOM
- * @returns {Array<{accountId: string, accountName: string}>}
+ * Accounts whose role list is open on the page carry the role names the user can sign in with.
+ * @returns {Array<{accountId: string, accountName: string, roles?: Array<string>}>}
  */
 function extractAccountsFromPortal() {
+  const roles = extractRolesFromPortal();
+  return findPortalAccounts().map(account =>
+    roles[account.accountId] ? { ...account, roles: roles[account.accountId] } : account);
+}
+
+/**
+ * Reads the account ID and role name from a portal link that signs in to a role
+ * @param {string} href - Link target
+ * @returns {{accountId: string, roleName: string}|null}
+ */
+function parseRoleLink(href) {
+  const query = typeof href === 'string' ? href.split('?')[1] : null;
+  if (!query) {
+    return null;
+  }
+
+  const params = new URLSearchParams(query);
+  const accountId = params.get('account_id');
+  const roleName = params.get('role_name');
+  return /^\d{12}$/.test(accountId || '') && roleName ? { accountId, roleName } : null;
+}
+
+/**
+ * Collects the role names listed under each expanded account
+ * @returns {Object<string, Array<string>>} Role names keyed by account ID
+ */
+function extractRolesFromPortal() {
+  const roles = {};
+
+  for (const link of document.querySelectorAll(PORTAL_SELECTORS.roleLink)) {
+    const role = parseRoleLink(link.getAttribute('href'));
+    if (!role) {
+      continue;
+    }
+    roles[role.accountId] = roles[role.accountId] || [];
+    if (!roles[role.accountId].includes(role.roleName)) {
+      roles[role.accountId].push(role.roleName);
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * Finds the accounts listed on the portal page
+ * @returns {Array<{accountId: string, accountName: string}>}
+ */
+function findPortalAccounts() {
   const accounts = [];
 
   // Try to find account buttons in the AWS SSO portal
@@ -169,6 +248,89 @@ function extractAccountsFromText() {
   return accounts;
 }
 
+/**
+ * Finds the element that lists an account on the portal page
+ * @param {string} accountId - The 12-digit account ID
+ * @returns {Element|null}
+ */
+function findPortalAccountElement(accountId) {
+  const candidates = [
+    ...document.querySelectorAll('button'),
+    ...document.querySelectorAll(PORTAL_SELECTORS.accountItem)
+  ];
+  return candidates.find(element => (element.textContent || '').includes(accountId)) || null;
+}
+
+/**
+ * Finds the control that shows the access keys of one of an account's roles
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string|null} roleName - Role to get keys for, or null for the first listed
+ * @returns {Element|null}
+ */
+function findCredentialsControl(accountId, roleName) {
+  const roleLinks = [...document.querySelectorAll(PORTAL_SELECTORS.roleLink)].filter(link => {
+    const role = parseRoleLink(link.getAttribute('href'));
+    return role && role.accountId === accountId && (!roleName || role.roleName === roleName);
+  });
+
+  for (const link of roleLinks) {
+    // The control sits in the same row as the role's sign-in link; stop before the
+    // search widens to other roles' rows
+    for (let row = link.parentElement; row && row !== document.body; row = row.parentElement) {
+      if (row.querySelectorAll(PORTAL_SELECTORS.roleLink).length > 1) {
+        break;
+      }
+      const control = [...row.querySelectorAll('a, button')]
+        .find(element => PORTAL_SELECTORS.credentialsText.test(element.textContent || ''));
+      if (control) {
+        return control;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Brings the account a portal link asks for into view, expands it, and opens its access
+ * keys when asked
+ * @param {{accountId: string, credentials: boolean, roleName: string|null}} focus - From parsePortalFocus
+ * @returns {Promise<boolean>} Whether everything asked for was shown
+ */
+async function focusPortalAccount(focus) {
+  const element = findPortalAccountElement(focus.accountId);
+  if (!element) {
+    console.warn('[AWS Account Display] Account to show not found in portal:', focus.accountId);
+    return false;
+  }
+
+  element.scrollIntoView({ block: 'center' });
+  if (element.getAttribute('aria-expanded') !== 'true') {
+    element.click();
+  }
+  if (typeof element.focus === 'function') {
+    element.focus();
+  }
+
+  if (!focus.credentials) {
+    return true;
+  }
+
+  // The role list renders after the account is expanded
+  const retryFn = retryUtils?.retryWithBackoff ||
+                  (typeof window !== 'undefined' && window.retryWithBackoff);
+  const control = retryFn
+    ? await retryFn(() => findCredentialsControl(focus.accountId, focus.roleName), retryUtils?.RETRY_CONFIG?.portal)
+    : findCredentialsControl(focus.accountId, focus.roleName);
+  if (!control) {
+    console.warn('[AWS Account Display] Access keys not found for account:', focus.accountId);
+    return false;
+  }
+
+  control.click();
+  return true;
+}
+
 /**
  * Sets up a MutationObserver to watch for portal content changes
  * @param {Function} callback - Function to call when changes detected
@@ -191,16 +353,64 @@ function observePortalChanges(callback) {
   return observer;
 }
 
+/**
+ * Checks whether the page shows the portal's full account list
+ * A search filter or a list still loading leaves accounts out, and a capture of such a list
+ * must not drop them.
+ * @returns {boolean}
+ */
+function isFullAccountList() {
+  const filtered = [...document.querySelectorAll(PORTAL_SELECTORS.searchInput)]
+    .some(input => input.value.trim().length > 0);
+  return !filtered && !isAccountListLoading();
+}
+
+/**
+ * Checks whether the account list shows a progress indicator
+ * Only the list itself is looked at, and only indicators that are visible, so spinners
+ * elsewhere on the page or hidden placeholders do not count.
+ * @returns {boolean}
+ */
+function isAccountListLoading() {
+  const list = document.querySelector(PORTAL_SELECTORS.accountList);
+  if (!list) {
+    return false;
+  }
+  const indicators = list.matches(PORTAL_SELECTORS.loadingIndicator)
+    ? [list]
+    : [...list.querySelectorAll(PORTAL_SELECTORS.loadingIndicator)];
+  return indicators.some(isShown);
+}
+
+/**
+ * Checks whether an element is shown on the page
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isShown(element) {
+  if (element.closest('[hidden], [aria-hidden="true"]')) {
+    return false;
+  }
+  const style = getComputedStyle(element);
+  return style.display !== 'none' && style.visibility !== 'hidden';
+}
+
 /**
  * Sends extracted accounts to the background service worker
+ * The portal is sent along so captures from different portals are kept apart, and each
+ * account is tagged with the partition the portal belongs to. Only a full account list
+ * replaces the portal's stored list; a partial one is merged into it.
  * @param {Array<{accountId: string, accountName: string}>} accounts
  * @returns {Promise<{success: boolean}>}
  */
 async function sendAccountsToBackground(accounts) {
   try {
+    const partition = portalPartitions.getPortalPartition(location.hostname);
     const response = await chrome.runtime.sendMessage({
       type: 'STORE_ACCOUNTS',
-      accounts: accounts
+      accounts: partition ? accounts.map(account => ({ ...account, partition })) : accounts,
+      source: portalPartitions.getPortalSource(location),
+      mode: isFullAccountList() ? 'replace' : 'merge'
     });
     return response || { success: false };
   } catch (error) {
@@ -265,6 +475,12 @@ async function init() {
     console.warn('[AWS Account Display] No accounts found after retries');
   }
 
+  // Links from the console can ask for one account's entry
+  const focus = portalLinks?.parsePortalFocus ? portalLinks.parsePortalFocus(location.href) : null;
+  if (focus && accounts.length > 0) {
+    focusPortalAccount(focus);
+  }
+
   // Watch for dynamic content changes
   observePortalChanges(async () => {
     const updatedAccounts = await extractAccountsWithRetry();
@@ -289,7 +505,12 @@ if (typeof module !== 'undefined' && module.exports) {
     extractAccountsWithRetry,
     extractAccountFromElement,
     extractAccountsFromText,
+    parseRoleLink,
+    extractRolesFromPortal,
+    findCredentialsControl,
+    focusPortalAccount,
     observePortalChanges,
+    isFullAccountList,
     sendAccountsToBackground,
     PORTAL_SELECTORS,
     FALLBACK_SELECTORS
@@ -0,0 +1,185 @@
+/**
+ * Read-Only Mode
+ * Marks console pages of accounts flagged read-only and holds back the buttons that change
+ * things. A safety net rather than a permission: the banner can allow changes for the tab.
+ */
+
+// Import the shared click and submit handling
+let actionGuards;
+if (typeof require !== 'undefined') {
+  actionGuards = require('./guardrail.js');
+} else {
+  // In browser context, guardrail.js is loaded first
+  actionGuards = {
+    getButtonLabel: window.getButtonLabel,
+    addActionGuard: window.addActionGuard,
+    removeActionGuard: window.removeActionGuard
+  };
+}
+
+// Configuration
+const READ_ONLY_CONFIG = {
+  bannerId: 'aws-account-read-only',
+  // Set on the root element so the whole page can be styled as read-only
+  rootAttribute: 'data-aws-account-read-only',
+  // Per-tab override, keyed by account ID in sessionStorage
+  overrideKeyPrefix: 'aws-account-display-read-only-override:',
+  // Labels of actions that change something, e.g. "Create bucket", "Save changes", "Update stack"
+  actionPattern: /^\s*(create|delete|save|update|terminate|launch|remove|apply|submit|modify|upload|attach|detach)\b/i
+};
+
+// Read-only state
+const readOnlyState = {
+  accountId: null,
+  label: null,
+  listening: false
+};
+
+/**
+ * Checks whether a button starts or confirms a change
+ * @param {Element} button - Button element
+ * @returns {boolean}
+ */
+function isChangeAction(button) {
+  return READ_ONLY_CONFIG.actionPattern.test(actionGuards.getButtonLabel(button));
+}
+
+/**
+ * Checks whether changes were allowed for an account in this tab
+ * @param {string} accountId - The 12-digit account ID
+ * @returns {boolean}
+ */
+function isReadOnlyOverridden(accountId) {
+  try {
+    return sessionStorage.getItem(READ_ONLY_CONFIG.overrideKeyPrefix + accountId) === 'true';
+  } catch (e) {
+    // Storage unavailable, keep the page read-only
+    return false;
+  }
+}
+
+/**
+ * Allows changes for an account in this tab, or takes the allowance back
+ * @param {string} accountId - The 12-digit account ID
+ * @param {boolean} overridden - True to allow changes
+ */
+function setReadOnlyOverride(accountId, overridden) {
+  try {
+    if (overridden) {
+      sessionStorage.setItem(READ_ONLY_CONFIG.overrideKeyPrefix + accountId, 'true');
+    } else {
+      sessionStorage.removeItem(READ_ONLY_CONFIG.overrideKeyPrefix + accountId);
+    }
+  } catch (e) {
+    console.warn('[AWS Account Display] Could not store the read-only override:', e);
+  }
+}
+
+/**
+ * Holds back change actions while the account is read-only
+ * @param {Element} button - The button being clicked or submitted with
+ * @returns {boolean} Whether the action was held back
+ */
+function holdBackChangeAction(button) {
+  if (readOnlyState.accountId === null || button.closest(`#${READ_ONLY_CONFIG.bannerId}`)) {
+    return false;
+  }
+  if (isReadOnlyOverridden(readOnlyState.accountId) || !isChangeAction(button)) {
+    return false;
+  }
+
+  renderReadOnlyBanner(`"${actionGuards.getButtonLabel(button)}" was blocked.`);
+  return true;
+}
+
+/**
+ * Shows or refreshes the banner at the top of the page, and marks the root element
+ * @param {string} [notice] - Extra text, e.g. which action was blocked
+ * @returns {HTMLElement} The banner element
+ */
+function renderReadOnlyBanner(notice) {
+  const { accountId, label } = readOnlyState;
+  const overridden = isReadOnlyOverridden(accountId);
+  document.documentElement.setAttribute(READ_ONLY_CONFIG.rootAttribute, overridden ? 'overridden' : 'on');
+
+  let banner = document.getElementById(READ_ONLY_CONFIG.bannerId);
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = READ_ONLY_CONFIG.bannerId;
+    banner.className = 'aws-account-read-only';
+    banner.setAttribute('role', 'alert');
+    document.body.prepend(banner);
+  }
+  banner.dataset.overridden = String(overridden);
+
+  const message = document.createElement('span');
+  message.className = 'aws-account-read-only-message';
+  message.textContent = overridden
+    ? `${label} is read-only. Changes are allowed in this tab.`
+    : `${label} is read-only. Create, delete, save and update actions are blocked.`;
+  if (notice && !overridden) {
+    message.textContent += ` ${notice}`;
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'aws-account-read-only-toggle';
+  toggle.textContent = overridden ? 'Block changes again' : 'Allow changes in this tab';
+  toggle.addEventListener('click', () => {
+    setReadOnlyOverride(accountId, !overridden);
+    renderReadOnlyBanner();
+  });
+
+  banner.replaceChildren(message, toggle);
+  return banner;
+}
+
+/**
+ * Marks the page read-only and starts holding back change actions
+ * @param {{accountId: string, label: string}} account - The account ID, and the name or
+ *   alias shown in the banner
+ */
+function startReadOnlyMode({ accountId, label }) {
+  const changed = readOnlyState.accountId !== accountId || readOnlyState.label !== label;
+  readOnlyState.accountId = accountId;
+  readOnlyState.label = label;
+  if (!readOnlyState.listening) {
+    readOnlyState.listening = true;
+    // Ahead of the guardrail, so a blocked action never asks for the alias first
+    actionGuards.addActionGuard(holdBackChangeAction, { first: true });
+  }
+  if (changed || !document.getElementById(READ_ONLY_CONFIG.bannerId)) {
+    renderReadOnlyBanner();
+  }
+}
+
+/**
+ * Removes the read-only mark and stops holding back change actions
+ */
+function stopReadOnlyMode() {
+  if (readOnlyState.listening) {
+    actionGuards.removeActionGuard(holdBackChangeAction);
+    readOnlyState.listening = false;
+  }
+  readOnlyState.accountId = null;
+  readOnlyState.label = null;
+  document.getElementById(READ_ONLY_CONFIG.bannerId)?.remove();
+  document.documentElement.removeAttribute(READ_ONLY_CONFIG.rootAttribute);
+}
+
+// Export for use in the console script and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    READ_ONLY_CONFIG,
+    isChangeAction,
+    isReadOnlyOverridden,
+    setReadOnlyOverride,
+    startReadOnlyMode,
+    stopReadOnlyMode,
+    readOnlyState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.startReadOnlyMode = startReadOnlyMode;
+  window.stopReadOnlyMode = stopReadOnlyMode;
+}
@@ -81,13 +81,40 @@ function calculateDelay(attemptNumber, config) {
   return Math.min(delay, maxDelay);
 }
 
+/**
+ * Waits for a delay, ending early if the signal is aborted
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Executes a function with retry logic and backoff
  * @param {Function} fn - Async function to execute (should return truthy on success, falsy on failure)
  * @param {Object} config - Retry configuration
- * @returns {Promise<any>} Result from fn, or null if all attempts fail
+ * @param {{signal?: AbortSignal}} [options] - Signal that cancels the remaining attempts,
+ *   e.g. when the page navigates and a new search starts
+ * @returns {Promise<any>} Result from fn, or null if all attempts fail or the retry is aborted
  */
-async function retryWithBackoff(fn, config) {
+async function retryWithBackoff(fn, config, { signal } = {}) {
   // Validate and use default config if invalid
   if (!validateConfig(config)) {
     console.warn('[AWS Account Display] Invalid retry config, using portal defaults');
@@ -98,6 +125,11 @@ async function retryWithBackoff(fn, config) {
   let lastResult = null;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (signal?.aborted) {
+      console.log('[AWS Account Display] Retry aborted');
+      return null;
+    }
+
     try {
       console.log(`[AWS Account Display] Retry attempt ${attempt + 1}/${maxAttempts}`);
 
@@ -114,7 +146,7 @@ async function retryWithBackoff(fn, config) {
       if (attempt < maxAttempts - 1) {
         const delay = calculateDelay(attempt, config);
         console.log(`[AWS Account Display] Attempt ${attempt + 1} failed, retrying in ${delay}ms`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay, signal);
       }
     } catch (error) {
       console.error(`[AWS Account Display] Error on attempt ${attempt + 1}:`, error);
@@ -123,11 +155,16 @@ async function retryWithBackoff(fn, config) {
       if (attempt < maxAttempts - 1) {
         const delay = calculateDelay(attempt, config);
         console.log(`[AWS Account Display] Retrying in ${delay}ms after error`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay, signal);
       }
     }
   }
 
+  if (signal?.aborted) {
+    console.log('[AWS Account Display] Retry aborted');
+    return null;
+  }
+
   console.warn(`[AWS Account Display] All ${maxAttempts} attempts exhausted`);
   return lastResult;
 }
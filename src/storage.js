@@ -1,44 +1,191 @@
 /**
  * Storage service for AWS account mappings
+ * Shared by the background service worker and the tests: account storage, settings,
+ * schema migrations and sync all live here
  */
 
-const { isValidAccountId, isValidAccountName, sanitizeAccountName } =
-  typeof require !== 'undefined' ? require('./validation') : { isValidAccountId, isValidAccountName, sanitizeAccountName };
+// Import validation utilities
+let storageValidation;
+if (typeof require !== 'undefined') {
+  storageValidation = require('./validation.js');
+} else {
+  // Service worker context - validation.js is imported first and exposes its functions on self
+  storageValidation = self;
+}
+
+// Import storage migrations
+let migrationUtils;
+if (typeof require !== 'undefined') {
+  migrationUtils = require('./migrations.js');
+} else {
+  migrationUtils = self;
+}
+
+// Import sync utilities
+let syncUtils;
+if (typeof require !== 'undefined') {
+  syncUtils = require('./sync.js');
+} else {
+  syncUtils = self;
+}
+
+// Source recorded when a capture does not say where it came from
+const DEFAULT_SOURCE = 'unknown';
+
+// How a capture is combined with what a source stored before
+const STORE_MODES = {
+  replace: 'replace',
+  merge: 'merge'
+};
+
+// Tail of the queue of account map writes. Each write reads the map, awaits, and writes it
+// back, so writes take turns instead of overwriting a change that landed in between.
+let accountWriteQueue = Promise.resolve();
+
+/**
+ * Waits for the account map writes queued before this one
+ * @returns {Promise<function(): void>} Resolves with the function that lets the next write go
+ */
+function lockAccounts() {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const previous = accountWriteQueue;
+  accountWriteQueue = previous.then(() => done);
+  return previous.then(() => release);
+}
+
+/**
+ * Checks whether a stored account carries settings made by the user
+ * @param {Object} account - Stored account entry
+ * @returns {boolean} True if the account has user-defined data worth keeping
+ */
+function hasUserOverrides(account) {
+  return Boolean(account.alias || account.tags || account.readOnly);
+}
+
+/**
+ * Copies an account with the time of a user edit
+ * overridesUpdated dates the alias, tags and read-only flag on their own, so sync can tell
+ * an edit apart from a later capture of the same account.
+ * @param {Object} account - Stored account entry
+ * @param {number} [now] - Edit time
+ * @returns {Object} The entry with lastUpdated and overridesUpdated set
+ */
+function stampUserEdit(account, now = Date.now()) {
+  return { ...account, lastUpdated: now, overridesUpdated: now };
+}
 
 /**
- * Stores account mappings to Chrome local storage
+ * Merges a portal capture into an existing account map
+ * Accounts are tracked per source portal: captured accounts are added or updated and
+ * tagged with the source, and accounts the source no longer lists are removed from that
+ * source only. An account is dropped once no source lists it any more, unless the user
+ * has customized it.
+ * @param {Object} storedAccounts - Existing account map keyed by account ID
+ * @param {Array<{accountId: string, accountName: string, email?: string, status?: string, roles?: Array<string>}>} accounts - Captured account mappings
+ * @param {string} source - Identifier of the capture source (e.g. the portal origin)
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'replace' when the capture is the source's full list,
+ *   'merge' to only add and update accounts without removing any
+ * @param {number} [options.timestamp] - Capture time to record as lastUpdated
+ * @returns {Object} New account map keyed by account ID
+ */
+function mergeAccounts(storedAccounts, accounts, source, { mode = STORE_MODES.replace, timestamp = Date.now() } = {}) {
+  const merged = { ...storedAccounts };
+  const captured = new Set();
+
+  for (const account of accounts) {
+    if (storageValidation.isValidAccountId(account.accountId) && storageValidation.isValidAccountName(account.accountName)) {
+      const existing = merged[account.accountId] || {};
+      const sources = existing.sources || [];
+
+      const entry = {
+        ...existing,
+        accountId: account.accountId,
+        accountName: storageValidation.sanitizeAccountName(account.accountName),
+        lastUpdated: timestamp,
+        sources: sources.includes(source) ? sources : [...sources, source]
+      };
+
+      // Optional details some sources provide (e.g. AWS Organizations, or the portal's partition
+      // and roles). The portal only lists the roles of accounts that are expanded, so a capture
+      // without roles keeps the ones already known.
+      if (storageValidation.isValidEmail(account.email)) {
+        entry.email = account.email.trim();
+      }
+      if (storageValidation.isValidAccountStatus(account.status)) {
+        entry.status = account.status;
+      }
+      if (storageValidation.isValidPartition(account.partition)) {
+        entry.partition = account.partition;
+      }
+      const roles = Array.isArray(account.roles) ? account.roles.filter(storageValidation.isValidRoleName) : [];
+      if (roles.length > 0) {
+        entry.roles = [...new Set(roles)];
+      }
+
+      merged[account.accountId] = entry;
+      captured.add(account.accountId);
+    }
+  }
+
+  if (mode === STORE_MODES.merge) {
+    return merged;
+  }
+
+  // Remove this source from accounts it no longer lists
+  for (const [accountId, account] of Object.entries(merged)) {
+    const sources = account.sources || [];
+    if (captured.has(accountId) || !sources.includes(source)) {
+      continue;
+    }
+
+    const remaining = sources.filter(s => s !== source);
+    if (remaining.length === 0 && !hasUserOverrides(account)) {
+      delete merged[accountId];
+    } else {
+      merged[accountId] = { ...account, sources: remaining };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Stores account mappings captured from a source to Chrome local storage
+ * Mappings are merged with those already stored from other sources.
  * @param {Array<{accountId: string, accountName: string}>} accounts - Account mappings to store
+ * @param {string} [source] - Identifier of the capture source (e.g. the portal origin)
+ * @param {string} [mode] - 'replace' (default) or 'merge', see mergeAccounts
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function storeAccounts(accounts) {
+async function storeAccounts(accounts, source = DEFAULT_SOURCE, mode = STORE_MODES.replace) {
+  const release = await lockAccounts();
   try {
-    const validAccounts = {};
-
-    for (const account of accounts) {
-      if (isValidAccountId(account.accountId) && isValidAccountName(account.accountName)) {
-        validAccounts[account.accountId] = {
-          accountId: account.accountId,
-          accountName: sanitizeAccountName(account.accountName),
-          lastUpdated: Date.now()
-        };
-      }
-    }
+    const result = await chrome.storage.local.get(['accounts']);
+    const merged = mergeAccounts(result.accounts || {}, accounts, source, { mode });
 
-    await chrome.storage.local.set({ accounts: validAccounts, version: 1 });
+    await chrome.storage.local.set({ accounts: merged, ...(await getVersionFields()) });
     return { success: true };
   } catch (error) {
+    console.error('[AWS Account Display] Storage error:', error);
     return { success: false, error: error.message };
+  } finally {
+    release();
   }
 }
 
 /**
  * Retrieves account name by ID from storage
+ * A user-defined alias takes precedence over the captured name.
  * @param {string} accountId - The 12-digit account ID
  * @returns {Promise<{success: boolean, accountName: string|null, error?: string}>}
  */
 async function getAccountName(accountId) {
   try {
-    if (!isValidAccountId(accountId)) {
+    if (!storageValidation.isValidAccountId(accountId)) {
       return { success: false, accountName: null, error: 'Invalid account ID' };
     }
 
@@ -48,13 +195,50 @@ async function getAccountName(accountId) {
 
     return {
       success: true,
-      accountName: account ? account.accountName : null
+      accountName: account ? (account.alias || account.accountName) : null
     };
   } catch (error) {
+    console.error('[AWS Account Display] Get error:', error);
     return { success: false, accountName: null, error: error.message };
   }
 }
 
+/**
+ * Retrieves account ID by name from storage
+ * @param {string} accountName - The account name to look up
+ * @returns {Promise<{success: boolean, accountId: string|null, error?: string}>}
+ */
+async function getAccountByName(accountName) {
+  try {
+    const result = await chrome.storage.local.get(['accounts']);
+    const accounts = result.accounts || {};
+
+    // Search for matching account name or alias (case-insensitive)
+    const searchName = accountName.toLowerCase().trim();
+    const namesOf = (account) => [account.accountName, account.alias]
+      .filter(Boolean)
+      .map(name => name.toLowerCase().trim());
+
+    for (const [accountId, account] of Object.entries(accounts)) {
+      if (namesOf(account).includes(searchName)) {
+        return { success: true, accountId: accountId, accountName: account.alias || account.accountName };
+      }
+    }
+
+    // Try partial match if exact match fails
+    for (const [accountId, account] of Object.entries(accounts)) {
+      if (namesOf(account).some(name => name.includes(searchName) || searchName.includes(name))) {
+        return { success: true, accountId: accountId, accountName: account.alias || account.accountName };
+      }
+    }
+
+    return { success: true, accountId: null };
+  } catch (error) {
+    console.error('[AWS Account Display] Get by name error:', error);
+    return { success: false, accountId: null, error: error.message };
+  }
+}
+
 /**
  * Retrieves all stored account mappings
  * @returns {Promise<{success: boolean, accounts: Object, error?: string}>}
@@ -64,24 +248,605 @@ async function getAllAccounts() {
     const result = await chrome.storage.local.get(['accounts']);
     return { success: true, accounts: result.accounts || {} };
   } catch (error) {
+    console.error('[AWS Account Display] Get all error:', error);
+    return { success: false, accounts: {}, error: error.message };
+  }
+}
+
+/**
+ * Retrieves the account map with its schema version, for a backup
+ * @returns {Promise<{success: boolean, accounts: Object, version?: number, error?: string}>}
+ */
+async function getBackupData() {
+  try {
+    const result = await chrome.storage.local.get(['accounts', 'version']);
+    return { success: true, accounts: result.accounts || {}, version: result.version };
+  } catch (error) {
+    console.error('[AWS Account Display] Get backup data error:', error);
     return { success: false, accounts: {}, error: error.message };
   }
 }
 
+/**
+ * Sets or clears the user-defined display alias of a stored account
+ * The account's lastUpdated and overridesUpdated are bumped so the edit wins over older
+ * synced copies, and over later captures of the account on other devices.
+ * @param {string} accountId - The 12-digit account ID
+ * @param {string|null} alias - The alias to display, or empty/null to clear it
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setAccountAlias(accountId, alias) {
+  const release = await lockAccounts();
+  try {
+    if (!storageValidation.isValidAccountId(accountId)) {
+      return { success: false, error: 'Invalid account ID' };
+    }
+
+    const clearing = alias === null || alias === undefined ||
+                     (typeof alias === 'string' && alias.trim().length === 0);
+    if (!clearing && !storageValidation.isValidAccountName(alias)) {
+      return { success: false, error: 'Invalid alias' };
+    }
+
+    const result = await chrome.storage.local.get(['accounts']);
+    const accounts = result.accounts || {};
+    const account = accounts[accountId];
+
+    if (!account) {
+      return { success: false, error: 'Account not found' };
+    }
+
+    const { alias: previousAlias, ...rest } = stampUserEdit(account);
+    accounts[accountId] = clearing ? rest : { ...rest, alias: storageValidation.sanitizeAccountName(alias) };
+
+    await chrome.storage.local.set({ accounts });
+    return { success: true };
+  } catch (error) {
+    console.error('[AWS Account Display] Set alias error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Sets or clears the tags of a stored account
+ * Tags carry the account's environment (e.g. "prod") and an optional color override.
+ * Like alias edits, this bumps the account's lastUpdated.
+ * @param {string} accountId - The 12-digit account ID
+ * @param {{environment?: string, color?: string}|null} tags - The tags, or null/no environment to clear them
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setAccountTags(accountId, tags) {
+  const release = await lockAccounts();
+  try {
+    if (!storageValidation.isValidAccountId(accountId)) {
+      return { success: false, error: 'Invalid account ID' };
+    }
+
+    const clearing = !tags || !tags.environment ||
+                     (typeof tags.environment === 'string' && tags.environment.trim().length === 0);
+    if (!clearing && !storageValidation.isValidEnvironment(tags.environment)) {
+      return { success: false, error: 'Invalid environment' };
+    }
+    if (!clearing && tags.color !== undefined && tags.color !== null && !storageValidation.isValidColor(tags.color)) {
+      return { success: false, error: 'Invalid color' };
+    }
+
+    const result = await chrome.storage.local.get(['accounts']);
+    const accounts = result.accounts || {};
+    const account = accounts[accountId];
+
+    if (!account) {
+      return { success: false, error: 'Account not found' };
+    }
+
+    const { tags: previousTags, ...rest } = stampUserEdit(account);
+    if (clearing) {
+      accounts[accountId] = rest;
+    } else {
+      const newTags = { environment: tags.environment.trim() };
+      if (tags.color) {
+        newTags.color = tags.color.toLowerCase();
+      }
+      accounts[accountId] = { ...rest, tags: newTags };
+    }
+
+    await chrome.storage.local.set({ accounts });
+    return { success: true };
+  } catch (error) {
+    console.error('[AWS Account Display] Set tags error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Marks a stored account read-only, or clears the mark
+ * Console pages of a read-only account hold back create, delete, save and update actions.
+ * Like alias edits, this bumps the account's lastUpdated.
+ * @param {string} accountId - The 12-digit account ID
+ * @param {boolean} readOnly - True to mark the account read-only
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setAccountReadOnly(accountId, readOnly) {
+  const release = await lockAccounts();
+  try {
+    if (!storageValidation.isValidAccountId(accountId)) {
+      return { success: false, error: 'Invalid account ID' };
+    }
+    if (typeof readOnly !== 'boolean') {
+      return { success: false, error: 'Invalid read-only flag' };
+    }
+
+    const result = await chrome.storage.local.get(['accounts']);
+    const accounts = result.accounts || {};
+    const account = accounts[accountId];
+
+    if (!account) {
+      return { success: false, error: 'Account not found' };
+    }
+
+    const { readOnly: previousReadOnly, ...rest } = stampUserEdit(account);
+    accounts[accountId] = readOnly ? { ...rest, readOnly: true } : rest;
+
+    await chrome.storage.local.set({ accounts });
+    return { success: true };
+  } catch (error) {
+    console.error('[AWS Account Display] Set read-only error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Retrieves the full stored entry of an account
+ * @param {string} accountId - The 12-digit account ID
+ * @returns {Promise<{success: boolean, account: Object|null, error?: string}>}
+ */
+async function getAccountDetails(accountId) {
+  try {
+    if (!storageValidation.isValidAccountId(accountId)) {
+      return { success: false, account: null, error: 'Invalid account ID' };
+    }
+
+    const result = await chrome.storage.local.get(['accounts']);
+    const accounts = result.accounts || {};
+
+    return { success: true, account: accounts[accountId] || null };
+  } catch (error) {
+    console.error('[AWS Account Display] Get details error:', error);
+    return { success: false, account: null, error: error.message };
+  }
+}
+
+/**
+ * Restores account entries from a backup
+ * Every entry is validated again; invalid entries are skipped and counted.
+ * @param {Array<Object>} accounts - Complete account entries
+ * @param {boolean} replace - True to drop stored accounts that are not in the backup
+ * @returns {Promise<{success: boolean, restored?: number, skipped?: number, error?: string}>}
+ */
+async function restoreAccounts(accounts, replace = false) {
+  const release = await lockAccounts();
+  try {
+    const result = await chrome.storage.local.get(['accounts']);
+    const restoredAccounts = replace ? {} : (result.accounts || {});
+    let restored = 0;
+    let skipped = 0;
+
+    for (const entry of accounts) {
+      const checked = storageValidation.validateStoredAccount(entry);
+      if (checked.valid) {
+        restoredAccounts[checked.account.accountId] = checked.account;
+        restored++;
+      } else {
+        skipped++;
+      }
+    }
+
+    await chrome.storage.local.set({ accounts: restoredAccounts, ...(await getVersionFields()) });
+    return { success: true, restored, skipped };
+  } catch (error) {
+    console.error('[AWS Account Display] Restore error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    release();
+  }
+}
+
 /**
  * Clears all stored account mappings
+ * Only account data goes: the accounts and the entries migrations set aside. Settings, the
+ * sync state and the schema version stay, so sync stays on and mirrors the removal.
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 async function clearAllAccounts() {
+  const release = await lockAccounts();
   try {
-    await chrome.storage.local.clear();
+    await chrome.storage.local.remove(['accounts', 'migrationState']);
     return { success: true };
   } catch (error) {
+    console.error('[AWS Account Display] Clear error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    release();
+  }
+}
+
+// User settings and their defaults
+const DEFAULT_SETTINGS = {
+  syncEnabled: false,
+  annotateAccountIds: true,
+  tabTitleMode: 'session',
+  faviconBadge: 'letter',
+  prodGuardrail: false,
+  accountDisplayMode: 'text'
+};
+
+// Allowed values of settings that are one of a fixed set
+// tabTitleMode: mark only multi-session tabs, prefix or suffix every console tab, or never
+// faviconBadge: environment letter code or a plain colored dot on the tab favicon, or none
+// accountDisplayMode: name in place of "Account ID:" in the account menu, a badge next to it, or both
+const SETTING_CHOICES = {
+  tabTitleMode: ['session', 'prefix', 'suffix', 'off'],
+  faviconBadge: ['letter', 'dot', 'off'],
+  accountDisplayMode: ['text', 'badge', 'both']
+};
+
+// Delay before mirroring a change, so bursts of edits become one sync write
+const SYNC_DELAY_MS = 2000;
+
+/**
+ * Retrieves the user settings, with defaults for any not set
+ * @returns {Promise<{success: boolean, settings: Object, error?: string}>}
+ */
+async function getSettings() {
+  try {
+    const result = await chrome.storage.local.get(['settings']);
+    return { success: true, settings: { ...DEFAULT_SETTINGS, ...(result.settings || {}) } };
+  } catch (error) {
+    console.error('[AWS Account Display] Get settings error:', error);
+    return { success: false, settings: { ...DEFAULT_SETTINGS }, error: error.message };
+  }
+}
+
+/**
+ * Updates some of the user settings
+ * Turning sync on merges this device's accounts with the synced ones right away.
+ * @param {Object} changes - Settings to change, keyed like DEFAULT_SETTINGS
+ * @returns {Promise<{success: boolean, settings?: Object, error?: string}>}
+ */
+async function updateSettings(changes) {
+  try {
+    if (!changes || typeof changes !== 'object') {
+      return { success: false, error: 'Settings must be an object' };
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (!(key in DEFAULT_SETTINGS)) {
+        return { success: false, error: `Unknown setting: ${key}` };
+      }
+      if (typeof value !== typeof DEFAULT_SETTINGS[key] ||
+          (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value))) {
+        return { success: false, error: `Invalid value for setting: ${key}` };
+      }
+    }
+
+    const current = await getSettings();
+    const settings = { ...current.settings, ...changes };
+    await chrome.storage.local.set({ settings });
+
+    if (settings.syncEnabled && !current.settings.syncEnabled) {
+      await syncAccounts();
+    }
+
+    return { success: true, settings };
+  } catch (error) {
+    console.error('[AWS Account Display] Update settings error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reads the account map mirrored in chrome.storage.sync
+ * Entries are validated like a restored backup; invalid ones are ignored.
+ * @returns {Promise<{items: Object, complete: boolean, accounts: Object, removed: Object, raw: Object|null}>}
+ */
+async function readSyncedAccounts() {
+  const items = await chrome.storage.sync.get(null);
+  const raw = syncUtils.decodeSyncPayload(items);
+  const accounts = {};
+
+  for (const [accountId, entry] of Object.entries(raw ? raw.accounts : {})) {
+    const checked = storageValidation.validateStoredAccount({ ...entry, accountId });
+    if (checked.valid) {
+      accounts[accountId] = checked.account;
+    }
+  }
+
+  return {
+    items,
+    // Synced data that has a header but cannot be read is still arriving from another device
+    complete: raw !== null || !items[syncUtils.SYNC_KEYS.meta],
+    accounts,
+    removed: raw ? raw.removed : {},
+    raw
+  };
+}
+
+/**
+ * Mirrors the account map to chrome.storage.sync and takes in changes from other devices
+ * Local and synced accounts are merged account by account; the most recently updated copy
+ * wins, user edits are resolved on their own, and accounts removed on one device are
+ * removed everywhere. Both sides are only
+ * written when they change. The outcome is recorded in `syncState` for the options page.
+ * @param {number} [now] - Current time
+ * @returns {Promise<{success: boolean, bytes?: number, error?: string}>}
+ */
+async function syncAccounts(now = Date.now()) {
+  const release = await lockAccounts();
+  try {
+    const { settings } = await getSettings();
+    if (!settings.syncEnabled) {
+      return { success: false, error: 'Sync is turned off' };
+    }
+
+    const local = await chrome.storage.local.get(['accounts', 'syncState']);
+    const localAccounts = local.accounts || {};
+    const syncState = local.syncState || {};
+
+    // Local entries are normalized like synced ones, so equal entries encode the same on
+    // every device and are not written back and forth
+    const normalizedAccounts = {};
+    for (const [accountId, entry] of Object.entries(localAccounts)) {
+      const checked = storageValidation.validateStoredAccount(entry);
+      normalizedAccounts[accountId] = checked.valid ? checked.account : entry;
+    }
+
+    const remote = await readSyncedAccounts();
+    if (!remote.complete) {
+      return { success: false, error: 'Synced data is incomplete' };
+    }
+
+    const resolved = syncUtils.resolveSyncConflicts(
+      {
+        accounts: normalizedAccounts,
+        removed: syncUtils.findLocalRemovals(syncState.syncedIds, normalizedAccounts, {}, now)
+      },
+      { accounts: remote.accounts, removed: remote.removed },
+      now
+    );
+
+    if (syncUtils.stableStringify(resolved.accounts) !== syncUtils.stableStringify(localAccounts)) {
+      await chrome.storage.local.set({ accounts: resolved.accounts, ...(await getVersionFields()) });
+    }
+
+    // The account ID is the map key, so it is left out of synced entries
+    const payload = { accounts: {}, removed: resolved.removed };
+    for (const [accountId, { accountId: omitted, ...entry }] of Object.entries(resolved.accounts)) {
+      payload.accounts[accountId] = entry;
+    }
+
+    const limits = {
+      quotaBytes: chrome.storage.sync.QUOTA_BYTES || syncUtils.SYNC_LIMITS.quotaBytes,
+      quotaBytesPerItem: chrome.storage.sync.QUOTA_BYTES_PER_ITEM || syncUtils.SYNC_LIMITS.quotaBytesPerItem,
+      maxItems: chrome.storage.sync.MAX_ITEMS || syncUtils.SYNC_LIMITS.maxItems
+    };
+    const encoded = syncUtils.encodeSyncPayload(payload, limits);
+    if (!encoded.success) {
+      await chrome.storage.local.set({ syncState: { ...syncState, lastError: encoded.error } });
+      return { success: false, error: encoded.error };
+    }
+
+    if (syncUtils.stableStringify(payload) !== syncUtils.stableStringify(remote.raw)) {
+      await chrome.storage.sync.set(encoded.items);
+      const stale = syncUtils.getStaleShardKeys(remote.items, encoded.items[syncUtils.SYNC_KEYS.meta].shards);
+      if (stale.length > 0) {
+        await chrome.storage.sync.remove(stale);
+      }
+    }
+
+    await chrome.storage.local.set({
+      syncState: {
+        syncedIds: Object.keys(resolved.accounts),
+        lastSyncAt: now,
+        bytes: encoded.bytes,
+        quotaBytes: limits.quotaBytes,
+        lastError: null
+      }
+    });
+    return { success: true, bytes: encoded.bytes };
+  } catch (error) {
+    console.error('[AWS Account Display] Sync error:', error);
     return { success: false, error: error.message };
+  } finally {
+    release();
   }
 }
 
-// Export for testing and use in other modules
+let syncTimer = null;
+
+/**
+ * Schedules a sync shortly, restarting the delay on every call
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncAccounts();
+  }, SYNC_DELAY_MS);
+}
+
+/**
+ * Decides whether a storage change needs a sync
+ * @param {Object} changes - Changed keys
+ * @param {string} areaName - 'local' or 'sync'
+ * @returns {boolean} True if the account map changed on either side
+ */
+function isSyncRelevantChange(changes, areaName) {
+  if (areaName === 'local') {
+    return 'accounts' in changes;
+  }
+  if (areaName === 'sync') {
+    return Object.keys(changes).some(key =>
+      key === syncUtils.SYNC_KEYS.meta || key.startsWith(syncUtils.SYNC_KEYS.shardPrefix));
+  }
+  return false;
+}
+
+/**
+ * Upgrades stored data written by an older version of the extension
+ * Runs the migrations newer than the stored version and writes the result. A failing step
+ * leaves the data at the last version that migrated cleanly; the failure and any entries
+ * or fields a step could not carry over are kept in `migrationState` with their original
+ * values. Data from a newer version of the extension is left untouched.
+ * @returns {Promise<{success: boolean, version?: number, applied?: Array<number>, error?: string}>}
+ */
+async function runMigrations() {
+  try {
+    const stored = await chrome.storage.local.get(['accounts', 'version', 'migrationState']);
+    if (stored.accounts === undefined && stored.version === undefined) {
+      // Nothing stored yet; the first write records the current version
+      return { success: true, version: migrationUtils.STORAGE_VERSION, applied: [] };
+    }
+
+    // The very first release stored accounts without always writing a version
+    const fromVersion = Number.isInteger(stored.version) ? stored.version : 1;
+    const previousState = stored.migrationState || {};
+
+    if (fromVersion > migrationUtils.STORAGE_VERSION) {
+      const error = `Stored data is version ${fromVersion}, newer than this extension supports (${migrationUtils.STORAGE_VERSION})`;
+      await chrome.storage.local.set({
+        migrationState: { ...previousState, lastRunAt: Date.now(), error: { version: fromVersion, message: error } }
+      });
+      return { success: false, version: fromVersion, error };
+    }
+
+    if (fromVersion === migrationUtils.STORAGE_VERSION) {
+      return { success: true, version: fromVersion, applied: [] };
+    }
+
+    const result = migrationUtils.migrateAccounts(stored.accounts || {}, fromVersion);
+    const migrationState = {
+      version: result.version,
+      lastRunAt: Date.now(),
+      applied: result.applied,
+      issues: [...(previousState.issues || []), ...result.issues],
+      error: result.error || null
+    };
+
+    if (result.applied.length > 0) {
+      await chrome.storage.local.set({ accounts: result.accounts, version: result.version, migrationState });
+    } else {
+      await chrome.storage.local.set({ migrationState });
+    }
+
+    if (result.error) {
+      console.error(`[AWS Account Display] Migration to version ${result.error.version} failed:`, result.error.message);
+      return { success: false, version: result.version, applied: result.applied, error: result.error.message };
+    }
+    return { success: true, version: result.version, applied: result.applied };
+  } catch (error) {
+    console.error('[AWS Account Display] Migration error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+let migrationRun = null;
+
+/**
+ * Runs the migrations once per service worker lifetime
+ * Message handling waits for this so nothing reads or writes data in an old shape. A run
+ * that fails is forgotten, so the next call tries again.
+ * @returns {Promise<Object>} Result of runMigrations
+ */
+function ensureMigrated() {
+  if (!migrationRun) {
+    const run = runMigrations().then(
+      (result) => {
+        if (!result.success && migrationRun === run) {
+          migrationRun = null;
+        }
+        return result;
+      },
+      (error) => {
+        if (migrationRun === run) {
+          migrationRun = null;
+        }
+        throw error;
+      }
+    );
+    migrationRun = run;
+  }
+  return migrationRun;
+}
+
+/**
+ * Gets the version field to write alongside the account map
+ * The current version is only recorded once stored data has migrated to it, so a failed
+ * migration is retried on the next start rather than hidden by a later write.
+ * @returns {Promise<{version?: number}>}
+ */
+async function getVersionFields() {
+  const result = await ensureMigrated();
+  return result.success ? { version: migrationUtils.STORAGE_VERSION } : {};
+}
+
+// Export for use in the service worker and testing
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { storeAccounts, getAccountName, getAllAccounts, clearAllAccounts };
+  module.exports = {
+    DEFAULT_SOURCE,
+    STORE_MODES,
+    DEFAULT_SETTINGS,
+    SETTING_CHOICES,
+    mergeAccounts,
+    storeAccounts,
+    getAccountName,
+    getAccountByName,
+    getAllAccounts,
+    getBackupData,
+    setAccountAlias,
+    setAccountTags,
+    setAccountReadOnly,
+    getAccountDetails,
+    restoreAccounts,
+    clearAllAccounts,
+    getSettings,
+    updateSettings,
+    syncAccounts,
+    scheduleSync,
+    isSyncRelevantChange,
+    runMigrations,
+    ensureMigrated
+  };
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    DEFAULT_SOURCE,
+    STORE_MODES,
+    DEFAULT_SETTINGS,
+    SETTING_CHOICES,
+    mergeAccounts,
+    storeAccounts,
+    getAccountName,
+    getAccountByName,
+    getAllAccounts,
+    getBackupData,
+    setAccountAlias,
+    setAccountTags,
+    setAccountReadOnly,
+    getAccountDetails,
+    restoreAccounts,
+    clearAllAccounts,
+    getSettings,
+    updateSettings,
+    syncAccounts,
+    scheduleSync,
+    isSyncRelevantChange,
+    runMigrations,
+    ensureMigrated
+  });
 }
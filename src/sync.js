@@ -0,0 +1,273 @@
+/**
+ * Sync Utilities
+ * Encodes the account map into chrome.storage.sync items within its quotas, and resolves
+ * conflicts between devices by lastUpdated
+ */
+
+// chrome.storage.sync limits, used when the API does not report them
+const SYNC_LIMITS = {
+  quotaBytes: 102400,
+  quotaBytesPerItem: 8192,
+  maxItems: 512
+};
+
+// Keys used in chrome.storage.sync
+const SYNC_KEYS = {
+  meta: 'accountsMeta',
+  shardPrefix: 'accountsShard'
+};
+
+// Version of the synced payload format
+const SYNC_PAYLOAD_VERSION = 1;
+
+// Fields set by the user, resolved on their own by overridesUpdated so that a later capture
+// of an account on another device never wins over an edit
+const USER_OVERRIDE_FIELDS = ['alias', 'tags', 'readOnly'];
+
+// Removals are remembered this long so offline devices still learn about them
+const REMOVAL_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Measures the size chrome.storage.sync charges for an item
+ * @param {string} key - Item key
+ * @param {*} value - Item value
+ * @returns {number} Size in bytes
+ */
+function getItemBytes(key, value) {
+  let bytes = 0;
+  for (const char of key + JSON.stringify(value)) {
+    const code = char.codePointAt(0);
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+/**
+ * Checks whether a UTF-16 code unit is the first half of a surrogate pair
+ * @param {number} code - Code unit, as returned by charCodeAt
+ * @returns {boolean}
+ */
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+/**
+ * Splits a payload into sync items that each fit the per-item quota
+ * @param {{accounts: Object, removed: Object}} payload - Accounts and removals to sync
+ * @param {Object} [limits] - Quota limits, defaults to SYNC_LIMITS
+ * @returns {{success: boolean, items?: Object, bytes?: number, error?: string}}
+ */
+function encodeSyncPayload(payload, limits = SYNC_LIMITS) {
+  const text = JSON.stringify({ v: SYNC_PAYLOAD_VERSION, ...payload });
+  const items = {};
+  let shards = 0;
+  let offset = 0;
+
+  while (offset < text.length) {
+    const key = `${SYNC_KEYS.shardPrefix}${shards}`;
+    // Start optimistic and shrink until the shard fits (escaping can grow the string)
+    let size = Math.min(text.length - offset, limits.quotaBytesPerItem - key.length - 2);
+    while (size > 0) {
+      // Never cut between the two halves of a surrogate pair (emoji and other astral characters)
+      if (isHighSurrogate(text.charCodeAt(offset + size - 1))) {
+        size--;
+      } else if (getItemBytes(key, text.slice(offset, offset + size)) > limits.quotaBytesPerItem) {
+        size = Math.floor(size * 0.9);
+      } else {
+        break;
+      }
+    }
+    if (size <= 0) {
+      return { success: false, error: 'Account data cannot be split into sync items' };
+    }
+
+    items[key] = text.slice(offset, offset + size);
+    offset += size;
+    shards++;
+  }
+
+  items[SYNC_KEYS.meta] = { shards, version: SYNC_PAYLOAD_VERSION };
+
+  const bytes = Object.entries(items).reduce((sum, [key, value]) => sum + getItemBytes(key, value), 0);
+  if (bytes > limits.quotaBytes || Object.keys(items).length > limits.maxItems) {
+    return { success: false, error: `Account data (${bytes} bytes) exceeds the sync quota` };
+  }
+
+  return { success: true, items, bytes };
+}
+
+/**
+ * Reassembles a payload from sync items
+ * @param {Object} items - Items read from chrome.storage.sync
+ * @returns {{accounts: Object, removed: Object}|null} The payload, or null if missing or damaged
+ */
+function decodeSyncPayload(items) {
+  const meta = items && items[SYNC_KEYS.meta];
+  if (!meta || !Number.isInteger(meta.shards) || meta.version !== SYNC_PAYLOAD_VERSION) {
+    return null;
+  }
+
+  let text = '';
+  for (let i = 0; i < meta.shards; i++) {
+    const shard = items[`${SYNC_KEYS.shardPrefix}${i}`];
+    if (typeof shard !== 'string') {
+      // Another device is part-way through writing; the next change event will bring the rest
+      return null;
+    }
+    text += shard;
+  }
+
+  try {
+    const data = JSON.parse(text);
+    return { accounts: data.accounts || {}, removed: data.removed || {} };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the sync keys holding shards beyond the ones in use
+ * @param {Object} items - Items read from chrome.storage.sync
+ * @param {number} shards - Number of shards now in use
+ * @returns {Array<string>} Keys to remove
+ */
+function getStaleShardKeys(items, shards) {
+  return Object.keys(items || {}).filter(key => {
+    if (!key.startsWith(SYNC_KEYS.shardPrefix)) {
+      return false;
+    }
+    return Number(key.slice(SYNC_KEYS.shardPrefix.length)) >= shards;
+  });
+}
+
+/**
+ * Records removals of accounts that were synced before but are gone locally
+ * @param {Array<string>} syncedIds - Account IDs present at the last successful sync
+ * @param {Object} accounts - Current local account map
+ * @param {Object} removed - Known removals, account ID to removal time
+ * @param {number} [now] - Current time
+ * @returns {Object} Removals including the new ones
+ */
+function findLocalRemovals(syncedIds, accounts, removed, now = Date.now()) {
+  const result = { ...removed };
+  for (const accountId of syncedIds || []) {
+    if (!accounts[accountId] && !result[accountId]) {
+      result[accountId] = now;
+    }
+  }
+  return result;
+}
+
+/**
+ * Takes the user edits of the other copy of an account when they are more recent
+ * @param {Object} winner - The copy chosen by lastUpdated
+ * @param {Object} other - The other copy
+ * @returns {Object} The winner, with the more recent of the two sets of user edits
+ */
+function mergeUserOverrides(winner, other) {
+  if ((other.overridesUpdated || 0) <= (winner.overridesUpdated || 0)) {
+    return winner;
+  }
+
+  const merged = { ...winner, overridesUpdated: other.overridesUpdated };
+  for (const field of USER_OVERRIDE_FIELDS) {
+    if (other[field] === undefined) {
+      delete merged[field];
+    } else {
+      merged[field] = other[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merges local and remote state account by account
+ * For each account the most recent of the local entry, the remote entry and any removal
+ * wins, compared by lastUpdated and removal time (a removal wins a tie). The alias, tags and
+ * read-only flag come from whichever copy was edited last (overridesUpdated), so a capture
+ * never undoes an edit. Old removals are forgotten.
+ * @param {{accounts: Object, removed: Object}} local - Local accounts and removals
+ * @param {{accounts: Object, removed: Object}} remote - Synced accounts and removals
+ * @param {number} [now] - Current time
+ * @returns {{accounts: Object, removed: Object}} Resolved state
+ */
+function resolveSyncConflicts(local, remote, now = Date.now()) {
+  const accounts = {};
+  const removed = {};
+  const ids = new Set([
+    ...Object.keys(local.accounts || {}),
+    ...Object.keys(remote.accounts || {}),
+    ...Object.keys(local.removed || {}),
+    ...Object.keys(remote.removed || {})
+  ]);
+
+  for (const accountId of ids) {
+    const localEntry = (local.accounts || {})[accountId];
+    const remoteEntry = (remote.accounts || {})[accountId];
+    const removedAt = Math.max((local.removed || {})[accountId] || 0, (remote.removed || {})[accountId] || 0);
+
+    let winner = localEntry;
+    if (remoteEntry && (!winner || (remoteEntry.lastUpdated || 0) > (winner.lastUpdated || 0))) {
+      winner = remoteEntry;
+    }
+
+    if (localEntry && remoteEntry) {
+      winner = mergeUserOverrides(winner, winner === localEntry ? remoteEntry : localEntry);
+    }
+
+    if (winner && Math.max(winner.lastUpdated || 0, winner.overridesUpdated || 0) > removedAt) {
+      accounts[accountId] = winner;
+    } else if (removedAt > 0 && now - removedAt < REMOVAL_RETENTION_MS) {
+      removed[accountId] = removedAt;
+    }
+  }
+
+  return { accounts, removed };
+}
+
+/**
+ * Serializes a value with sorted object keys, for change detection
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Export for use in the service worker and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNC_LIMITS,
+    SYNC_KEYS,
+    USER_OVERRIDE_FIELDS,
+    REMOVAL_RETENTION_MS,
+    encodeSyncPayload,
+    decodeSyncPayload,
+    getStaleShardKeys,
+    findLocalRemovals,
+    resolveSyncConflicts,
+    stableStringify
+  };
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    SYNC_LIMITS,
+    SYNC_KEYS,
+    USER_OVERRIDE_FIELDS,
+    REMOVAL_RETENTION_MS,
+    encodeSyncPayload,
+    decodeSyncPayload,
+    getStaleShardKeys,
+    findLocalRemovals,
+    resolveSyncConflicts,
+    stableStringify
+  });
+}
@@ -0,0 +1,274 @@
+/**
+ * Tab Identity
+ * Marks a console tab's title and favicon with its account, so tabs open on different
+ * accounts can be told apart, including pinned tabs that show no title
+ */
+
+// Configuration
+const TAB_IDENTITY_CONFIG = {
+  faviconId: 'aws-account-favicon',
+  faviconSize: 32,
+  defaultColor: '#232f3e'
+};
+
+// Tab identity state
+const tabIdentityState = {
+  label: null,
+  mark: null,
+  position: 'prefix',
+  baseTitle: null,
+  appliedTitle: null,
+  observer: null,
+  faviconRequest: 0
+};
+
+/**
+ * Builds the account mark shown in the tab title, e.g. "[PROD payments]"
+ * @param {string} label - Account name or alias
+ * @param {string} [environment] - Environment tag value
+ * @returns {string} The bracketed mark
+ */
+function formatTabMark(label, environment) {
+  return environment ? `[${environment.toUpperCase()} ${label}]` : `[${label}]`;
+}
+
+/**
+ * Builds the tab title with the account mark before or after the page's own title
+ * @param {string} baseTitle - The page's own title
+ * @param {string} mark - Account mark from formatTabMark
+ * @param {string} [position] - 'prefix' or 'suffix'
+ * @returns {string} The marked title
+ */
+function formatTabTitle(baseTitle, mark, position = 'prefix') {
+  if (!baseTitle) {
+    return mark;
+  }
+  return position === 'suffix' ? `${baseTitle} ${mark}` : `${mark} ${baseTitle}`;
+}
+
+/**
+ * Gets up to two initials for an account label, e.g. "payments-prod" -> "PP"
+ * @param {string} label - Account label
+ * @returns {string} Upper-case initials
+ */
+function getLabelInitials(label) {
+  const words = String(label || '').split(/[\s\-_.]+/).filter(Boolean);
+  return words.slice(0, 2).map(word => word[0]).join('').toUpperCase() || '?';
+}
+
+/**
+ * Writes the marked title, remembering it so our own write is not mistaken for the page's
+ */
+function applyTabTitle() {
+  const title = formatTabTitle(tabIdentityState.baseTitle, tabIdentityState.mark, tabIdentityState.position);
+  tabIdentityState.appliedTitle = title;
+  if (document.title !== title) {
+    document.title = title;
+  }
+}
+
+/**
+ * Re-applies the mark when the console changes the title, e.g. after SPA navigation
+ */
+function handleTitleChange() {
+  if (tabIdentityState.label === null || document.title === tabIdentityState.appliedTitle) {
+    return;
+  }
+  tabIdentityState.baseTitle = document.title;
+  applyTabTitle();
+}
+
+/**
+ * Finds the page's own favicon URL, ignoring the badged one
+ * @returns {string} Absolute URL of the page favicon
+ */
+function getPageFaviconUrl() {
+  const links = [...document.querySelectorAll('link[rel~="icon"]')]
+    .filter(link => link.id !== TAB_IDENTITY_CONFIG.faviconId && link.href);
+  return links.length > 0 ? links[links.length - 1].href : new URL('/favicon.ico', location.href).href;
+}
+
+/**
+ * Loads an image for drawing on a canvas
+ * The image is requested in CORS mode, so drawing it keeps the canvas readable. An icon
+ * served without CORS headers then fails to load instead of tainting the canvas.
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement|null>} The loaded image, or null if it cannot be loaded
+ */
+function loadFaviconImage(url) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+/**
+ * Draws the favicon with the badge in its bottom-right corner
+ * Without a page icon, the badge fills the whole icon.
+ * @param {CanvasRenderingContext2D} context - Canvas context to draw on
+ * @param {number} size - Icon size in pixels
+ * @param {{text: string, color: string}} badge - Letter code (empty for a plain dot) and color
+ * @param {HTMLImageElement|null} image - The page's own favicon
+ */
+function drawFaviconBadge(context, size, badge, image) {
+  context.clearRect(0, 0, size, size);
+  if (image) {
+    context.drawImage(image, 0, 0, size, size);
+  }
+
+  const radius = image ? size * (badge.text ? 0.3 : 0.22) : size / 2;
+  const center = size - radius;
+
+  context.beginPath();
+  context.arc(center, center, radius, 0, 2 * Math.PI);
+  context.fillStyle = badge.color;
+  context.fill();
+  if (image) {
+    // Outline the dot so it stands out against the icon underneath
+    context.lineWidth = 2;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+  }
+
+  if (badge.text) {
+    const fontSize = Math.round(radius * (badge.text.length > 1 ? 1 : 1.4));
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${fontSize}px Arial, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(badge.text, center, center + 1);
+  }
+}
+
+/**
+ * Renders a badged favicon to a data URL
+ * @param {{text: string, color: string}} badge - Letter code and color
+ * @param {HTMLImageElement|null} image - The page's own favicon
+ * @returns {string|null} PNG data URL, or null if canvases are unavailable
+ */
+function renderFaviconBadge(badge, image) {
+  const size = TAB_IDENTITY_CONFIG.faviconSize;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return null;
+  }
+
+  drawFaviconBadge(context, size, badge, image);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Swaps in a favicon drawn from the page's own icon with an environment badge on it
+ * Calls that finish after a newer call are dropped.
+ * @param {{text?: string, color?: string}} badge - Letter code (empty for a plain dot) and color
+ * @returns {Promise<HTMLLinkElement|null>} The icon link element, or null if not applied
+ */
+async function setFaviconBadge({ text = '', color = TAB_IDENTITY_CONFIG.defaultColor }) {
+  const request = ++tabIdentityState.faviconRequest;
+  const badge = { text, color };
+  const image = await loadFaviconImage(getPageFaviconUrl());
+
+  let href;
+  try {
+    href = renderFaviconBadge(badge, image);
+  } catch (error) {
+    if (error.name !== 'SecurityError') {
+      console.error('[AWS Account Display] Favicon badge error:', error);
+      return null;
+    }
+    // The canvas was tainted anyway, e.g. by an icon redirected to another origin, so the
+    // page icon cannot be read back; draw the badge on its own
+    href = renderFaviconBadge(badge, null);
+  }
+  if (!href || request !== tabIdentityState.faviconRequest) {
+    return null;
+  }
+
+  let link = document.getElementById(TAB_IDENTITY_CONFIG.faviconId);
+  if (!link) {
+    link = document.createElement('link');
+    link.id = TAB_IDENTITY_CONFIG.faviconId;
+    link.rel = 'icon';
+    link.type = 'image/png';
+  }
+  link.href = href;
+  // The last icon in the head wins, so keep ours last
+  document.head.appendChild(link);
+  return link;
+}
+
+/**
+ * Restores the page's own favicon
+ */
+function clearFaviconBadge() {
+  tabIdentityState.faviconRequest++;
+  document.getElementById(TAB_IDENTITY_CONFIG.faviconId)?.remove();
+}
+
+/**
+ * Marks the tab title with an account, and keeps it marked as the console retitles the page
+ * @param {{label: string, environment?: string, position?: string}} identity - Account label,
+ *   environment tag, and whether the mark goes before or after the title
+ */
+function setTabIdentity({ label, environment, position = 'prefix' }) {
+  if (tabIdentityState.label === null) {
+    tabIdentityState.baseTitle = document.title;
+  }
+  tabIdentityState.label = label;
+  tabIdentityState.mark = formatTabMark(label, environment);
+  tabIdentityState.position = position;
+  applyTabTitle();
+
+  if (!tabIdentityState.observer) {
+    tabIdentityState.observer = new MutationObserver(handleTitleChange);
+    tabIdentityState.observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+  }
+}
+
+/**
+ * Removes the account mark from the tab title
+ */
+function clearTabIdentity() {
+  if (tabIdentityState.observer) {
+    tabIdentityState.observer.disconnect();
+    tabIdentityState.observer = null;
+  }
+  if (tabIdentityState.label !== null && document.title === tabIdentityState.appliedTitle) {
+    document.title = tabIdentityState.baseTitle;
+  }
+  tabIdentityState.label = null;
+  tabIdentityState.mark = null;
+  tabIdentityState.baseTitle = null;
+  tabIdentityState.appliedTitle = null;
+}
+
+// Export for use in the console script and testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TAB_IDENTITY_CONFIG,
+    formatTabMark,
+    formatTabTitle,
+    getLabelInitials,
+    getPageFaviconUrl,
+    drawFaviconBadge,
+    setFaviconBadge,
+    clearFaviconBadge,
+    handleTitleChange,
+    setTabIdentity,
+    clearTabIdentity,
+    tabIdentityState
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.getLabelInitials = getLabelInitials;
+  window.setFaviconBadge = setFaviconBadge;
+  window.clearFaviconBadge = clearFaviconBadge;
+  window.setTabIdentity = setTabIdentity;
+  window.clearTabIdentity = clearTabIdentity;
+}
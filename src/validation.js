@@ -2,6 +2,15 @@
  * Validation utilities for AWS account data
  */
 
+// Import partition utilities
+let validationPartitions;
+if (typeof require !== 'undefined') {
+  validationPartitions = require('./partitions.js');
+} else {
+  // In browser and service worker context, partitions.js is loaded first
+  validationPartitions = { isValidPartition };
+}
+
 /**
  * Validates that an account ID is exactly 12 digits
  * @param {string} id - The account ID to validate
@@ -32,7 +41,186 @@ function sanitizeAccountName(name) {
   return name.trim().substring(0, 256);
 }
 
+/**
+ * Validates an environment tag value such as "prod" or a custom value like "pci-prod"
+ * @param {string} environment - The environment tag to validate
+ * @returns {boolean} True if valid environment tag
+ */
+function isValidEnvironment(environment) {
+  return typeof environment === 'string' && /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,31}$/.test(environment.trim());
+}
+
+/**
+ * Validates a color in #rrggbb form, as produced by color inputs
+ * @param {string} color - The color to validate
+ * @returns {boolean} True if valid hex color
+ */
+function isValidColor(color) {
+  return typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color);
+}
+
+/**
+ * Validates an account's root email address as reported by AWS Organizations
+ * @param {string} email - The email address to validate
+ * @returns {boolean} True if plausible email address
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && email.trim().length <= 256 && /^[^\s@]+@[^\s@]+$/.test(email.trim());
+}
+
+/**
+ * Validates an account status such as ACTIVE, SUSPENDED or PENDING_CLOSURE
+ * @param {string} status - The account status to validate
+ * @returns {boolean} True if valid status value
+ */
+function isValidAccountStatus(status) {
+  return typeof status === 'string' && /^[A-Z_]{1,32}$/.test(status);
+}
+
+/**
+ * Validates a role or permission set name, e.g. "AdministratorAccess"
+ * @param {string} roleName - The role name to validate
+ * @returns {boolean} True if valid IAM role name
+ */
+function isValidRoleName(roleName) {
+  return typeof roleName === 'string' && /^[\w+=,.@-]{1,64}$/.test(roleName);
+}
+
+/**
+ * Validates a complete stored account entry, e.g. a row read back from a backup
+ * Optional fields are checked when present; unknown fields are dropped.
+ * @param {Object} entry - The account entry to validate
+ * @returns {{valid: boolean, account?: Object, reason?: string}} The cleaned entry, or why it was rejected
+ */
+function validateStoredAccount(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return { valid: false, reason: 'Not an account object' };
+  }
+  if (!isValidAccountId(entry.accountId)) {
+    return { valid: false, reason: 'Invalid account ID' };
+  }
+  if (!isValidAccountName(entry.accountName)) {
+    return { valid: false, reason: 'Invalid account name' };
+  }
+
+  const account = {
+    accountId: entry.accountId,
+    accountName: sanitizeAccountName(entry.accountName),
+    lastUpdated: Number.isFinite(entry.lastUpdated) && entry.lastUpdated >= 0 ? entry.lastUpdated : 0,
+    sources: []
+  };
+
+  if (Number.isFinite(entry.overridesUpdated) && entry.overridesUpdated >= 0) {
+    account.overridesUpdated = entry.overridesUpdated;
+  }
+
+  if (entry.sources !== undefined) {
+    if (!Array.isArray(entry.sources) || !entry.sources.every(s => typeof s === 'string' && s.length > 0 && s.length <= 256)) {
+      return { valid: false, reason: 'Invalid sources' };
+    }
+    account.sources = [...new Set(entry.sources)];
+  }
+
+  if (entry.alias !== undefined && entry.alias !== null && entry.alias !== '') {
+    if (!isValidAccountName(entry.alias)) {
+      return { valid: false, reason: 'Invalid alias' };
+    }
+    account.alias = sanitizeAccountName(entry.alias);
+  }
+
+  if (entry.tags !== undefined && entry.tags !== null) {
+    if (!isValidEnvironment(entry.tags.environment)) {
+      return { valid: false, reason: 'Invalid environment' };
+    }
+    if (entry.tags.color !== undefined && entry.tags.color !== null && !isValidColor(entry.tags.color)) {
+      return { valid: false, reason: 'Invalid color' };
+    }
+    account.tags = { environment: entry.tags.environment.trim() };
+    if (entry.tags.color) {
+      account.tags.color = entry.tags.color.toLowerCase();
+    }
+  }
+
+  if (entry.email !== undefined && entry.email !== null && entry.email !== '') {
+    if (!isValidEmail(entry.email)) {
+      return { valid: false, reason: 'Invalid email' };
+    }
+    account.email = entry.email.trim();
+  }
+
+  if (entry.status !== undefined && entry.status !== null && entry.status !== '') {
+    if (!isValidAccountStatus(entry.status)) {
+      return { valid: false, reason: 'Invalid status' };
+    }
+    account.status = entry.status;
+  }
+
+  if (entry.partition !== undefined && entry.partition !== null && entry.partition !== '') {
+    if (!validationPartitions.isValidPartition(entry.partition)) {
+      return { valid: false, reason: 'Invalid partition' };
+    }
+    account.partition = entry.partition;
+  }
+
+  if (entry.roles !== undefined && entry.roles !== null) {
+    if (!Array.isArray(entry.roles) || !entry.roles.every(isValidRoleName)) {
+      return { valid: false, reason: 'Invalid roles' };
+    }
+    if (entry.roles.length > 0) {
+      account.roles = [...new Set(entry.roles)];
+    }
+  }
+
+  if (entry.readOnly !== undefined && entry.readOnly !== null) {
+    if (typeof entry.readOnly !== 'boolean') {
+      return { valid: false, reason: 'Invalid read-only flag' };
+    }
+    if (entry.readOnly) {
+      account.readOnly = true;
+    }
+  }
+
+  return { valid: true, account };
+}
+
 // Export for testing and use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { isValidAccountId, isValidAccountName, sanitizeAccountName };
+  module.exports = {
+    isValidAccountId,
+    isValidAccountName,
+    sanitizeAccountName,
+    isValidEnvironment,
+    isValidColor,
+    isValidEmail,
+    isValidAccountStatus,
+    isValidRoleName,
+    isValidPartition: validationPartitions.isValidPartition,
+    validateStoredAccount
+  };
+} else if (typeof window !== 'undefined') {
+  // Browser context - expose to window
+  window.isValidAccountId = isValidAccountId;
+  window.isValidAccountName = isValidAccountName;
+  window.sanitizeAccountName = sanitizeAccountName;
+  window.isValidEnvironment = isValidEnvironment;
+  window.isValidColor = isValidColor;
+  window.isValidEmail = isValidEmail;
+  window.isValidAccountStatus = isValidAccountStatus;
+  window.isValidRoleName = isValidRoleName;
+  window.validateStoredAccount = validateStoredAccount;
+  // isValidPartition is already exposed by partitions.js
+} else if (typeof self !== 'undefined') {
+  // Service worker context - expose to the worker global scope
+  Object.assign(self, {
+    isValidAccountId,
+    isValidAccountName,
+    sanitizeAccountName,
+    isValidEnvironment,
+    isValidColor,
+    isValidEmail,
+    isValidAccountStatus,
+    isValidRoleName,
+    validateStoredAccount
+  });
+  // isValidPartition is already exposed by partitions.js
 }
@@ -0,0 +1,70 @@
+const fc = require('fast-check');
+const { createBackup, createCsvBackup, parseBackup } = require('../../src/backup');
+
+// Helper to generate valid 12-digit account IDs
+const accountIdArb = fc.stringOf(fc.constantFrom('0', '1', '2', '3', '4', '5', '6', '7', '8', '9'), { minLength: 12, maxLength: 12 });
+
+// Helper to generate already-sanitized names (no surrounding whitespace)
+const nameArb = fc.string({ minLength: 1, maxLength: 64 }).filter(s => s.trim() === s && s.length > 0);
+
+// Helper to generate complete stored account entries
+const storedAccountArb = fc.record({
+  accountId: accountIdArb,
+  accountName: nameArb,
+  lastUpdated: fc.nat(),
+  sources: fc.uniqueArray(fc.constantFrom('https://prod-org.awsapps.com', 'https://sandbox-org.awsapps.com', 'organizations:o-exampleorgid', 'aws-config'), { maxLength: 3 }),
+  alias: fc.option(nameArb, { nil: undefined }),
+  tags: fc.option(fc.record({
+    environment: fc.constantFrom('prod', 'staging', 'pci-prod'),
+    color: fc.option(fc.hexaString({ minLength: 6, maxLength: 6 }).map(h => '#' + h), { nil: undefined })
+  }, { requiredKeys: ['environment'] }), { nil: undefined }),
+  email: fc.option(fc.constantFrom('a@example.com', 'b+c@example.org'), { nil: undefined }),
+  status: fc.option(fc.constantFrom('ACTIVE', 'SUSPENDED'), { nil: undefined }),
+  partition: fc.option(fc.constantFrom('aws', 'aws-us-gov', 'aws-cn'), { nil: undefined }),
+  roles: fc.option(fc.uniqueArray(fc.constantFrom('AdministratorAccess', 'ReadOnlyAccess', 'Billing'), { minLength: 1, maxLength: 3 }), { nil: undefined })
+}, { requiredKeys: ['accountId', 'accountName', 'lastUpdated', 'sources'] });
+
+// Helper to generate a stored account map
+const storedDataArb = fc.array(storedAccountArb, { maxLength: 10 }).map(accounts => {
+  const map = {};
+  accounts.forEach(a => { map[a.accountId] = a; });
+  return { version: 1, accounts: map };
+});
+
+describe('Backup Property Tests', () => {
+  /**
+   * Feature: backup-restore, Property 1: JSON export round-trip
+   * For any stored account database, parsing its JSON export SHALL yield every account with
+   * identical names, aliases, tags, sources and timestamps, and reject nothing.
+   */
+  test('Property 1: JSON export round-trip', () => {
+    fc.assert(
+      fc.property(storedDataArb, (storedData) => {
+        const result = parseBackup(JSON.stringify(createBackup(storedData)));
+
+        expect(result.success).toBe(true);
+        expect(result.rejected).toEqual([]);
+        expect(result.accounts).toEqual(createBackup(storedData).accounts);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Feature: backup-restore, Property 2: CSV export round-trip
+   * For any stored account database, parsing its CSV export SHALL yield the same accounts
+   * as the JSON export.
+   */
+  test('Property 2: CSV export round-trip', () => {
+    fc.assert(
+      fc.property(storedDataArb, (storedData) => {
+        const result = parseBackup(createCsvBackup(storedData));
+
+        expect(result.success).toBe(true);
+        expect(result.rejected).toEqual([]);
+        expect(result.accounts).toEqual(createBackup(storedData).accounts);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -1,5 +1,6 @@
 const fc = require('fast-check');
-const { createDisplayElement, truncateText, CONFIG } = require('../../src/console-content');
+const { createDisplayElement, truncateText, applyEnvironmentBand, CONFIG } = require('../../src/console-content');
+const { ENVIRONMENT_PRESETS } = require('../../src/environments');
 
 // Helper to generate valid 12-digit account IDs
 const accountIdArb = fc.stringOf(
@@ -46,7 +47,7 @@ describe('Display Property Tests', () => {
         // Tooltip should contain both account name and account ID
         expect(tooltipText).toContain(accountName);
         expect(tooltipText).toContain(accountId);
-        expect(element.title).toBe(tooltipText);
+        expect(element.getAttribute('aria-label')).toBe(tooltipText);
       }),
       { numRuns: 100 }
     );
@@ -70,8 +71,8 @@ describe('Display Property Tests', () => {
         expect(tooltipText).toContain(accountId);
         expect(accountId.length).toBe(12);
 
-        // Element's title attribute should match tooltip text
-        expect(element.title).toBe(tooltipText);
+        // Element's accessible label should match tooltip text
+        expect(element.getAttribute('aria-label')).toBe(tooltipText);
 
         // Verify the format includes both pieces of information
         expect(tooltipText).toBe(`${accountName} (${accountId})`);
@@ -111,6 +112,35 @@ describe('Display Property Tests', () => {
     );
   });
 
+  /**
+   * Feature: environment-banding, Property 8: Environment band reflects the account's environment tag
+   * For any environment tag and color, applying the band SHALL draw exactly one band carrying the
+   * environment and color, and applying it for an untagged account SHALL remove the band.
+   */
+  test('Property 8: Environment band reflects the account\'s environment tag', async () => {
+    const environmentArb = fc.oneof(
+      fc.constantFrom(...Object.keys(ENVIRONMENT_PRESETS)),
+      fc.stringOf(fc.constantFrom('a', 'b', 'q', 'x', '1', '-'), { minLength: 1, maxLength: 10 }).map(s => 'env' + s)
+    );
+    const colorArb = fc.hexaString({ minLength: 6, maxLength: 6 }).map(hex => '#' + hex);
+
+    await fc.assert(
+      fc.property(environmentArb, colorArb, (environment, color) => {
+        const band = applyEnvironmentBand({ environment, color });
+
+        expect(document.querySelectorAll(`#${CONFIG.environmentBandId}`)).toHaveLength(1);
+        expect(band.getAttribute('data-environment')).toBe(environment);
+        expect(document.documentElement.getAttribute('data-aws-account-environment')).toBe(environment);
+        expect(document.documentElement.style.getPropertyValue('--aws-account-environment-color')).toBe(color);
+
+        expect(applyEnvironmentBand(undefined)).toBeNull();
+        expect(document.getElementById(CONFIG.environmentBandId)).toBeNull();
+        expect(document.documentElement.hasAttribute('data-aws-account-environment')).toBe(false);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
   describe('truncateText function', () => {
     test('does not truncate short text', async () => {
       await fc.assert(
@@ -184,6 +184,58 @@ describe('Retry Utilities Property Tests', () => {
     );
   });
 
+  // Feature: page-load-retry, Property 13: Aborted retries stop before the next attempt
+  // Validates: Requirements 3.5
+  test('Property 13: Aborted retries stop before the next attempt', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 2, max: 5 }), // maxAttempts
+        fc.integer({ min: 1, max: 5 }), // abortOnAttempt (1-indexed)
+        async (maxAttempts, abortOnAttempt) => {
+          const abortAfter = Math.min(abortOnAttempt, maxAttempts);
+          const controller = new AbortController();
+
+          let callCount = 0;
+          const abortsOnNthAttempt = async () => {
+            callCount++;
+            if (callCount === abortAfter) {
+              controller.abort();
+            }
+            return null;
+          };
+
+          const config = {
+            maxAttempts,
+            initialDelay: 10,
+            maxDelay: 10,
+            backoffMultiplier: 1,
+            backoffType: 'linear'
+          };
+
+          const result = await retryWithBackoff(abortsOnNthAttempt, config, { signal: controller.signal });
+
+          // No attempt runs after the abort
+          return result === null && callCount === abortAfter;
+        }
+      ),
+      { numRuns: 30 }
+    );
+  }, 30000);
+
+  test('an abort cuts the wait between attempts short', async () => {
+    const controller = new AbortController();
+    const config = { maxAttempts: 3, initialDelay: 10000, maxDelay: 10000, backoffMultiplier: 1, backoffType: 'linear' };
+    const fn = jest.fn(async () => null);
+
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 20);
+    const result = await retryWithBackoff(fn, config, { signal: controller.signal });
+
+    expect(result).toBeNull();
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
   // Feature: page-load-retry, Property 8: Element polling respects interval and timeout
   // Validates: Requirements 2.4, 2.5
   test('Property 8: Element polling respects interval and timeout', async () => {
@@ -1,5 +1,6 @@
 const fc = require('fast-check');
-const { storeAccounts, getAccountName, getAllAccounts, clearAllAccounts } = require('../../src/storage');
+const { storeAccounts, getAccountName, getAllAccounts, clearAllAccounts, runMigrations } = require('../../src/storage');
+const { MIGRATIONS, STORAGE_VERSION, migrateAccounts } = require('../../src/migrations');
 
 // Helper to generate valid 12-digit account IDs
 const accountIdArb = fc.stringOf(fc.constantFrom('0', '1', '2', '3', '4', '5', '6', '7', '8', '9'), { minLength: 12, maxLength: 12 });
@@ -13,6 +14,27 @@ const accountMappingArb = fc.record({
   accountName: accountNameArb
 });
 
+// Capture sources (portal origins)
+const sourceA = 'https://prod-org.awsapps.com';
+const sourceB = 'https://sandbox-org.awsapps.com';
+
+// Helper to generate an account map as stored by version 1 of the extension
+const legacyAccountsArb = fc.array(
+  fc.record({ accountId: accountIdArb, accountName: accountNameArb, lastUpdated: fc.nat() }),
+  { maxLength: 10 }
+).map(entries => Object.fromEntries(entries.map(entry => [entry.accountId, entry])));
+
+// Helper to generate user settings as stored on version 2 entries, valid or not
+const aliasArb = fc.oneof(fc.constant(undefined), accountNameArb, fc.constant(''), fc.constant('a'.repeat(300)), fc.integer());
+const tagsArb = fc.oneof(
+  fc.constant(undefined),
+  fc.record({
+    environment: fc.constantFrom('prod', ' staging ', 'dev', '', '!!'),
+    color: fc.constantFrom(undefined, '#D13212', '#1d8102', 'red')
+  }, { requiredKeys: ['environment'] }),
+  fc.constant('prod')
+);
+
 // Helper to generate array of unique account mappings
 const accountMappingsArb = fc.array(accountMappingArb, { minLength: 1, maxLength: 10 })
   .map(accounts => {
@@ -44,8 +66,8 @@ describe('Storage Property Tests', () => {
       return Promise.resolve(result);
     });
 
-    chrome.storage.local.clear.mockImplementation(() => {
-      storedData = {};
+    chrome.storage.local.remove.mockImplementation((keys) => {
+      keys.forEach(key => delete storedData[key]);
       return Promise.resolve();
     });
   });
@@ -85,19 +107,21 @@ describe('Storage Property Tests', () => {
   });
 
   /**
-   * Feature: iam-identity-center-chrome-plugin, Property 5: Storage update overwrites previous state
-   * For any initial set of account mappings followed by an updated set,
+   * Feature: iam-identity-center-chrome-plugin, Property 5: Storage update replaces state for the same source
+   * For any initial set of account mappings followed by an updated set from the same source,
    * after storing both sequentially, retrieving the data SHALL return only the most recent state.
    * Validates: Requirements 2.3
    */
-  test('Property 5: Storage update overwrites previous state', async () => {
+  test('Property 5: Storage update replaces state for the same source', async () => {
     await fc.assert(
       fc.asyncProperty(accountMappingsArb, accountMappingsArb, async (initial, updated) => {
+        storedData = {};
+
         // Store initial accounts
-        await storeAccounts(initial);
+        await storeAccounts(initial, sourceA);
 
-        // Store updated accounts (should overwrite)
-        await storeAccounts(updated);
+        // Store updated accounts from the same source (should replace)
+        await storeAccounts(updated, sourceA);
 
         // Verify only updated accounts exist
         const allResult = await getAllAccounts();
@@ -108,6 +132,7 @@ describe('Storage Property Tests', () => {
           const stored = allResult.accounts[account.accountId];
           expect(stored).toBeDefined();
           expect(stored.accountName).toBe(account.accountName.trim().substring(0, 256));
+          expect(stored.sources).toEqual([sourceA]);
         }
 
         // Check that initial accounts NOT in updated are gone
@@ -121,6 +146,46 @@ describe('Storage Property Tests', () => {
     );
   });
 
+  /**
+   * Feature: iam-identity-center-chrome-plugin, Property 5a: Captures from different sources are merged
+   * For any two sets of account mappings captured from different sources, after storing both
+   * sequentially, every account from either source SHALL be retrievable, and a later capture
+   * from the first source SHALL only remove accounts that no other source still lists.
+   * Validates: Requirements 2.3
+   */
+  test('Property 5a: Captures from different sources are merged', async () => {
+    await fc.assert(
+      fc.asyncProperty(accountMappingsArb, accountMappingsArb, async (first, second) => {
+        storedData = {};
+
+        await storeAccounts(first, sourceA);
+        await storeAccounts(second, sourceB);
+
+        let allResult = await getAllAccounts();
+        for (const account of [...first, ...second]) {
+          expect(allResult.accounts[account.accountId]).toBeDefined();
+        }
+
+        // Source A now lists nothing: only accounts also listed by source B remain
+        await storeAccounts([], sourceA);
+
+        allResult = await getAllAccounts();
+        for (const account of first) {
+          const inSecond = second.some(s => s.accountId === account.accountId);
+          if (inSecond) {
+            expect(allResult.accounts[account.accountId].sources).toEqual([sourceB]);
+          } else {
+            expect(allResult.accounts[account.accountId]).toBeUndefined();
+          }
+        }
+        for (const account of second) {
+          expect(allResult.accounts[account.accountId]).toBeDefined();
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
   /**
    * Feature: iam-identity-center-chrome-plugin, Property 6: Clear removes all stored data
    * For any set of stored account mappings, after calling the clear function,
@@ -155,4 +220,180 @@ describe('Storage Property Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  /**
+   * Feature: storage-migrations, Property 1: Version 2 records sources without losing accounts
+   * For any version 1 account map, the version 2 step SHALL keep every account with its
+   * ID, name and timestamp, and give each one an empty sources list.
+   */
+  test('Migration Property 1: Version 2 adds sources to every account', () => {
+    const step = MIGRATIONS.find(m => m.version === 2);
+
+    fc.assert(
+      fc.property(legacyAccountsArb, (legacy) => {
+        const { accounts, issues } = step.migrate(legacy);
+
+        expect(issues).toEqual([]);
+        expect(Object.keys(accounts).sort()).toEqual(Object.keys(legacy).sort());
+        for (const [accountId, entry] of Object.entries(legacy)) {
+          expect(accounts[accountId]).toEqual({ ...entry, sources: [] });
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('Migration Property 1a: Version 2 sets unreadable entries aside as issues', () => {
+    const step = MIGRATIONS.find(m => m.version === 2);
+    const legacy = {
+      '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1 },
+      '234567890123': { accountId: '234567890123', accountName: '' },
+      '345678901234': 'not an object',
+      'not-an-id': { accountName: 'Orphan' }
+    };
+
+    const { accounts, issues } = step.migrate(legacy);
+
+    expect(Object.keys(accounts)).toEqual(['123456789012']);
+    expect(issues.map(issue => issue.accountId)).toEqual(['234567890123', '345678901234', 'not-an-id']);
+    expect(issues[1].value).toBe('not an object');
+  });
+
+  /**
+   * Feature: storage-migrations, Property 2: Version 3 normalizes aliases and tags
+   * For any version 2 entry, the version 3 step SHALL keep valid aliases (trimmed) and
+   * valid environment tags (trimmed, lower-case color), and report every value it removes
+   * together with the original value.
+   */
+  test('Migration Property 2: Version 3 normalizes aliases and tags and reports what it removes', () => {
+    const step = MIGRATIONS.find(m => m.version === 3);
+
+    fc.assert(
+      fc.property(accountIdArb, accountNameArb, aliasArb, tagsArb, (accountId, accountName, alias, tags) => {
+        const entry = { accountId, accountName, lastUpdated: 1, sources: [] };
+        if (alias !== undefined) entry.alias = alias;
+        if (tags !== undefined) entry.tags = tags;
+
+        const { accounts, issues } = step.migrate({ [accountId]: entry });
+        const migrated = accounts[accountId];
+
+        expect(migrated.accountName).toBe(accountName);
+
+        const aliasValid = typeof alias === 'string' && alias.trim().length > 0 && alias.length <= 256;
+        expect(migrated.alias).toBe(aliasValid ? alias.trim() : undefined);
+        expect(issues.some(i => i.reason === 'Invalid alias removed' && i.value === alias))
+          .toBe(!aliasValid && alias !== undefined && alias !== '');
+
+        const environmentValid = tags && typeof tags === 'object' && /^[A-Za-z0-9]/.test(tags.environment.trim());
+        if (environmentValid) {
+          expect(migrated.tags.environment).toBe(tags.environment.trim());
+          expect(migrated.tags.color).toBe(tags.color === 'red' ? undefined : tags.color && tags.color.toLowerCase());
+        } else {
+          expect(migrated.tags).toBeUndefined();
+          expect(issues.some(i => i.reason === 'Invalid tags removed')).toBe(tags !== undefined);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Feature: storage-migrations, Property 3: Migrating is idempotent and loses no accounts
+   * For any version 1 account map, migrating to the current version SHALL keep every
+   * account, and migrating the result again SHALL not change it.
+   */
+  test('Migration Property 3: Full migration keeps every account and is idempotent', () => {
+    fc.assert(
+      fc.property(legacyAccountsArb, (legacy) => {
+        const result = migrateAccounts(legacy, 1);
+
+        expect(result.version).toBe(STORAGE_VERSION);
+        expect(result.applied).toEqual(MIGRATIONS.map(m => m.version));
+        expect(Object.keys(result.accounts).sort()).toEqual(Object.keys(legacy).sort());
+
+        const again = migrateAccounts(result.accounts, 1);
+        expect(again.accounts).toEqual(result.accounts);
+        expect(again.issues).toEqual([]);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('Migration Property 4: A failing step stops at the last good version', () => {
+    const steps = [
+      MIGRATIONS[0],
+      { version: 3, description: 'Broken', migrate() { throw new Error('boom'); } }
+    ];
+    const legacy = { '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1 } };
+
+    const result = migrateAccounts(legacy, 1, steps);
+
+    expect(result.version).toBe(2);
+    expect(result.applied).toEqual([2]);
+    expect(result.accounts['123456789012'].sources).toEqual([]);
+    expect(result.error).toEqual({ version: 3, message: 'boom' });
+    expect(legacy['123456789012'].sources).toBeUndefined();
+  });
+
+  describe('runMigrations', () => {
+    test('upgrades version 1 data and records the run', async () => {
+      storedData = {
+        version: 1,
+        accounts: { '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1, alias: '   ' } }
+      };
+
+      const result = await runMigrations();
+
+      expect(result).toEqual({ success: true, version: STORAGE_VERSION, applied: MIGRATIONS.map(m => m.version) });
+      expect(storedData.version).toBe(STORAGE_VERSION);
+      expect(storedData.accounts['123456789012']).toEqual({
+        accountId: '123456789012', accountName: 'Production', lastUpdated: 1, sources: []
+      });
+      expect(storedData.migrationState.error).toBeNull();
+    });
+
+    test('treats data without a version as version 1', async () => {
+      storedData = { accounts: { '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1 } } };
+
+      await runMigrations();
+
+      expect(storedData.version).toBe(STORAGE_VERSION);
+      expect(storedData.accounts['123456789012'].sources).toEqual([]);
+    });
+
+    test('keeps set-aside entries in the migration state', async () => {
+      storedData = { version: 1, accounts: { '123456789012': { accountId: '123456789012', accountName: '' } } };
+
+      await runMigrations();
+
+      expect(storedData.accounts).toEqual({});
+      expect(storedData.migrationState.issues).toEqual([{
+        accountId: '123456789012',
+        reason: 'Unreadable account entry set aside',
+        value: { accountId: '123456789012', accountName: '' },
+        version: 2
+      }]);
+    });
+
+    test('leaves data from a newer version untouched', async () => {
+      const accounts = { '123456789012': { accountId: '123456789012', accountName: 'Production', future: true } };
+      storedData = { version: STORAGE_VERSION + 1, accounts };
+
+      const result = await runMigrations();
+
+      expect(result.success).toBe(false);
+      expect(storedData.accounts).toBe(accounts);
+      expect(storedData.version).toBe(STORAGE_VERSION + 1);
+      expect(storedData.migrationState.error.version).toBe(STORAGE_VERSION + 1);
+    });
+
+    test('does nothing when storage is empty or current', async () => {
+      await runMigrations();
+      expect(storedData).toEqual({});
+
+      storedData = { version: STORAGE_VERSION, accounts: {} };
+      await runMigrations();
+      expect(storedData.migrationState).toBeUndefined();
+    });
+  });
 });
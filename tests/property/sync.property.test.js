@@ -0,0 +1,57 @@
+const fc = require('fast-check');
+const { encodeSyncPayload, decodeSyncPayload } = require('../../src/sync');
+
+// Helper to generate valid 12-digit account IDs
+const accountIdArb = fc.stringOf(fc.constantFrom('0', '1', '2', '3', '4', '5', '6', '7', '8', '9'), { minLength: 12, maxLength: 12 });
+
+// Helper to generate names mixing ASCII with astral characters (emoji), which take two UTF-16
+// code units each
+const astralNameArb = fc.array(
+  fc.oneof(fc.constantFrom('a', 'Z', '-', ' ', '"'), fc.fullUnicode().filter(c => c.codePointAt(0) > 0xffff)),
+  { minLength: 1, maxLength: 40 }
+).map(chars => chars.join(''));
+
+// Helper to generate synced account maps
+const syncedAccountsArb = fc.dictionary(accountIdArb, fc.record({
+  accountName: astralNameArb,
+  alias: fc.option(astralNameArb, { nil: undefined }),
+  lastUpdated: fc.nat(),
+  sources: fc.constant([])
+}, { requiredKeys: ['accountName', 'lastUpdated', 'sources'] }), { maxKeys: 20 });
+
+/**
+ * Checks that a string has no unpaired surrogate halves
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function isWellFormed(text) {
+  return !/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/.test(text);
+}
+
+describe('Sync Property Tests', () => {
+  /**
+   * Feature: account-sync, Property 1: Shards keep astral characters whole
+   * For any account map with astral characters in names and aliases, every shard SHALL be
+   * well-formed UTF-16 and fit the per-item quota, and the shards SHALL decode to the same map.
+   */
+  test('Property 1: Shards keep astral characters whole', () => {
+    const limits = { quotaBytes: 102400, quotaBytesPerItem: 64, maxItems: 512 };
+
+    fc.assert(
+      fc.property(syncedAccountsArb, (accounts) => {
+        const payload = { accounts, removed: {} };
+        const encoded = encodeSyncPayload(payload, limits);
+
+        expect(encoded.success).toBe(true);
+        for (const [key, value] of Object.entries(encoded.items)) {
+          if (typeof value === 'string') {
+            expect(isWellFormed(value)).toBe(true);
+          }
+          expect(Buffer.byteLength(key + JSON.stringify(value))).toBeLessThanOrEqual(limits.quotaBytesPerItem);
+        }
+        expect(decodeSyncPayload(encoded.items)).toEqual(payload);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -6,13 +6,30 @@ global.chrome = {
     local: {
       get: jest.fn(),
       set: jest.fn(),
+      remove: jest.fn(),
       clear: jest.fn()
+    },
+    sync: {
+      get: jest.fn(),
+      set: jest.fn(),
+      remove: jest.fn()
+    },
+    onChanged: {
+      addListener: jest.fn()
     }
   },
   runtime: {
+    id: 'test-extension-id',
+    getURL: (path) => `chrome-extension://test-extension-id/${path}`,
     sendMessage: jest.fn(),
     onMessage: {
       addListener: jest.fn()
+    },
+    onStartup: {
+      addListener: jest.fn()
+    },
+    onInstalled: {
+      addListener: jest.fn()
     }
   }
 };
@@ -0,0 +1,113 @@
+const {
+  formatDashedAccountId,
+  getAccountPortals,
+  getPortalUrl,
+  getPortalRoleUrl,
+  getPortalAccountUrl,
+  parsePortalFocus,
+  getSwitchRoleUrl
+} = require('../../src/account-links');
+
+describe('formatDashedAccountId', () => {
+  test('inserts dashes into a 12-digit ID', () => {
+    expect(formatDashedAccountId('123456789012')).toBe('1234-5678-9012');
+  });
+
+  test('leaves anything else unchanged', () => {
+    expect(formatDashedAccountId('unknown')).toBe('unknown');
+  });
+});
+
+describe('getAccountPortals', () => {
+  test('keeps access portal origins and drops other sources', () => {
+    const account = { sources: ['https://prod-org.awsapps.com', 'organizations', 'aws-config', 'https://example.com'] };
+
+    expect(getAccountPortals(account)).toEqual(['https://prod-org.awsapps.com']);
+  });
+
+  test('recognizes GovCloud and China portals', () => {
+    const account = {
+      sources: ['https://start.us-gov-home.awsapps.com/directory/d-1234567890', 'https://d-9876543210.awsapps.cn']
+    };
+
+    expect(getAccountPortals(account)).toEqual([
+      'https://start.us-gov-home.awsapps.com/directory/d-1234567890',
+      'https://d-9876543210.awsapps.cn'
+    ]);
+  });
+
+  test('handles accounts without sources', () => {
+    expect(getAccountPortals({})).toEqual([]);
+  });
+});
+
+describe('getPortalUrl', () => {
+  test('points at the portal start page', () => {
+    expect(getPortalUrl('https://prod-org.awsapps.com')).toBe('https://prod-org.awsapps.com/start/#/');
+  });
+
+  test('opens the directory of a GovCloud portal', () => {
+    expect(getPortalUrl('https://start.us-gov-home.awsapps.com/directory/d-1234567890'))
+      .toBe('https://start.us-gov-home.awsapps.com/directory/d-1234567890/#/');
+  });
+});
+
+describe('getPortalRoleUrl', () => {
+  test('links to the portal sign-in for the account and role', () => {
+    expect(getPortalRoleUrl('https://prod-org.awsapps.com', '123456789012', 'AdministratorAccess'))
+      .toBe('https://prod-org.awsapps.com/start/#/console?account_id=123456789012&role_name=AdministratorAccess');
+  });
+});
+
+describe('getPortalAccountUrl', () => {
+  test('asks the portal to show the account', () => {
+    const url = getPortalAccountUrl('https://prod-org.awsapps.com', '123456789012');
+
+    expect(url).toBe('https://prod-org.awsapps.com/start/?aws_account_display_account=123456789012#/');
+    expect(parsePortalFocus(url)).toEqual({ accountId: '123456789012', credentials: false, roleName: null });
+  });
+
+  test('asks for the access keys of a role', () => {
+    const url = getPortalAccountUrl('https://start.us-gov-home.awsapps.com/directory/d-1234567890', '123456789012', {
+      credentials: true,
+      roleName: 'ReadOnlyAccess'
+    });
+
+    expect(url.startsWith('https://start.us-gov-home.awsapps.com/directory/d-1234567890/?')).toBe(true);
+    expect(parsePortalFocus(url)).toEqual({ accountId: '123456789012', credentials: true, roleName: 'ReadOnlyAccess' });
+  });
+});
+
+describe('parsePortalFocus', () => {
+  test('ignores portal pages opened without a focus', () => {
+    expect(parsePortalFocus('https://prod-org.awsapps.com/start/#/')).toBeNull();
+    expect(parsePortalFocus('https://prod-org.awsapps.com/start/?aws_account_display_account=1#/')).toBeNull();
+    expect(parsePortalFocus('not a url')).toBeNull();
+  });
+});
+
+describe('getSwitchRoleUrl', () => {
+  test('fills in the account and display name', () => {
+    const url = new URL(getSwitchRoleUrl({ accountId: '123456789012', accountName: 'Production', alias: 'payments prod' }));
+
+    expect(url.origin + url.pathname).toBe('https://signin.aws.amazon.com/switchrole');
+    expect(url.searchParams.get('account')).toBe('123456789012');
+    expect(url.searchParams.get('displayName')).toBe('payments prod');
+    expect(url.searchParams.has('roleName')).toBe(false);
+  });
+
+  test('adds the role when given', () => {
+    const url = new URL(getSwitchRoleUrl({ accountId: '123456789012', accountName: 'Production' }, 'Admin'));
+
+    expect(url.searchParams.get('roleName')).toBe('Admin');
+    expect(url.searchParams.get('displayName')).toBe('Production');
+  });
+
+  test('signs in through the account partition', () => {
+    const gov = new URL(getSwitchRoleUrl({ accountId: '123456789012', accountName: 'Gov', partition: 'aws-us-gov' }));
+    const china = new URL(getSwitchRoleUrl({ accountId: '123456789012', accountName: 'China', partition: 'aws-cn' }));
+
+    expect(gov.origin).toBe('https://signin.amazonaws-us-gov.com');
+    expect(china.origin).toBe('https://signin.amazonaws.cn');
+  });
+});
@@ -0,0 +1,161 @@
+const {
+  ACCOUNT_SWITCHER_CONFIG,
+  getSwitcherEntries,
+  fuzzyScore,
+  searchSwitcherEntries,
+  getSwitcherEntryUrl,
+  openAccountSwitcher,
+  closeAccountSwitcher,
+  switcherState
+} = require('../../src/account-switcher');
+
+const accounts = {
+  '123456789012': {
+    accountId: '123456789012',
+    accountName: 'Payments Production',
+    alias: 'payments-prod',
+    tags: { environment: 'prod' },
+    sources: ['https://prod-org.awsapps.com'],
+    roles: ['AdministratorAccess', 'ReadOnlyAccess']
+  },
+  '234567890123': {
+    accountId: '234567890123',
+    accountName: 'Development',
+    sources: ['aws-config']
+  }
+};
+
+describe('getSwitcherEntries', () => {
+  test('lists one entry per captured role and one for accounts without roles', () => {
+    expect(getSwitcherEntries(accounts).map(entry => [entry.label, entry.roleName])).toEqual([
+      ['payments-prod', 'AdministratorAccess'],
+      ['payments-prod', 'ReadOnlyAccess'],
+      ['Development', null]
+    ]);
+  });
+});
+
+describe('fuzzyScore', () => {
+  test('matches characters in order', () => {
+    expect(fuzzyScore('pprd', 'payments-prod')).toBeGreaterThan(0);
+    expect(fuzzyScore('dorp', 'payments-prod')).toBe(-1);
+  });
+
+  test('scores word starts and consecutive characters higher', () => {
+    expect(fuzzyScore('prod', 'payments-prod')).toBeGreaterThan(fuzzyScore('prod', 'p-r-o-d'));
+  });
+
+  test('matches everything for an empty query', () => {
+    expect(fuzzyScore('  ', 'anything')).toBe(0);
+  });
+});
+
+describe('searchSwitcherEntries', () => {
+  const entries = getSwitcherEntries(accounts);
+
+  test('searches names, IDs, roles and environments, best match first', () => {
+    expect(searchSwitcherEntries(entries, 'readonly')[0].roleName).toBe('ReadOnlyAccess');
+    expect(searchSwitcherEntries(entries, 'pay admin')[0].roleName).toBe('AdministratorAccess');
+    expect(searchSwitcherEntries(entries, '234567890123')[0].label).toBe('Development');
+    expect(searchSwitcherEntries(entries, 'prod')[0].label).toBe('payments-prod');
+  });
+
+  test('leaves out entries that do not match', () => {
+    expect(searchSwitcherEntries(entries, 'develop').map(e => e.label)).toEqual(['Development']);
+  });
+
+  test('limits the number of results', () => {
+    const many = Array.from({ length: 30 }, (_, i) => ({ label: `account-${i}`, searchText: `account-${i}` }));
+    expect(searchSwitcherEntries(many, 'acc')).toHaveLength(ACCOUNT_SWITCHER_CONFIG.maxResults);
+  });
+});
+
+describe('getSwitcherEntryUrl', () => {
+  const [admin, , development] = getSwitcherEntries(accounts);
+
+  test('signs in through the portal for a captured role', () => {
+    expect(getSwitcherEntryUrl(admin))
+      .toBe('https://prod-org.awsapps.com/start/#/console?account_id=123456789012&role_name=AdministratorAccess');
+  });
+
+  test('opens the switch-role page for accounts without a portal', () => {
+    const url = new URL(getSwitcherEntryUrl(development));
+    expect(url.pathname).toBe('/switchrole');
+    expect(url.searchParams.get('account')).toBe('234567890123');
+  });
+});
+
+describe('openAccountSwitcher', () => {
+  let openSpy;
+
+  beforeEach(() => {
+    openSpy = jest.spyOn(window, 'open').mockImplementation(() => null);
+  });
+
+  afterEach(() => {
+    closeAccountSwitcher();
+    openSpy.mockRestore();
+  });
+
+  /**
+   * Types into the switcher search field
+   * @param {string} value - Text to type
+   */
+  function type(value) {
+    const input = document.querySelector('.aws-account-switcher-search');
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * Presses a key in the switcher search field
+   * @param {string} key - Key name
+   * @param {Object} [modifiers] - Modifier flags
+   */
+  function press(key, modifiers = {}) {
+    document.querySelector('.aws-account-switcher-search')
+      .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...modifiers }));
+  }
+
+  test('focuses the search field and lists every entry', () => {
+    const palette = openAccountSwitcher(accounts);
+
+    expect(document.activeElement).toBe(palette.querySelector('.aws-account-switcher-search'));
+    expect(palette.querySelectorAll('[role="option"]')).toHaveLength(3);
+  });
+
+  test('moves the selection with the arrow keys and opens it in a new tab with Ctrl+Enter', () => {
+    openAccountSwitcher(accounts);
+    type('payments');
+    press('ArrowDown');
+
+    expect(switcherState.selected).toBe(1);
+    const { roleName } = switcherState.results[1];
+    press('Enter', { ctrlKey: true });
+
+    expect(openSpy).toHaveBeenCalledWith(
+      `https://prod-org.awsapps.com/start/#/console?account_id=123456789012&role_name=${roleName}`,
+      '_blank',
+      'noopener'
+    );
+    expect(document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId)).toBeNull();
+  });
+
+  test('shows an empty state when nothing matches', () => {
+    const palette = openAccountSwitcher(accounts);
+    type('zzz');
+
+    expect(palette.querySelectorAll('[role="option"]')).toHaveLength(0);
+    expect(palette.querySelector('.aws-account-switcher-empty').hidden).toBe(false);
+  });
+
+  test('closes on Escape, or when opened again', () => {
+    openAccountSwitcher(accounts);
+    press('Escape');
+    expect(document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId)).toBeNull();
+
+    openAccountSwitcher(accounts);
+    expect(openAccountSwitcher(accounts)).toBeNull();
+    expect(document.getElementById(ACCOUNT_SWITCHER_CONFIG.paletteId)).toBeNull();
+  });
+});
@@ -0,0 +1,261 @@
+const {
+  ANNOTATOR_CONFIG,
+  findAccountReferences,
+  scanForAccounts,
+  annotatePage,
+  scheduleAnnotation,
+  findAccountAtPoint,
+  updateHoverCard,
+  startAnnotator,
+  stopAnnotator,
+  annotatorState
+} = require('../../src/annotator');
+
+const accounts = {
+  '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1, sources: [] },
+  '234567890123': { accountId: '234567890123', accountName: 'Development', alias: 'dev-sandbox', lastUpdated: 1, sources: [] }
+};
+
+describe('findAccountReferences', () => {
+  test('finds bare, dashed and ARN account IDs', () => {
+    const text = 'Owner 123456789012, payer 2345-6789-0123, role arn:aws:iam::123456789012:role/Admin';
+    const references = findAccountReferences(text);
+
+    expect(references.map(r => [r.accountId, r.kind])).toEqual([
+      ['123456789012', 'id'],
+      ['234567890123', 'id'],
+      ['123456789012', 'arn']
+    ]);
+  });
+
+  test('gives the ARN span and the account ID span inside it', () => {
+    const text = 'arn:aws:s3:::bucket is not an account, arn:aws:sts::123456789012:assumed-role/Admin/me';
+    const [reference] = findAccountReferences(text);
+
+    expect(text.slice(reference.start, reference.end)).toBe('123456789012');
+    expect(text.slice(reference.matchStart, reference.matchEnd)).toBe('arn:aws:sts::123456789012:assumed-role/Admin/me');
+  });
+
+  test('finds ARNs of the GovCloud and China partitions', () => {
+    const text = 'arn:aws-us-gov:iam::123456789012:role/Admin and arn:aws-cn:s3:::bucket or arn:aws-cn:iam::234567890123:root';
+
+    expect(findAccountReferences(text).map(r => [r.accountId, r.kind, r.partition])).toEqual([
+      ['123456789012', 'arn', 'aws-us-gov'],
+      ['234567890123', 'arn', 'aws-cn']
+    ]);
+  });
+
+  test('ignores longer digit runs and partial dashed forms', () => {
+    expect(findAccountReferences('1234567890123 and 12345678901 and 1234-5678-9012-3456')).toEqual([]);
+  });
+
+  test('returns nothing for empty or non-string input', () => {
+    expect(findAccountReferences('')).toEqual([]);
+    expect(findAccountReferences(null)).toEqual([]);
+  });
+});
+
+describe('scanForAccounts', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('only known accounts are returned', () => {
+    document.body.innerHTML = '<p>123456789012 and 999999999999</p>';
+
+    const { references } = scanForAccounts(document.body, accounts);
+
+    expect(references.map(r => r.reference.accountId)).toEqual(['123456789012']);
+  });
+
+  test('form fields, editors and contenteditable regions are skipped', () => {
+    document.body.innerHTML = `
+      <textarea>123456789012</textarea>
+      <div class="monaco-editor"><span>123456789012</span></div>
+      <div contenteditable="true"><span>123456789012</span></div>
+      <select><option>123456789012</option></select>`;
+
+    expect(scanForAccounts(document.body, accounts).references).toEqual([]);
+  });
+
+  test('badges only elements whose whole text is one reference', () => {
+    document.body.innerHTML = `
+      <span id="whole"> 2345-6789-0123 </span>
+      <span id="arn">arn:aws:iam::123456789012:root</span>
+      <p id="sentence">Account 123456789012 is production</p>`;
+
+    const { badges } = scanForAccounts(document.body, accounts);
+
+    expect([...badges.keys()].map(el => el.id)).toEqual(['whole', 'arn']);
+  });
+});
+
+describe('annotatePage', () => {
+  beforeEach(() => {
+    annotatorState.accounts = accounts;
+  });
+
+  afterEach(() => {
+    stopAnnotator();
+    document.body.innerHTML = '';
+  });
+
+  test('adds badge attributes without changing the page text', () => {
+    document.body.innerHTML = '<table><tr><td id="cell">234567890123</td><td>arn:aws:iam::123456789012:role/x</td></tr></table>';
+    const before = document.body.textContent;
+
+    expect(annotatePage()).toBe(2);
+
+    const cell = document.getElementById('cell');
+    expect(cell.getAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe('dev-sandbox');
+    expect(cell.getAttribute(ANNOTATOR_CONFIG.badgeIdAttribute)).toBe('234567890123');
+    expect(cell.childNodes).toHaveLength(1);
+    expect(document.body.textContent).toBe(before);
+  });
+
+  test('removes badges that no longer apply', () => {
+    document.body.innerHTML = '<span id="cell">123456789012</span>';
+    annotatePage();
+
+    document.getElementById('cell').textContent = '999999999999';
+    annotatePage();
+
+    expect(document.getElementById('cell').hasAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe(false);
+  });
+
+  test('stopping the annotator removes every badge', () => {
+    document.body.innerHTML = '<span id="cell">123456789012</span>';
+    startAnnotator(accounts);
+
+    stopAnnotator();
+
+    expect(document.getElementById('cell').hasAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe(false);
+  });
+});
+
+describe('scheduleAnnotation', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    annotatorState.accounts = accounts;
+  });
+
+  afterEach(() => {
+    stopAnnotator();
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('scans a page that keeps changing at least every maxScanDelay', () => {
+    document.body.innerHTML = '<span id="cell">123456789012</span>';
+    const cell = document.getElementById('cell');
+
+    for (let waited = 0; waited < ANNOTATOR_CONFIG.maxScanDelay; waited += ANNOTATOR_CONFIG.scanDelay / 2) {
+      scheduleAnnotation([{ type: 'childList', target: cell }]);
+      jest.advanceTimersByTime(ANNOTATOR_CONFIG.scanDelay / 2);
+    }
+
+    expect(cell.getAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe('Production');
+  });
+
+  test('rescans only the changed subtrees', () => {
+    document.body.innerHTML = '<span id="changed">123456789012</span><span id="other">234567890123</span>';
+    annotatePage();
+    const changed = document.getElementById('changed');
+    const other = document.getElementById('other');
+
+    changed.firstChild.nodeValue = '234567890123';
+    other.firstChild.nodeValue = '999999999999';
+    scheduleAnnotation([{ type: 'characterData', target: changed.firstChild }]);
+    jest.advanceTimersByTime(ANNOTATOR_CONFIG.scanDelay);
+
+    expect(changed.getAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe('dev-sandbox');
+    expect(other.getAttribute(ANNOTATOR_CONFIG.badgeAttribute)).toBe('dev-sandbox');
+    expect(annotatorState.references.size).toBe(2);
+  });
+
+  test('forgets references in removed nodes', () => {
+    document.body.innerHTML = '<div id="list"><span id="row">123456789012</span></div>';
+    annotatePage();
+
+    document.getElementById('row').remove();
+    scheduleAnnotation([{ type: 'childList', target: document.getElementById('list') }]);
+    jest.advanceTimersByTime(ANNOTATOR_CONFIG.scanDelay);
+
+    expect(annotatorState.references.size).toBe(0);
+    expect(annotatorState.badged.size).toBe(0);
+  });
+});
+
+describe('findAccountAtPoint / updateHoverCard', () => {
+  beforeEach(() => {
+    annotatorState.accounts = accounts;
+  });
+
+  afterEach(() => {
+    delete document.caretRangeFromPoint;
+    stopAnnotator();
+    document.body.innerHTML = '';
+  });
+
+  test('finds the account of a badged element', () => {
+    document.body.innerHTML = '<span id="cell">123456789012</span>';
+    annotatePage();
+
+    const hit = findAccountAtPoint(0, 0, document.getElementById('cell'));
+
+    expect(hit.account.accountName).toBe('Production');
+  });
+
+  test('finds an account inside running text from the caret position', () => {
+    document.body.innerHTML = '<p id="text">Trusted by arn:aws:iam::123456789012:root only</p>';
+    const node = document.getElementById('text').firstChild;
+    // jsdom does not lay out text, so ranges have no geometry
+    Range.prototype.getBoundingClientRect = () => ({ left: 0, bottom: 0 });
+    document.caretRangeFromPoint = () => ({ startContainer: node, startOffset: 20 });
+
+    const hit = findAccountAtPoint(0, 0, document.getElementById('text'));
+
+    expect(hit.account.accountId).toBe('123456789012');
+  });
+
+  test('ignores unknown accounts and skipped elements', () => {
+    document.body.innerHTML = '<p id="text">999999999999</p><textarea id="field">123456789012</textarea>';
+    const text = document.getElementById('text').firstChild;
+    const field = document.getElementById('field').firstChild;
+
+    document.caretRangeFromPoint = () => ({ startContainer: text, startOffset: 3 });
+    expect(findAccountAtPoint(0, 0, document.body)).toBeNull();
+
+    document.caretRangeFromPoint = () => ({ startContainer: field, startOffset: 3 });
+    expect(findAccountAtPoint(0, 0, document.body)).toBeNull();
+  });
+
+  test('leaves the hover card of the account name display to the console script', () => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '<span id="display" class="aws-account-name-display" data-account-id="234567890123">dev</span>';
+    updateHoverCard({ account: accounts['234567890123'], rect: { left: 10, bottom: 20 } }, document.body);
+    const card = document.getElementById('aws-account-hover-card');
+
+    updateHoverCard(null, document.getElementById('display'));
+    jest.advanceTimersByTime(1000);
+
+    expect(card.hidden).toBe(false);
+    jest.useRealTimers();
+  });
+
+  test('opens the hover card on a hit and keeps it open while hovered', () => {
+    jest.useFakeTimers();
+    updateHoverCard({ account: accounts['123456789012'], rect: { left: 10, bottom: 20 } }, document.body);
+    const card = document.getElementById('aws-account-hover-card');
+    expect(card.hidden).toBe(false);
+
+    updateHoverCard(null, card.querySelector('button'));
+    jest.advanceTimersByTime(1000);
+    expect(card.hidden).toBe(false);
+
+    updateHoverCard(null, document.body);
+    jest.advanceTimersByTime(1000);
+    expect(card.hidden).toBe(true);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../../src/messages', () => ({
+  handleMessage: jest.fn()
+}));
+jest.mock('../../src/storage', () => ({
+  isSyncRelevantChange: jest.fn(),
+  scheduleSync: jest.fn(),
+  ensureMigrated: jest.fn(() => Promise.resolve())
+}));
+
+const { handleMessage } = require('../../src/messages');
+const storage = require('../../src/storage');
+const {
+  handleRuntimeMessage,
+  handleStorageChange,
+  handleCommand,
+  handleStartup,
+  handleInstalled,
+  registerBackgroundListeners
+} = require('../../src/background-listeners');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('registerBackgroundListeners', () => {
+  beforeEach(() => {
+    chrome.commands = { onCommand: { addListener: jest.fn() } };
+  });
+
+  afterEach(() => {
+    delete chrome.commands;
+  });
+
+  test('wires each chrome event to its handler', () => {
+    registerBackgroundListeners();
+
+    expect(chrome.runtime.onMessage.addListener).toHaveBeenCalledWith(handleRuntimeMessage);
+    expect(chrome.storage.onChanged.addListener).toHaveBeenCalledWith(handleStorageChange);
+    expect(chrome.commands.onCommand.addListener).toHaveBeenCalledWith(handleCommand);
+    expect(chrome.runtime.onStartup.addListener).toHaveBeenCalledWith(handleStartup);
+    expect(chrome.runtime.onInstalled.addListener).toHaveBeenCalledWith(handleInstalled);
+  });
+});
+
+describe('handleRuntimeMessage', () => {
+  test('answers asynchronously with the handler result', async () => {
+    handleMessage.mockResolvedValue({ success: true, accountName: 'payments-prod' });
+    const sendResponse = jest.fn();
+
+    expect(handleRuntimeMessage({ type: 'GET_ACCOUNT_NAME', accountId: '123456789012' }, {}, sendResponse)).toBe(true);
+    await Promise.resolve();
+
+    expect(sendResponse).toHaveBeenCalledWith({ success: true, accountName: 'payments-prod' });
+  });
+
+  test('answers with the error when the handler fails', async () => {
+    handleMessage.mockRejectedValue(new Error('storage unavailable'));
+    const sendResponse = jest.fn();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    handleRuntimeMessage({ type: 'GET_ALL_ACCOUNTS' }, {}, sendResponse);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'storage unavailable' });
+    consoleError.mockRestore();
+  });
+});
+
+describe('handleStorageChange', () => {
+  test('schedules a sync only for relevant changes', () => {
+    storage.isSyncRelevantChange.mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+    handleStorageChange({ settings: {} }, 'local');
+    expect(storage.scheduleSync).not.toHaveBeenCalled();
+
+    handleStorageChange({ accounts: {} }, 'local');
+    expect(storage.scheduleSync).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('handleCommand', () => {
+  beforeEach(() => {
+    chrome.tabs = { sendMessage: jest.fn(() => Promise.reject(new Error('No receiving end'))) };
+  });
+
+  afterEach(() => {
+    delete chrome.tabs;
+  });
+
+  test('relays the account switcher shortcut to its tab', () => {
+    handleCommand('open-account-switcher', { id: 7 });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { type: 'OPEN_ACCOUNT_SWITCHER' });
+  });
+
+  test('ignores other commands and shortcuts outside a tab', () => {
+    handleCommand('other-command', { id: 7 });
+    handleCommand('open-account-switcher', undefined);
+
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('lifecycle events', () => {
+  test('migrate stored data, and sync after a browser start', async () => {
+    await handleInstalled();
+    expect(storage.ensureMigrated).toHaveBeenCalledTimes(1);
+    expect(storage.scheduleSync).not.toHaveBeenCalled();
+
+    await handleStartup();
+    expect(storage.ensureMigrated).toHaveBeenCalledTimes(2);
+    expect(storage.scheduleSync).toHaveBeenCalledTimes(1);
+  });
+});
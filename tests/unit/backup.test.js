@@ -0,0 +1,205 @@
+const {
+  BACKUP_FORMAT,
+  CSV_COLUMNS,
+  createBackup,
+  createCsvBackup,
+  parseCsv,
+  parseBackup,
+  diffAccounts
+} = require('../../src/backup');
+const migrations = require('../../src/migrations');
+
+const storedData = {
+  version: 1,
+  accounts: {
+    '234567890123': {
+      accountId: '234567890123',
+      accountName: 'Audit, Log Archive',
+      lastUpdated: 2000,
+      sources: ['https://prod-org.awsapps.com', 'organizations:o-exampleorgid'],
+      status: 'ACTIVE',
+      partition: 'aws-us-gov',
+      roles: ['AdministratorAccess', 'ReadOnlyAccess'],
+      readOnly: true
+    },
+    '123456789012': {
+      accountId: '123456789012',
+      accountName: 'Workload-Payments-Production-EU',
+      alias: 'payments "prod"',
+      tags: { environment: 'prod', color: '#ff0000' },
+      email: 'payments@example.com',
+      lastUpdated: 1000,
+      overridesUpdated: 900,
+      sources: ['https://prod-org.awsapps.com']
+    }
+  }
+};
+
+describe('createBackup', () => {
+  test('writes a versioned document sorted by account ID', () => {
+    const backup = createBackup(storedData, Date.UTC(2026, 0, 2));
+
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.version).toBe(1);
+    expect(backup.exportedAt).toBe('2026-01-02T00:00:00.000Z');
+    expect(backup.accounts.map(a => a.accountId)).toEqual(['123456789012', '234567890123']);
+  });
+});
+
+describe('createCsvBackup', () => {
+  test('writes a header and quotes cells that need it', () => {
+    const lines = createCsvBackup(storedData).trim().split('\r\n');
+
+    expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+    expect(lines[1]).toBe(
+      '123456789012,Workload-Payments-Production-EU,"payments ""prod""",prod,#ff0000,payments@example.com,,,,,' +
+      'https://prod-org.awsapps.com,1000,900,1'
+    );
+    expect(lines[2]).toContain('"Audit, Log Archive"');
+    expect(lines[2]).toContain(',ACTIVE,aws-us-gov,AdministratorAccess ReadOnlyAccess,true,');
+  });
+
+  test('keeps spreadsheets from running cells as formulas', () => {
+    const formulas = {
+      accounts: {
+        '123456789012': {
+          accountId: '123456789012',
+          accountName: '=HYPERLINK("https://example.com","x")',
+          alias: "'@SUM(A1)",
+          lastUpdated: 1000,
+          sources: ['+cmd', '-x']
+        }
+      }
+    };
+
+    const row = createCsvBackup(formulas).trim().split('\r\n')[1];
+
+    expect(row).toBe(`123456789012,"'=HYPERLINK(""https://example.com"",""x"")",''@SUM(A1),,,,,,,,'+cmd -x,1000,,1`);
+    expect(parseBackup(createCsvBackup(formulas)).accounts).toEqual(createBackup(formulas).accounts);
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted commas, quotes and line breaks', () => {
+    expect(parseCsv('a,"b,c","d ""e""","f\ng"\r\n1,2,3,4\n')).toEqual([
+      ['a', 'b,c', 'd "e"', 'f\ng'],
+      ['1', '2', '3', '4']
+    ]);
+  });
+});
+
+describe('parseBackup', () => {
+  test('reads back a JSON export', () => {
+    const result = parseBackup(JSON.stringify(createBackup(storedData)));
+
+    expect(result.success).toBe(true);
+    expect(result.rejected).toEqual([]);
+    expect(result.accounts).toEqual(createBackup(storedData).accounts);
+    expect(result.accounts[0].overridesUpdated).toBe(900);
+  });
+
+  test('reads back a CSV export', () => {
+    const result = parseBackup(createCsvBackup(storedData));
+
+    expect(result.success).toBe(true);
+    expect(result.accounts).toEqual(createBackup(storedData).accounts);
+    expect(result.accounts[0].overridesUpdated).toBe(900);
+  });
+
+  test('rejects invalid and duplicate rows but keeps the rest', () => {
+    const result = parseBackup([
+      'accountId,accountName,environment,color',
+      '123456789012,Production,prod,',
+      '12345,Short,,',
+      '123456789012,Again,,',
+      '234567890123,Tagged,prod,red'
+    ].join('\n'));
+
+    expect(result.accounts.map(a => a.accountId)).toEqual(['123456789012']);
+    expect(result.rejected).toEqual([
+      { index: 1, id: '12345', reason: 'Invalid account ID' },
+      { index: 2, id: '123456789012', reason: 'Duplicate account ID' },
+      { index: 3, id: '234567890123', reason: 'Invalid color' }
+    ]);
+  });
+
+  test('migrates entries of older backups before validating them', () => {
+    const migrate = jest.spyOn(migrations, 'migrateAccounts').mockImplementation((accounts, fromVersion) => ({
+      accounts: Object.fromEntries(Object.entries(accounts).map(([id, entry]) => [id, { ...entry, accountName: entry.name }])),
+      version: migrations.STORAGE_VERSION,
+      applied: [fromVersion + 1],
+      issues: []
+    }));
+    const backup = { format: BACKUP_FORMAT, version: 1, accounts: [{ accountId: '123456789012', name: 'Renamed field' }] };
+
+    const result = parseBackup(JSON.stringify(backup));
+
+    expect(migrate).toHaveBeenCalledWith({ '123456789012': backup.accounts[0] }, 1);
+    expect(result.accounts.map(a => a.accountName)).toEqual(['Renamed field']);
+    migrate.mockRestore();
+  });
+
+  test('rejects entries a migration could not carry over', () => {
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: 2,
+      accounts: [{ accountId: '123456789012', accountName: 'Production', tags: { color: '#ff0000' } }]
+    };
+
+    const result = parseBackup(JSON.stringify(backup));
+
+    expect(result.accounts).toEqual([]);
+    expect(result.rejected).toEqual([{ index: 0, id: '123456789012', reason: 'Invalid environment' }]);
+  });
+
+  test('leaves backups of the current version to validation alone', () => {
+    const migrate = jest.spyOn(migrations, 'migrateAccounts');
+
+    parseBackup(JSON.stringify({ ...createBackup(storedData), version: migrations.STORAGE_VERSION }));
+
+    expect(migrate).not.toHaveBeenCalled();
+    migrate.mockRestore();
+  });
+
+  test('rejects JSON that is not a backup', () => {
+    expect(parseBackup('{"accounts": []}').success).toBe(false);
+  });
+
+  test('rejects backups from a newer storage version', () => {
+    const result = parseBackup(JSON.stringify({ ...createBackup(storedData), version: 99 }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Unsupported backup version: 99');
+  });
+
+  test('rejects CSV without the required columns', () => {
+    expect(parseBackup('name,id\nx,1').success).toBe(false);
+  });
+});
+
+describe('diffAccounts', () => {
+  const incoming = [
+    { accountId: '123456789012', accountName: 'Workload-Payments-Production-EU', alias: 'payments', lastUpdated: 1, sources: ['https://prod-org.awsapps.com'], tags: { environment: 'prod', color: '#ff0000' }, email: 'payments@example.com' },
+    { accountId: '345678901234', accountName: 'New', lastUpdated: 1, sources: [] }
+  ];
+
+  test('lists added and changed accounts with the changed fields', () => {
+    const diff = diffAccounts(storedData.accounts, incoming, false);
+
+    expect(diff.added.map(a => a.accountId)).toEqual(['345678901234']);
+    expect(diff.changed).toEqual([{ account: incoming[0], fields: ['alias'] }]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  test('lists removed accounts only when replacing', () => {
+    const diff = diffAccounts(storedData.accounts, incoming, true);
+
+    expect(diff.removed.map(a => a.accountId)).toEqual(['234567890123']);
+  });
+
+  test('counts identical accounts as unchanged', () => {
+    const diff = diffAccounts(storedData.accounts, createBackup(storedData).accounts, true);
+
+    expect(diff).toEqual({ added: [], changed: [], removed: [], unchanged: 2 });
+  });
+});
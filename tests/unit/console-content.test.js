@@ -0,0 +1,526 @@
+const {
+  getSessionAccountId,
+  parseRoleName,
+  getCurrentRoleName,
+  isAdminRole,
+  createDisplayElement,
+  injectAccountNameDisplay,
+  getConsoleTheme,
+  placeAccountBadge,
+  applyAccountLabel,
+  updateAccountCard,
+  watchAccountMenu,
+  unwatchAccountMenu,
+  accountMenuWatch,
+  updateTabIdentity,
+  updateTabFavicon,
+  updateGuardrail,
+  updateReadOnly,
+  runConsoleDisplay,
+  handleNavigation,
+  init,
+  consoleController,
+  CONFIG
+} = require('../../src/console-content');
+const { guardrailState, stopGuardrail } = require('../../src/guardrail');
+const { readOnlyState, stopReadOnlyMode } = require('../../src/read-only');
+const { removeAccountCard } = require('../../src/hover-card');
+const tabIdentity = require('../../src/tab-identity');
+const { clearTabIdentity } = tabIdentity;
+
+describe('getSessionAccountId', () => {
+  test('reads the account from multi-session hostnames', () => {
+    expect(getSessionAccountId('123456789012-abc123.us-east-1.console.aws.amazon.com')).toBe('123456789012');
+    expect(getSessionAccountId('123456789012-x7k2p9q.console.aws.amazon.com')).toBe('123456789012');
+    expect(getSessionAccountId('123456789012-abc123.us-gov-west-1.console.amazonaws-us-gov.com')).toBe('123456789012');
+    expect(getSessionAccountId('123456789012-abc123.cn-north-1.console.amazonaws.cn')).toBe('123456789012');
+  });
+
+  test('ignores regular and look-alike hostnames', () => {
+    expect(getSessionAccountId('us-east-1.console.aws.amazon.com')).toBeNull();
+    expect(getSessionAccountId('console.aws.amazon.com')).toBeNull();
+    expect(getSessionAccountId('123456789012-abc123.us-east-1.console.aws.amazon.com.example.com')).toBeNull();
+    expect(getSessionAccountId('12345678901-abc123.console.aws.amazon.com')).toBeNull();
+  });
+
+  test('defaults to the current page, which is not multi-session under test', () => {
+    expect(getSessionAccountId()).toBeNull();
+  });
+});
+
+describe('parseRoleName', () => {
+  test('reads the permission set from an Identity Center role', () => {
+    expect(parseRoleName('AWSReservedSSO_AdministratorAccess_0123456789abcdef/jane@example.com')).toBe('AdministratorAccess');
+  });
+
+  test('reads the role from a role path or ARN', () => {
+    expect(parseRoleName('arn:aws:sts::123456789012:assumed-role/deploy/ci')).toBe('deploy');
+    expect(parseRoleName('role/xyz')).toBe('xyz');
+  });
+
+  test('reads the role in front of the session name', () => {
+    expect(parseRoleName('Account ID: 1234-5678-9012AWSAdministratorAccess/jane@example.com')).toBe('AWSAdministratorAccess');
+    expect(parseRoleName('ReadOnly/jane @ payments-prod')).toBe('ReadOnly');
+  });
+
+  test('returns null when no role is shown', () => {
+    expect(parseRoleName('Account ID: 1234-5678-9012')).toBeNull();
+    expect(parseRoleName('jane @ payments-prod')).toBeNull();
+    expect(parseRoleName(undefined)).toBeNull();
+  });
+});
+
+describe('isAdminRole', () => {
+  test('treats admin roles as admin-level', () => {
+    expect(isAdminRole('AdministratorAccess')).toBe(true);
+    expect(isAdminRole('Admin')).toBe(true);
+    expect(isAdminRole('OrganizationAccountAccessRole')).toBe(true);
+    expect(isAdminRole('ReadOnlyAccess')).toBe(false);
+  });
+});
+
+describe('role display', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('reads the role from the account menu', () => {
+    document.body.innerHTML = '<button data-testid="awsc-nav-account-menu-button">Account ID: 1234-5678-9012 AWSReservedSSO_ReadOnly_0123456789abcdef/jane</button>';
+
+    expect(getCurrentRoleName()).toBe('ReadOnly');
+  });
+
+  test('shows the role after the account name with its access level', () => {
+    document.body.innerHTML = '<button data-testid="awsc-nav-account-menu-button"><span>Account ID: 1234-5678-9012</span></button>';
+
+    injectAccountNameDisplay('payments-prod', '123456789012', 'Admin');
+
+    const menu = document.querySelector('[data-testid="awsc-nav-account-menu-button"]');
+    expect(menu.textContent).toBe('payments-prod / Admin: 1234-5678-9012');
+    expect(menu.querySelector('.aws-account-role').getAttribute('data-role-level')).toBe('admin');
+  });
+
+  test('adds the role to the display element', () => {
+    const { element, displayText } = createDisplayElement('payments-prod', '123456789012', 'ReadOnly');
+
+    expect(displayText).toBe('payments-prod / ReadOnly');
+    expect(element.getAttribute('data-role-level')).toBe('standard');
+  });
+});
+
+describe('watchAccountMenu', () => {
+  const menuHtml = '<button data-testid="awsc-nav-account-menu-button"><span>Account ID: 1234-5678-9012</span></button>';
+
+  beforeEach(() => {
+    // Keep the run started on load from updating the menu meanwhile
+    consoleController.run?.abort();
+    document.body.innerHTML = `<header id="awsc-nav-header">${menuHtml}</header>`;
+    watchAccountMenu('payments-prod', '123456789012');
+  });
+
+  afterEach(() => {
+    unwatchAccountMenu();
+    document.body.innerHTML = '';
+  });
+
+  const rerender = async () => {
+    document.querySelector('[data-testid="awsc-nav-account-menu-button"]').outerHTML = menuHtml;
+    // Mutation observers are notified in a microtask
+    await Promise.resolve();
+  };
+
+  test('watches the nav bar around the account menu', () => {
+    expect(accountMenuWatch.root).toBe(document.getElementById('awsc-nav-header'));
+  });
+
+  test('puts the name back when the account menu is re-rendered', async () => {
+    await rerender();
+
+    expect(document.querySelector('[data-testid="awsc-nav-account-menu-button"]').textContent)
+      .toBe('payments-prod: 1234-5678-9012');
+    expect(accountMenuWatch.reapplied).toHaveLength(1);
+  });
+
+  test('does not react to its own edits', async () => {
+    await rerender();
+    await Promise.resolve();
+
+    expect(accountMenuWatch.reapplied).toHaveLength(1);
+  });
+
+  test('pauses when the console keeps re-rendering the menu, then catches up', async () => {
+    const reapplyWindow = CONFIG.labelReapplyWindow;
+    CONFIG.labelReapplyWindow = 50;
+    try {
+      for (let i = 0; i <= CONFIG.maxLabelReapplies; i++) {
+        await rerender();
+      }
+
+      expect(accountMenuWatch.observer).not.toBeNull();
+      expect(document.querySelector('[data-testid="awsc-nav-account-menu-button"]').textContent)
+        .toContain('Account ID:');
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      expect(accountMenuWatch.resumeTimer).toBeNull();
+      expect(document.querySelector('[data-testid="awsc-nav-account-menu-button"]').textContent)
+        .toBe('payments-prod: 1234-5678-9012');
+    } finally {
+      CONFIG.labelReapplyWindow = reapplyWindow;
+    }
+  });
+
+  test('follows the console to a new nav bar', async () => {
+    const header = document.createElement('header');
+    header.id = 'awsc-nav-header';
+    header.innerHTML = menuHtml;
+    document.getElementById('awsc-nav-header').replaceWith(header);
+    await Promise.resolve();
+
+    expect(accountMenuWatch.root).toBe(header);
+    expect(header.textContent).toBe('payments-prod: 1234-5678-9012');
+
+    await rerender();
+    expect(header.textContent).toBe('payments-prod: 1234-5678-9012');
+  });
+
+  test('is not set up without an account menu', () => {
+    document.body.innerHTML = '';
+
+    expect(watchAccountMenu('payments-prod', '123456789012')).toBe(false);
+    expect(accountMenuWatch.observer).toBeNull();
+  });
+});
+
+describe('account badge', () => {
+  const menuHtml = '<button data-testid="awsc-nav-account-menu-button"><span>Account ID: 1234-5678-9012</span></button>';
+  const getBadge = () => document.getElementById(CONFIG.displayElementId);
+  const getMenu = () => document.querySelector('[data-testid="awsc-nav-account-menu-button"]');
+
+  beforeEach(() => {
+    consoleController.run?.abort();
+    document.body.innerHTML = `<header id="awsc-nav-header">${menuHtml}</header>`;
+  });
+
+  afterEach(() => {
+    unwatchAccountMenu();
+    document.body.className = '';
+    document.body.innerHTML = '';
+  });
+
+  test('follows the console visual mode', () => {
+    expect(getConsoleTheme()).toBe('light');
+
+    document.body.classList.add('awsui-dark-mode');
+
+    expect(getConsoleTheme()).toBe('dark');
+  });
+
+  test('is placed next to the account menu, replacing an earlier badge', () => {
+    placeAccountBadge('payments-prod', '123456789012');
+    placeAccountBadge('payments-prod', '123456789012', 'Admin');
+
+    expect(document.querySelectorAll(`#${CONFIG.displayElementId}`)).toHaveLength(1);
+    expect(getBadge().nextElementSibling).toBe(getMenu());
+    expect(getBadge().getAttribute('data-theme')).toBe('light');
+    expect(getBadge().getAttribute('data-mapped')).toBe('true');
+    expect(getBadge().textContent).toBe('payments-prod / Admin');
+  });
+
+  test('is marked when the account is not stored', () => {
+    placeAccountBadge('Unknown Account', '123456789012');
+    expect(getBadge().getAttribute('data-mapped')).toBe('false');
+
+    placeAccountBadge('payments-prod', 'unknown');
+    expect(getBadge().getAttribute('data-mapped')).toBe('false');
+  });
+
+  test('applies the label as text, badge or both', () => {
+    watchAccountMenu('payments-prod', '123456789012', undefined, 'badge');
+    applyAccountLabel();
+    expect(getBadge()).not.toBeNull();
+    expect(getMenu().textContent).toContain('Account ID:');
+
+    watchAccountMenu('payments-prod', '123456789012', undefined, 'both');
+    applyAccountLabel();
+    expect(getBadge()).not.toBeNull();
+    expect(getMenu().textContent).toBe('payments-prod: 1234-5678-9012');
+
+    watchAccountMenu('payments-prod', '123456789012', undefined, 'text');
+    applyAccountLabel();
+    expect(getBadge()).toBeNull();
+  });
+
+  test('gives the menu its own text back when the mode no longer shows the name as text', () => {
+    watchAccountMenu('payments-prod', '123456789012', 'AdministratorAccess', 'both');
+    applyAccountLabel();
+    expect(getMenu().textContent).toContain('payments-prod / ');
+
+    watchAccountMenu('payments-prod', '123456789012', 'AdministratorAccess', 'badge');
+    applyAccountLabel();
+
+    expect(getMenu().innerHTML).toBe('<span>Account ID: 1234-5678-9012</span>');
+    expect(getBadge()).not.toBeNull();
+  });
+
+  test('is put back when the console drops it, and follows visual mode changes', async () => {
+    watchAccountMenu('payments-prod', '123456789012', undefined, 'badge');
+    applyAccountLabel();
+
+    getBadge().remove();
+    document.body.classList.add('awsui-dark-mode');
+    await Promise.resolve();
+
+    expect(getBadge()).not.toBeNull();
+    expect(getBadge().getAttribute('data-theme')).toBe('dark');
+  });
+});
+
+describe('account hover card', () => {
+  const account = { accountId: '123456789012', accountName: 'payments-prod' };
+  const getCard = () => document.getElementById('aws-account-hover-card');
+
+  /**
+   * Moves the pointer from one element to another
+   * @param {Element} from - Element the pointer leaves
+   * @param {Element} to - Element the pointer enters
+   */
+  function movePointer(from, to) {
+    from.dispatchEvent(new MouseEvent('mouseout', { bubbles: true, relatedTarget: to }));
+    to.dispatchEvent(new MouseEvent('mouseover', { bubbles: true, relatedTarget: from }));
+  }
+
+  beforeEach(() => {
+    consoleController.run?.abort();
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <header id="awsc-nav-header">
+        <span id="${CONFIG.displayElementId}">payments-prod</span>
+        <button data-testid="awsc-nav-account-menu-button">payments-prod: 1234-5678-9012</button>
+      </header>
+      <main id="page">Buckets</main>`;
+  });
+
+  afterEach(() => {
+    updateAccountCard(null);
+    removeAccountCard();
+    jest.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  test('opens from the account name display and the account menu without annotations', () => {
+    const page = document.getElementById('page');
+    updateAccountCard(account);
+
+    movePointer(page, document.getElementById(CONFIG.displayElementId));
+    expect(getCard().hidden).toBe(false);
+    expect(getCard().textContent).toContain('payments-prod');
+
+    movePointer(document.getElementById(CONFIG.displayElementId), document.querySelector('[data-testid="awsc-nav-account-menu-button"]'));
+    jest.advanceTimersByTime(1000);
+    expect(getCard().hidden).toBe(false);
+  });
+
+  test('stays open on the card and closes once the pointer leaves', () => {
+    const menu = document.querySelector('[data-testid="awsc-nav-account-menu-button"]');
+    updateAccountCard(account);
+    movePointer(document.getElementById('page'), menu);
+
+    movePointer(menu, getCard());
+    jest.advanceTimersByTime(1000);
+    expect(getCard().hidden).toBe(false);
+
+    movePointer(getCard(), document.getElementById('page'));
+    jest.advanceTimersByTime(1000);
+    expect(getCard().hidden).toBe(true);
+  });
+
+  test('does not open for accounts that are not stored', () => {
+    expect(updateAccountCard(null)).toBe(false);
+
+    movePointer(document.getElementById('page'), document.getElementById(CONFIG.displayElementId));
+
+    expect(getCard()).toBeNull();
+  });
+});
+
+describe('updateTabIdentity', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '<title>S3</title>';
+  });
+
+  afterEach(() => {
+    clearTabIdentity();
+  });
+
+  test('leaves the tab alone outside multi-session mode', () => {
+    updateTabIdentity('123456789012', 'payments-prod', null);
+
+    expect(document.title).toBe('S3');
+  });
+
+  test('prefixes or suffixes every tab with the name and environment when asked', () => {
+    updateTabIdentity('123456789012', 'payments', { environment: 'prod' }, 'prefix');
+    expect(document.title).toBe('[PROD payments] S3');
+
+    updateTabIdentity('123456789012', 'payments', { environment: 'prod' }, 'suffix');
+    expect(document.title).toBe('S3 [PROD payments]');
+  });
+
+  test('falls back to the dashed ID for accounts without a name', () => {
+    updateTabIdentity('123456789012', null, null, 'prefix');
+
+    expect(document.title).toBe('[1234-5678-9012] S3');
+  });
+
+  test('removes the mark when turned off', () => {
+    updateTabIdentity('123456789012', 'payments', null, 'prefix');
+    updateTabIdentity('123456789012', 'payments', null, 'off');
+
+    expect(document.title).toBe('S3');
+  });
+});
+
+describe('updateTabFavicon', () => {
+  beforeEach(() => {
+    jest.spyOn(tabIdentity, 'setFaviconBadge').mockResolvedValue(null);
+    jest.spyOn(tabIdentity, 'clearFaviconBadge').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('badges the favicon with the environment code and color', async () => {
+    await updateTabFavicon('123456789012', 'payments', { environment: 'prod' }, 'letter');
+
+    expect(tabIdentity.setFaviconBadge).toHaveBeenCalledWith({ text: 'P', color: '#d13212' });
+  });
+
+  test('draws a plain dot in dot mode', async () => {
+    await updateTabFavicon('123456789012', 'payments', { environment: 'staging', color: '#123456' }, 'dot');
+
+    expect(tabIdentity.setFaviconBadge).toHaveBeenCalledWith({ text: '', color: '#123456' });
+  });
+
+  test('restores the page icon for untagged accounts outside multi-session mode, or when off', async () => {
+    await updateTabFavicon('123456789012', 'payments', null, 'letter');
+    await updateTabFavicon('123456789012', 'payments', { environment: 'prod' }, 'off');
+
+    expect(tabIdentity.setFaviconBadge).not.toHaveBeenCalled();
+    expect(tabIdentity.clearFaviconBadge).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('updateGuardrail', () => {
+  afterEach(() => {
+    stopGuardrail();
+  });
+
+  test('guards production accounts when turned on', () => {
+    expect(updateGuardrail('payments-prod', { environment: 'prod' }, true)).toBe(true);
+    expect(guardrailState.label).toBe('payments-prod');
+  });
+
+  test('guards accounts tagged with other spellings of production', () => {
+    expect(updateGuardrail('payments-prd', { environment: 'prd' }, true)).toBe(true);
+    expect(updateGuardrail('payments-live', { environment: 'Production' }, true)).toBe(true);
+    expect(guardrailState.label).toBe('payments-live');
+  });
+
+  test('leaves other accounts, unnamed accounts and the off setting alone', () => {
+    updateGuardrail('payments-prod', { environment: 'prod' }, true);
+
+    expect(updateGuardrail('dev-sandbox', { environment: 'dev' }, true)).toBe(false);
+    expect(guardrailState.label).toBeNull();
+    expect(updateGuardrail(null, { environment: 'prod' }, true)).toBe(false);
+    expect(updateGuardrail('payments-prod', { environment: 'prod' }, false)).toBe(false);
+  });
+});
+
+describe('updateReadOnly', () => {
+  afterEach(() => {
+    stopReadOnlyMode();
+  });
+
+  test('marks accounts flagged read-only', () => {
+    expect(updateReadOnly('123456789012', 'audit', true)).toBe(true);
+    expect(readOnlyState.accountId).toBe('123456789012');
+    expect(readOnlyState.label).toBe('audit');
+  });
+
+  test('leaves unflagged and unknown accounts alone', () => {
+    updateReadOnly('123456789012', 'audit', true);
+
+    expect(updateReadOnly('123456789012', 'audit', false)).toBe(false);
+    expect(readOnlyState.accountId).toBeNull();
+    expect(updateReadOnly('unknown', 'Unknown Account', true)).toBe(false);
+  });
+});
+
+describe('console lifecycle', () => {
+  afterEach(() => {
+    consoleController.run?.abort();
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('starts only once however often init is called', async () => {
+    const addListener = jest.spyOn(window, 'addEventListener');
+
+    await init();
+    await init();
+
+    expect(consoleController.started).toBe(true);
+    expect(addListener).not.toHaveBeenCalledWith('popstate', expect.any(Function));
+    addListener.mockRestore();
+  });
+
+  test('a new run aborts the one still looking for the account', async () => {
+    const first = runConsoleDisplay();
+    const firstRun = consoleController.run;
+
+    document.body.innerHTML = '<button data-testid="awsc-nav-account-menu-button">Account ID: 1234-5678-9012</button>';
+    const second = runConsoleDisplay();
+
+    expect(firstRun.signal.aborted).toBe(true);
+    await expect(first).resolves.toBe(false);
+    await expect(second).resolves.toBe(true);
+  });
+
+  test('a run overtaken while looking up the account leaves the menu alone', async () => {
+    document.body.innerHTML = '<button data-testid="awsc-nav-account-menu-button">Account ID: 1234-5678-9012</button>';
+    let respond;
+    chrome.runtime.sendMessage.mockImplementation(() => new Promise((resolve) => { respond = resolve; }));
+
+    const pending = runConsoleDisplay();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    consoleController.run.abort();
+    respond({ success: true, accountName: 'Old Account' });
+
+    await expect(pending).resolves.toBe(false);
+    expect(document.body.textContent).not.toContain('Old Account');
+    chrome.runtime.sendMessage.mockReset();
+  });
+
+  test('a storage change refreshes through the controller', () => {
+    const listener = chrome.storage.onChanged.addListener.mock.calls.at(-1)[0];
+    const run = consoleController.run;
+
+    listener({ accounts: { newValue: {} } }, 'local');
+
+    expect(consoleController.run).not.toBe(run);
+    expect(consoleController.run.signal.aborted).toBe(false);
+  });
+
+  test('restarts on a URL change but not on the same URL', () => {
+    window.history.pushState(null, '', '/s3/buckets');
+    handleNavigation();
+    const run = consoleController.run;
+
+    handleNavigation();
+
+    expect(consoleController.lastUrl).toBe(window.location.href);
+    expect(consoleController.run).toBe(run);
+  });
+});
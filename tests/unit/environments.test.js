@@ -0,0 +1,78 @@
+const {
+  ENVIRONMENT_PRESETS,
+  DEFAULT_ENVIRONMENT_COLOR,
+  getEnvironmentPreset,
+  resolveEnvironment,
+  getEnvironmentCode
+} = require('../../src/environments');
+
+describe('getEnvironmentPreset', () => {
+  test('finds presets case-insensitively', () => {
+    expect(getEnvironmentPreset('PROD')).toBe(ENVIRONMENT_PRESETS.prod);
+    expect(getEnvironmentPreset(' sandbox ')).toBe(ENVIRONMENT_PRESETS.sandbox);
+  });
+
+  test('finds presets by their other spellings', () => {
+    expect(getEnvironmentPreset('Production')).toBe(ENVIRONMENT_PRESETS.prod);
+    expect(getEnvironmentPreset('prd')).toBe(ENVIRONMENT_PRESETS.prod);
+    expect(getEnvironmentPreset('stage')).toBe(ENVIRONMENT_PRESETS.staging);
+  });
+
+  test('returns null for custom values and non-strings', () => {
+    expect(getEnvironmentPreset('pci-prod')).toBeNull();
+    expect(getEnvironmentPreset(undefined)).toBeNull();
+  });
+});
+
+describe('resolveEnvironment', () => {
+  test('returns null for untagged accounts', () => {
+    expect(resolveEnvironment(undefined)).toBeNull();
+    expect(resolveEnvironment({})).toBeNull();
+    expect(resolveEnvironment({ environment: '  ' })).toBeNull();
+  });
+
+  test('uses the preset label and color', () => {
+    expect(resolveEnvironment({ environment: 'Prod' })).toEqual({
+      environment: 'prod',
+      label: 'Production',
+      color: ENVIRONMENT_PRESETS.prod.color,
+      production: true
+    });
+  });
+
+  test('resolves other spellings to their preset', () => {
+    expect(resolveEnvironment({ environment: 'PRD' })).toEqual({
+      environment: 'prod',
+      label: 'Production',
+      color: ENVIRONMENT_PRESETS.prod.color,
+      production: true
+    });
+    expect(resolveEnvironment({ environment: 'development' }).production).toBe(false);
+  });
+
+  test('explicit color overrides the preset color', () => {
+    expect(resolveEnvironment({ environment: 'dev', color: '#123456' }).color).toBe('#123456');
+  });
+
+  test('custom environments keep their name and fall back to the default color', () => {
+    expect(resolveEnvironment({ environment: 'PCI-Prod' })).toEqual({
+      environment: 'PCI-Prod',
+      label: 'PCI-Prod',
+      color: DEFAULT_ENVIRONMENT_COLOR,
+      production: false
+    });
+  });
+});
+
+describe('getEnvironmentCode', () => {
+  test('uses the preset code for built-in environments', () => {
+    expect(getEnvironmentCode('Prod')).toBe('P');
+    expect(getEnvironmentCode('sandbox')).toBe('SB');
+  });
+
+  test('uses the first two letters or digits of custom environments', () => {
+    expect(getEnvironmentCode('pci-prod')).toBe('PC');
+    expect(getEnvironmentCode('-q')).toBe('Q');
+    expect(getEnvironmentCode(undefined)).toBe('');
+  });
+});
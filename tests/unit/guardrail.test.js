@@ -0,0 +1,156 @@
+const {
+  GUARDRAIL_CONFIG,
+  isDestructiveAction,
+  startGuardrail,
+  stopGuardrail,
+  guardrailState
+} = require('../../src/guardrail');
+
+describe('isDestructiveAction', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('recognizes destructive buttons in confirmation dialogs', () => {
+    document.body.innerHTML = `
+      <div role="dialog">
+        <button id="terminate">Terminate</button>
+        <button id="cancel">Cancel</button>
+      </div>
+      <button id="outside">Delete</button>`;
+
+    expect(isDestructiveAction(document.getElementById('terminate'))).toBe(true);
+    expect(isDestructiveAction(document.getElementById('cancel'))).toBe(false);
+    expect(isDestructiveAction(document.getElementById('outside'))).toBe(false);
+  });
+
+  test('recognizes pages that exist to confirm a deletion', () => {
+    document.body.innerHTML = '<h1>Delete bucket</h1><form><button id="delete">Delete bucket</button></form>';
+
+    expect(isDestructiveAction(document.getElementById('delete'))).toBe(true);
+  });
+});
+
+describe('startGuardrail', () => {
+  let deleted;
+
+  beforeEach(() => {
+    deleted = jest.fn();
+    document.body.innerHTML = '<div role="alertdialog"><button id="delete">Delete stack</button></div>';
+    document.getElementById('delete').addEventListener('click', deleted);
+    startGuardrail({ label: 'payments-prod' });
+  });
+
+  afterEach(() => {
+    stopGuardrail();
+    document.body.innerHTML = '';
+  });
+
+  /**
+   * Types the confirmation text into the guardrail overlay
+   * @param {string} value - Text to type
+   */
+  function type(value) {
+    const input = document.querySelector('.aws-account-guardrail-input');
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  }
+
+  test('holds the click back until the account alias is typed', () => {
+    document.getElementById('delete').click();
+
+    expect(deleted).not.toHaveBeenCalled();
+    const confirm = document.querySelector('.aws-account-guardrail-confirm');
+    expect(confirm.disabled).toBe(true);
+
+    type('payments');
+    expect(confirm.disabled).toBe(true);
+    type('payments-prod');
+    confirm.click();
+
+    expect(deleted).toHaveBeenCalledTimes(1);
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).toBeNull();
+  });
+
+  test('asks again for the next click', () => {
+    document.getElementById('delete').click();
+    type('payments-prod');
+    document.querySelector('.aws-account-guardrail-confirm').click();
+    document.getElementById('delete').click();
+
+    expect(deleted).toHaveBeenCalledTimes(1);
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).not.toBeNull();
+  });
+
+  test('drops the action on cancel', () => {
+    document.getElementById('delete').click();
+    document.querySelector('.aws-account-guardrail-cancel').click();
+
+    expect(deleted).not.toHaveBeenCalled();
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).toBeNull();
+  });
+
+  test('does not stay armed when the replayed click never arrives', () => {
+    const button = document.getElementById('delete');
+    button.click();
+    type('payments-prod');
+    // The console disabled the button while the overlay was open
+    button.disabled = true;
+    document.querySelector('.aws-account-guardrail-confirm').click();
+
+    expect(guardrailState.confirmedButton).toBeNull();
+    button.disabled = false;
+    button.click();
+    expect(deleted).not.toHaveBeenCalled();
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).not.toBeNull();
+  });
+
+  test('holds back a submit without a click until the account alias is typed', () => {
+    const submitted = jest.fn((event) => event.preventDefault());
+    document.body.innerHTML = `
+      <h1>Delete bucket</h1>
+      <form><input name="confirm"><button id="delete-bucket">Delete bucket</button></form>`;
+    const form = document.querySelector('form');
+    form.addEventListener('submit', submitted);
+
+    form.requestSubmit();
+
+    expect(submitted).not.toHaveBeenCalled();
+    type('payments-prod');
+    document.querySelector('.aws-account-guardrail-confirm').click();
+
+    expect(submitted).toHaveBeenCalledTimes(1);
+  });
+
+  test('judges a submit without a click by the form\'s default button', () => {
+    const submitted = jest.fn((event) => event.preventDefault());
+    document.body.innerHTML = `
+      <h1>Delete bucket</h1>
+      <form><input name="confirm"><button type="button">Delete bucket</button><button>Search</button></form>`;
+    const form = document.querySelector('form');
+    form.addEventListener('submit', submitted);
+
+    form.requestSubmit();
+
+    expect(submitted).toHaveBeenCalledTimes(1);
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).toBeNull();
+  });
+
+  test('lets other submits through', () => {
+    const submitted = jest.fn((event) => event.preventDefault());
+    document.body.innerHTML = '<form><input name="q"><button>Search</button></form>';
+    const form = document.querySelector('form');
+    form.addEventListener('submit', submitted);
+
+    form.requestSubmit();
+
+    expect(submitted).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets clicks through once stopped', () => {
+    stopGuardrail();
+    document.getElementById('delete').click();
+
+    expect(deleted).toHaveBeenCalledTimes(1);
+  });
+});
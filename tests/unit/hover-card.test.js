@@ -0,0 +1,120 @@
+const {
+  HOVER_CARD_CONFIG,
+  getAccountCardRows,
+  copyAccountId,
+  showAccountCard,
+  scheduleHideAccountCard,
+  removeAccountCard
+} = require('../../src/hover-card');
+
+const account = {
+  accountId: '123456789012',
+  accountName: 'Payments Production',
+  alias: 'payments-prod',
+  email: 'aws-payments@example.com',
+  tags: { environment: 'prod' },
+  sources: ['https://prod-org.awsapps.com', 'organizations'],
+  lastUpdated: 1700000000000
+};
+
+describe('getAccountCardRows', () => {
+  test('lists the dashed and bare ID, email, environment, portal and last seen time', () => {
+    const rows = Object.fromEntries(getAccountCardRows(account).map(row => [row.label, row.value]));
+
+    expect(rows['Account ID']).toBe('1234-5678-9012 · 123456789012');
+    expect(rows.Email).toBe('aws-payments@example.com');
+    expect(rows.Environment).toBe('Production');
+    expect(rows.Portal).toBe('prod-org.awsapps.com');
+    expect(rows['Last seen']).toBe(new Date(1700000000000).toLocaleString());
+  });
+
+  test('leaves out details the account does not have', () => {
+    const rows = getAccountCardRows({ accountId: '123456789012', accountName: 'Imported', sources: ['aws-config'] });
+
+    expect(rows.map(row => row.label)).toEqual(['Account ID']);
+  });
+
+  test('names the partition of GovCloud and China accounts', () => {
+    const rows = getAccountCardRows({
+      accountId: '123456789012',
+      accountName: 'Gov',
+      partition: 'aws-us-gov',
+      sources: ['https://start.us-gov-home.awsapps.com/directory/d-1234567890']
+    });
+
+    expect(rows.find(row => row.label === 'Partition').value).toBe('AWS GovCloud (US)');
+    expect(rows.find(row => row.label === 'Portal').value).toBe('start.us-gov-home.awsapps.com');
+  });
+});
+
+describe('showAccountCard', () => {
+  afterEach(() => {
+    removeAccountCard();
+    jest.useRealTimers();
+  });
+
+  test('shows the alias with the captured name below it', () => {
+    const card = showAccountCard(account, { left: 10, bottom: 20 });
+
+    expect(card.querySelector('.aws-account-hover-card-title').textContent).toBe('payments-prod');
+    expect(card.querySelector('.aws-account-hover-card-subtitle').textContent).toBe('Payments Production');
+    expect(card.style.top).toBe(`${20 + HOVER_CARD_CONFIG.offset}px`);
+  });
+
+  test('offers copy, portal, credentials and switch-role actions', () => {
+    const card = showAccountCard(account, { left: 0, bottom: 0 });
+    const links = [...card.querySelectorAll('a')];
+
+    expect(card.querySelector('button').textContent).toBe('Copy ID');
+    expect(links.map(link => link.textContent)).toEqual(['Open in access portal', 'Get credentials', 'Switch role']);
+    expect(links[0].href).toBe('https://prod-org.awsapps.com/start/?aws_account_display_account=123456789012#/');
+    expect(links[1].href).toContain('aws_account_display_show=credentials');
+    expect(links[2].href).toContain('account=123456789012');
+    expect(links.every(link => link.rel.includes('noopener'))).toBe(true);
+  });
+
+  test('has no portal link for accounts not captured from a portal', () => {
+    const card = showAccountCard({ ...account, sources: ['organizations'] }, { left: 0, bottom: 0 });
+
+    expect([...card.querySelectorAll('a')].map(link => link.textContent)).toEqual(['Switch role']);
+  });
+
+  test('hides after a delay unless shown again', () => {
+    jest.useFakeTimers();
+    const card = showAccountCard(account, { left: 0, bottom: 0 });
+
+    scheduleHideAccountCard();
+    showAccountCard(account, { left: 0, bottom: 0 });
+    jest.advanceTimersByTime(HOVER_CARD_CONFIG.hideDelay);
+    expect(card.hidden).toBe(false);
+
+    scheduleHideAccountCard();
+    jest.advanceTimersByTime(HOVER_CARD_CONFIG.hideDelay);
+    expect(card.hidden).toBe(true);
+  });
+});
+
+describe('copyAccountId', () => {
+  test('copies the bare ID and confirms on the button', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    const button = document.createElement('button');
+
+    expect(await copyAccountId('123456789012', button)).toBe(true);
+    expect(writeText).toHaveBeenCalledWith('123456789012');
+    expect(button.textContent).toBe('Copied');
+  });
+
+  test('reports a failed copy', async () => {
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: jest.fn().mockRejectedValue(new Error('denied')) },
+      configurable: true
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const button = document.createElement('button');
+
+    expect(await copyAccountId('123456789012', button)).toBe(false);
+    expect(button.textContent).toBe('Copy failed');
+    console.error.mockRestore();
+  });
+});
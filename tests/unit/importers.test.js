@@ -0,0 +1,200 @@
+const {
+  parseOrganizationsAccounts,
+  parseIni,
+  parseAwsConfigProfiles,
+  ORGANIZATIONS_SOURCE,
+  AWS_CONFIG_SOURCE
+} = require('../../src/importers');
+
+const listAccountsOutput = {
+  Accounts: [
+    {
+      Id: '123456789012',
+      Arn: 'arn:aws:organizations::111111111111:account/o-exampleorgid/123456789012',
+      Email: 'payments-prod@example.com',
+      Name: 'payments-prod',
+      Status: 'ACTIVE',
+      JoinedMethod: 'CREATED',
+      JoinedTimestamp: '2020-01-01T00:00:00.000Z'
+    },
+    {
+      Id: '234567890123',
+      Arn: 'arn:aws:organizations::111111111111:account/o-exampleorgid/234567890123',
+      Email: 'legacy@example.com',
+      Name: 'legacy',
+      Status: 'SUSPENDED'
+    }
+  ]
+};
+
+describe('parseOrganizationsAccounts', () => {
+  test('parses list-accounts output', () => {
+    const result = parseOrganizationsAccounts(JSON.stringify(listAccountsOutput));
+
+    expect(result.success).toBe(true);
+    expect(result.rejected).toEqual([]);
+    expect(result.accounts).toEqual([
+      { accountId: '123456789012', accountName: 'payments-prod', email: 'payments-prod@example.com', status: 'ACTIVE', partition: 'aws' },
+      { accountId: '234567890123', accountName: 'legacy', email: 'legacy@example.com', status: 'SUSPENDED', partition: 'aws' }
+    ]);
+  });
+
+  test('scopes the source to the organization ID', () => {
+    const result = parseOrganizationsAccounts(JSON.stringify(listAccountsOutput));
+
+    expect(result.source).toBe(`${ORGANIZATIONS_SOURCE}:o-exampleorgid`);
+  });
+
+  test('falls back to the plain organizations source without ARNs', () => {
+    const result = parseOrganizationsAccounts(JSON.stringify({ Accounts: [{ Id: '123456789012', Name: 'prod' }] }));
+
+    expect(result.source).toBe(ORGANIZATIONS_SOURCE);
+  });
+
+  test('accepts a bare array of accounts', () => {
+    const result = parseOrganizationsAccounts(JSON.stringify(listAccountsOutput.Accounts));
+
+    expect(result.success).toBe(true);
+    expect(result.accounts).toHaveLength(2);
+  });
+
+  test('rejects entries that fail validation', () => {
+    const result = parseOrganizationsAccounts(JSON.stringify({
+      Accounts: [
+        { Id: '12345', Name: 'short-id' },
+        { Id: '123456789012', Name: '   ' },
+        null,
+        { Id: '234567890123', Name: 'ok', Email: 'not-an-email' }
+      ]
+    }));
+
+    expect(result.accounts).toEqual([{ accountId: '234567890123', accountName: 'ok' }]);
+    expect(result.rejected).toEqual([
+      { index: 0, id: '12345', reason: 'Invalid account ID' },
+      { index: 1, id: '123456789012', reason: 'Invalid account name' },
+      { index: 2, id: null, reason: 'Not an account object' }
+    ]);
+  });
+
+  test('reports invalid JSON', () => {
+    const result = parseOrganizationsAccounts('{ not json');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Not valid JSON/);
+  });
+
+  test('reports JSON without an Accounts array', () => {
+    const result = parseOrganizationsAccounts('{"Foo": []}');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Accounts/);
+  });
+});
+
+describe('parseIni', () => {
+  test('parses sections and keys, skipping comments and nested settings', () => {
+    const sections = parseIni([
+      '# comment',
+      '[profile prod]',
+      'region = us-east-1',
+      'S3 =',
+      '  max_concurrent_requests = 20',
+      '; another comment',
+      '[default]',
+      'output=json'
+    ].join('\n'));
+
+    expect(sections).toEqual([
+      { name: 'profile prod', values: { region: 'us-east-1', s3: '' } },
+      { name: 'default', values: { output: 'json' } }
+    ]);
+  });
+});
+
+describe('parseAwsConfigProfiles', () => {
+  const config = [
+    '[sso-session my-sso]',
+    'sso_start_url = https://prod-org.awsapps.com/start',
+    '',
+    '[profile payments-prod]',
+    'sso_session = my-sso',
+    'sso_account_id = 123456789012',
+    'sso_role_name = AdministratorAccess',
+    'account_name = Payments Production',
+    '',
+    '[profile payments-prod-readonly]',
+    'sso_account_id = 123456789012',
+    'sso_role_name = ReadOnly',
+    '',
+    '[profile audit]',
+    'role_arn = arn:aws:iam::234567890123:role/OrganizationAccountAccessRole',
+    'source_profile = default',
+    '',
+    '[default]',
+    'region = us-east-1'
+  ].join('\n');
+
+  test('uses profile names for accounts from sso_account_id and role_arn', () => {
+    const result = parseAwsConfigProfiles(config);
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe(AWS_CONFIG_SOURCE);
+    expect(result.accounts).toEqual([
+      { accountId: '123456789012', accountName: 'payments-prod' },
+      { accountId: '234567890123', accountName: 'audit', partition: 'aws' }
+    ]);
+  });
+
+  test('uses the chosen key when the profile sets it', () => {
+    const result = parseAwsConfigProfiles(config, { nameKey: 'Account_Name' });
+
+    expect(result.accounts).toEqual([
+      { accountId: '123456789012', accountName: 'Payments Production' },
+      { accountId: '234567890123', accountName: 'audit', partition: 'aws' }
+    ]);
+  });
+
+  test('reports profiles without an account and duplicate accounts', () => {
+    const result = parseAwsConfigProfiles(config);
+
+    expect(result.rejected).toEqual([
+      {
+        index: 1,
+        id: '123456789012',
+        label: 'profile payments-prod-readonly',
+        reason: 'Account already named by profile payments-prod'
+      },
+      {
+        index: 3,
+        id: null,
+        label: 'profile default',
+        reason: 'No sso_account_id or role_arn with an account ID'
+      }
+    ]);
+  });
+
+  test('reads GovCloud role ARNs', () => {
+    const result = parseAwsConfigProfiles('[profile gov]\nrole_arn = arn:aws-us-gov:iam::345678901234:role/Admin');
+
+    expect(result.accounts).toEqual([{ accountId: '345678901234', accountName: 'gov', partition: 'aws-us-gov' }]);
+  });
+
+  test('does not read role ARNs of partitions the extension does not know', () => {
+    const result = parseAwsConfigProfiles('[profile iso]\nrole_arn = arn:aws-iso:iam::345678901234:role/Admin');
+
+    expect(result.accounts).toEqual([]);
+    expect(result.rejected).toHaveLength(1);
+  });
+
+  test('takes the partition of SSO profiles from their region', () => {
+    const result = parseAwsConfigProfiles('[profile china]\nsso_account_id = 345678901234\nsso_region = cn-north-1');
+
+    expect(result.accounts).toEqual([{ accountId: '345678901234', accountName: 'china', partition: 'aws-cn' }]);
+  });
+
+  test('reports text without profiles', () => {
+    const result = parseAwsConfigProfiles('just some text');
+
+    expect(result.success).toBe(false);
+  });
+});
@@ -1,4 +1,8 @@
-const { handleMessage } = require('../../src/background');
+const { handleMessage } = require('../../src/messages');
+const { STORAGE_VERSION } = require('../../src/migrations');
+
+// Sender of messages from the options page
+const extensionPage = { id: chrome.runtime.id, url: chrome.runtime.getURL('src/options.html') };
 
 describe('Message Handling', () => {
   let storedData = {};
@@ -21,8 +25,8 @@ describe('Message Handling', () => {
       return Promise.resolve(result);
     });
 
-    chrome.storage.local.clear.mockImplementation(() => {
-      storedData = {};
+    chrome.storage.local.remove.mockImplementation((keys) => {
+      keys.forEach(key => delete storedData[key]);
       return Promise.resolve();
     });
   });
@@ -72,6 +76,125 @@ describe('Message Handling', () => {
       expect(Object.keys(storedData.accounts).length).toBe(1);
       expect(storedData.accounts['123456789012'].accountName).toBe('Valid');
     });
+
+    test('merges accounts captured from different portals', async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'https://prod-org.awsapps.com',
+        accounts: [{ accountId: '123456789012', accountName: 'Production' }]
+      });
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'https://sandbox-org.awsapps.com',
+        accounts: [{ accountId: '234567890123', accountName: 'Sandbox' }]
+      });
+
+      expect(storedData.accounts['123456789012'].accountName).toBe('Production');
+      expect(storedData.accounts['234567890123'].accountName).toBe('Sandbox');
+      expect(storedData.accounts['123456789012'].sources).toEqual(['https://prod-org.awsapps.com']);
+    });
+
+    test('removes an account only from the portal that no longer lists it', async () => {
+      const shared = { accountId: '123456789012', accountName: 'Shared' };
+      const prodOnly = { accountId: '234567890123', accountName: 'Production' };
+
+      await handleMessage({ type: 'STORE_ACCOUNTS', source: 'https://prod-org.awsapps.com', accounts: [shared, prodOnly] });
+      await handleMessage({ type: 'STORE_ACCOUNTS', source: 'https://partner-org.awsapps.com', accounts: [shared] });
+      await handleMessage({ type: 'STORE_ACCOUNTS', source: 'https://prod-org.awsapps.com', accounts: [] });
+
+      expect(storedData.accounts['123456789012'].sources).toEqual(['https://partner-org.awsapps.com']);
+      expect(storedData.accounts['234567890123']).toBeUndefined();
+    });
+
+    test('merge mode adds accounts without removing the source\'s others', async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'aws-config',
+        mode: 'merge',
+        accounts: [{ accountId: '123456789012', accountName: 'payments-prod' }]
+      });
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'aws-config',
+        mode: 'merge',
+        accounts: [{ accountId: '234567890123', accountName: 'audit' }]
+      });
+
+      expect(storedData.accounts['123456789012'].sources).toEqual(['aws-config']);
+      expect(storedData.accounts['234567890123'].sources).toEqual(['aws-config']);
+    });
+
+    test('a filtered portal re-capture keeps the accounts the filter hides', async () => {
+      const portal = 'https://prod-org.awsapps.com';
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        mode: 'replace',
+        accounts: [{ accountId: '123456789012', accountName: 'payments-prod' }, { accountId: '234567890123', accountName: 'audit' }]
+      });
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        mode: 'merge',
+        accounts: [{ accountId: '123456789012', accountName: 'payments-prod' }]
+      });
+
+      expect(storedData.accounts['234567890123'].sources).toEqual([portal]);
+    });
+
+    test('returns error for an unknown store mode', async () => {
+      const response = await handleMessage({ type: 'STORE_ACCOUNTS', mode: 'wipe', accounts: [] });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Unknown store mode: wipe');
+    });
+
+    test('stores email and status provided by the source', async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'organizations:o-exampleorgid',
+        accounts: [
+          { accountId: '123456789012', accountName: 'legacy', email: 'legacy@example.com', status: 'SUSPENDED' },
+          { accountId: '234567890123', accountName: 'bad', email: 'nope', status: 'suspended; drop' }
+        ]
+      });
+
+      expect(storedData.accounts['123456789012']).toMatchObject({
+        email: 'legacy@example.com',
+        status: 'SUSPENDED',
+        sources: ['organizations:o-exampleorgid']
+      });
+      expect(storedData.accounts['234567890123'].email).toBeUndefined();
+      expect(storedData.accounts['234567890123'].status).toBeUndefined();
+    });
+
+    test('replaces the roles of accounts captured with roles and keeps the others', async () => {
+      storedData.accounts = {
+        '123456789012': { accountId: '123456789012', accountName: 'prod', lastUpdated: 1, sources: ['https://prod-org.awsapps.com'], roles: ['Billing'] },
+        '234567890123': { accountId: '234567890123', accountName: 'dev', lastUpdated: 1, sources: ['https://prod-org.awsapps.com'], roles: ['Developer'] }
+      };
+
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: 'https://prod-org.awsapps.com',
+        accounts: [
+          { accountId: '123456789012', accountName: 'prod', roles: ['AdministratorAccess', 'ReadOnly', 'bad role'] },
+          { accountId: '234567890123', accountName: 'dev' }
+        ]
+      });
+
+      expect(storedData.accounts['123456789012'].roles).toEqual(['AdministratorAccess', 'ReadOnly']);
+      expect(storedData.accounts['234567890123'].roles).toEqual(['Developer']);
+    });
+
+    test('uses the sender origin when no source is given', async () => {
+      await handleMessage(
+        { type: 'STORE_ACCOUNTS', accounts: [{ accountId: '123456789012', accountName: 'Production' }] },
+        { origin: 'https://prod-org.awsapps.com' }
+      );
+
+      expect(storedData.accounts['123456789012'].sources).toEqual(['https://prod-org.awsapps.com']);
+    });
   });
 
   describe('GET_ACCOUNT_NAME message', () => {
@@ -132,6 +255,322 @@ describe('Message Handling', () => {
     });
   });
 
+  describe('GET_ALL_ACCOUNTS message', () => {
+    test('returns every stored account', async () => {
+      const accounts = {
+        '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1, sources: [] },
+        '234567890123': { accountId: '234567890123', accountName: 'Development', lastUpdated: 2, sources: [] }
+      };
+      storedData = { accounts };
+
+      const response = await handleMessage({ type: 'GET_ALL_ACCOUNTS' });
+
+      expect(response).toEqual({ success: true, accounts });
+    });
+
+    test('returns an empty map when nothing is stored', async () => {
+      const response = await handleMessage({ type: 'GET_ALL_ACCOUNTS' });
+
+      expect(response).toEqual({ success: true, accounts: {} });
+    });
+  });
+
+  describe('GET_BACKUP_DATA message', () => {
+    test('returns the stored accounts with their schema version', async () => {
+      const accounts = {
+        '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1, sources: [] }
+      };
+      storedData = { accounts, version: STORAGE_VERSION };
+
+      const response = await handleMessage({ type: 'GET_BACKUP_DATA' });
+
+      expect(response).toEqual({ success: true, accounts, version: STORAGE_VERSION });
+    });
+  });
+
+  describe('GET_ACCOUNT_BY_NAME message', () => {
+    beforeEach(() => {
+      storedData = {
+        accounts: {
+          '123456789012': { accountId: '123456789012', accountName: 'Payments-Production', lastUpdated: 1, sources: [] }
+        }
+      };
+    });
+
+    test('finds an account by exact name, ignoring case', async () => {
+      const response = await handleMessage({ type: 'GET_ACCOUNT_BY_NAME', accountName: 'payments-production' });
+
+      expect(response).toEqual({ success: true, accountId: '123456789012', accountName: 'Payments-Production' });
+    });
+
+    test('returns error for missing account name', async () => {
+      const response = await handleMessage({ type: 'GET_ACCOUNT_BY_NAME' });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Account name required');
+    });
+  });
+
+  describe('SET_ACCOUNT_ALIAS message', () => {
+    const portal = 'https://prod-org.awsapps.com';
+
+    beforeEach(async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        accounts: [{ accountId: '123456789012', accountName: 'Workload-Payments-Production-EU' }]
+      });
+    });
+
+    test('alias is returned instead of the captured name', async () => {
+      const response = await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: '  payments-prod ' }, extensionPage);
+      expect(response.success).toBe(true);
+
+      const lookup = await handleMessage({ type: 'GET_ACCOUNT_NAME', accountId: '123456789012' });
+      expect(lookup.accountName).toBe('payments-prod');
+      expect(storedData.accounts['123456789012'].accountName).toBe('Workload-Payments-Production-EU');
+    });
+
+    test('alias survives a later portal capture', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' }, extensionPage);
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        accounts: [{ accountId: '123456789012', accountName: 'Payments-Production' }]
+      });
+
+      expect(storedData.accounts['123456789012'].alias).toBe('payments-prod');
+      expect(storedData.accounts['123456789012'].accountName).toBe('Payments-Production');
+    });
+
+    test('aliased account is kept when its portal stops listing it', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' }, extensionPage);
+      await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [] });
+
+      expect(storedData.accounts['123456789012'].alias).toBe('payments-prod');
+      expect(storedData.accounts['123456789012'].sources).toEqual([]);
+    });
+
+    test('empty alias clears the alias', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' }, extensionPage);
+      await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: '' }, extensionPage);
+
+      expect(storedData.accounts['123456789012'].alias).toBeUndefined();
+      const lookup = await handleMessage({ type: 'GET_ACCOUNT_NAME', accountId: '123456789012' });
+      expect(lookup.accountName).toBe('Workload-Payments-Production-EU');
+    });
+
+    test('account can be found by its alias', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' }, extensionPage);
+
+      const response = await handleMessage({ type: 'GET_ACCOUNT_BY_NAME', accountName: 'Payments-Prod' });
+      expect(response.accountId).toBe('123456789012');
+      expect(response.accountName).toBe('payments-prod');
+    });
+
+    test('returns error for unknown account', async () => {
+      const response = await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '999999999999', alias: 'x' }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Account not found');
+    });
+
+    test('returns error for an alias that is too long', async () => {
+      const response = await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'a'.repeat(257) }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Invalid alias');
+    });
+  });
+
+  describe('SET_ACCOUNT_TAGS message', () => {
+    const portal = 'https://prod-org.awsapps.com';
+
+    beforeEach(async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        accounts: [{ accountId: '123456789012', accountName: 'Production' }]
+      });
+    });
+
+    test('stores the environment tag and color', async () => {
+      const response = await handleMessage({
+        type: 'SET_ACCOUNT_TAGS',
+        accountId: '123456789012',
+        tags: { environment: ' prod ', color: '#FF0000' }
+      }, extensionPage);
+
+      expect(response.success).toBe(true);
+      expect(storedData.accounts['123456789012'].tags).toEqual({ environment: 'prod', color: '#ff0000' });
+    });
+
+    test('tags survive a later portal capture', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_TAGS', accountId: '123456789012', tags: { environment: 'prod' } }, extensionPage);
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        accounts: [{ accountId: '123456789012', accountName: 'Production' }]
+      });
+
+      expect(storedData.accounts['123456789012'].tags).toEqual({ environment: 'prod' });
+    });
+
+    test('empty environment clears the tags', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_TAGS', accountId: '123456789012', tags: { environment: 'prod' } }, extensionPage);
+      await handleMessage({ type: 'SET_ACCOUNT_TAGS', accountId: '123456789012', tags: { environment: '' } }, extensionPage);
+
+      expect(storedData.accounts['123456789012'].tags).toBeUndefined();
+    });
+
+    test('returns error for an invalid environment', async () => {
+      const response = await handleMessage({
+        type: 'SET_ACCOUNT_TAGS',
+        accountId: '123456789012',
+        tags: { environment: '<script>' }
+      }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Invalid environment');
+    });
+
+    test('returns error for an invalid color', async () => {
+      const response = await handleMessage({
+        type: 'SET_ACCOUNT_TAGS',
+        accountId: '123456789012',
+        tags: { environment: 'prod', color: 'red' }
+      }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Invalid color');
+    });
+  });
+
+  describe('SET_ACCOUNT_READ_ONLY message', () => {
+    const portal = 'https://prod-org.awsapps.com';
+
+    beforeEach(async () => {
+      await handleMessage({
+        type: 'STORE_ACCOUNTS',
+        source: portal,
+        accounts: [{ accountId: '123456789012', accountName: 'Audit' }]
+      });
+    });
+
+    test('flags the account read-only and clears the flag again', async () => {
+      const response = await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: true }, extensionPage);
+
+      expect(response.success).toBe(true);
+      expect(storedData.accounts['123456789012'].readOnly).toBe(true);
+
+      await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: false }, extensionPage);
+
+      expect(storedData.accounts['123456789012']).not.toHaveProperty('readOnly');
+    });
+
+    test('keeps a read-only account the portal no longer lists', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: true }, extensionPage);
+      await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [] });
+
+      expect(storedData.accounts['123456789012'].readOnly).toBe(true);
+    });
+
+    test('returns error for an unknown account', async () => {
+      const response = await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '999999999999', readOnly: true }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Account not found');
+    });
+
+    test('rejects a flag that is not a boolean without changing the account', async () => {
+      await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: true }, extensionPage);
+
+      const response = await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: 'false' }, extensionPage);
+
+      expect(response).toEqual({ success: false, error: 'Invalid read-only flag' });
+      expect(storedData.accounts['123456789012'].readOnly).toBe(true);
+    });
+  });
+
+  describe('GET_ACCOUNT_DETAILS message', () => {
+    test('returns the full stored entry', async () => {
+      storedData = {
+        accounts: {
+          '123456789012': {
+            accountId: '123456789012',
+            accountName: 'Production',
+            lastUpdated: 1000,
+            tags: { environment: 'prod' }
+          }
+        }
+      };
+
+      const response = await handleMessage({ type: 'GET_ACCOUNT_DETAILS', accountId: '123456789012' });
+
+      expect(response.success).toBe(true);
+      expect(response.account.tags).toEqual({ environment: 'prod' });
+    });
+
+    test('returns null for unknown accounts', async () => {
+      const response = await handleMessage({ type: 'GET_ACCOUNT_DETAILS', accountId: '999999999999' });
+
+      expect(response.success).toBe(true);
+      expect(response.account).toBeNull();
+    });
+  });
+
+  describe('RESTORE_ACCOUNTS message', () => {
+    const backupEntry = {
+      accountId: '123456789012',
+      accountName: 'Production',
+      alias: 'prod',
+      tags: { environment: 'prod' },
+      lastUpdated: 1000,
+      overridesUpdated: 900,
+      sources: ['https://prod-org.awsapps.com']
+    };
+
+    beforeEach(() => {
+      storedData = {
+        accounts: {
+          '234567890123': { accountId: '234567890123', accountName: 'Sandbox', lastUpdated: 2000, sources: [] }
+        }
+      };
+    });
+
+    test('restores entries with their aliases, tags and timestamps', async () => {
+      const response = await handleMessage({ type: 'RESTORE_ACCOUNTS', accounts: [backupEntry] }, extensionPage);
+
+      expect(response).toEqual({ success: true, restored: 1, skipped: 0 });
+      expect(storedData.accounts['123456789012']).toEqual(backupEntry);
+      expect(storedData.accounts['234567890123']).toBeDefined();
+      expect(storedData.version).toBe(STORAGE_VERSION);
+    });
+
+    test('replace drops accounts that are not in the backup', async () => {
+      await handleMessage({ type: 'RESTORE_ACCOUNTS', accounts: [backupEntry], replace: true }, extensionPage);
+
+      expect(Object.keys(storedData.accounts)).toEqual(['123456789012']);
+    });
+
+    test('skips entries that fail validation', async () => {
+      const response = await handleMessage({
+        type: 'RESTORE_ACCOUNTS',
+        accounts: [backupEntry, { ...backupEntry, accountId: '234567890123', alias: 'a'.repeat(300) }]
+      }, extensionPage);
+
+      expect(response).toEqual({ success: true, restored: 1, skipped: 1 });
+      expect(storedData.accounts['234567890123'].accountName).toBe('Sandbox');
+    });
+
+    test('returns error for non-array accounts', async () => {
+      const response = await handleMessage({ type: 'RESTORE_ACCOUNTS', accounts: {} }, extensionPage);
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('Accounts must be an array');
+    });
+  });
+
   describe('CLEAR_DATA message', () => {
     beforeEach(async () => {
       storedData = {
@@ -141,13 +580,123 @@ describe('Message Handling', () => {
       };
     });
 
-    test('clears all stored data', async () => {
+    test('clears the stored accounts', async () => {
       const message = { type: 'CLEAR_DATA' };
 
-      const response = await handleMessage(message);
+      const response = await handleMessage(message, extensionPage);
 
       expect(response.success).toBe(true);
-      expect(Object.keys(storedData).length).toBe(0);
+      expect(storedData.accounts).toBeUndefined();
+    });
+
+    test('keeps settings, the sync state and the schema version', async () => {
+      storedData.settings = { syncEnabled: true };
+      storedData.syncState = { syncedIds: ['123456789012'], lastSyncAt: 1 };
+      storedData.version = STORAGE_VERSION;
+
+      await handleMessage({ type: 'CLEAR_DATA' }, extensionPage);
+
+      expect(storedData.settings).toEqual({ syncEnabled: true });
+      expect(storedData.syncState.syncedIds).toEqual(['123456789012']);
+      expect(storedData.version).toBe(STORAGE_VERSION);
+    });
+  });
+
+  describe('Privileged messages', () => {
+    const privileged = [
+      { type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' },
+      { type: 'SET_ACCOUNT_TAGS', accountId: '123456789012', tags: { environment: 'prod' } },
+      { type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: true },
+      { type: 'RESTORE_ACCOUNTS', accounts: [], replace: true },
+      { type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } },
+      { type: 'SYNC_NOW' },
+      { type: 'CLEAR_DATA' }
+    ];
+    const senders = {
+      'a console page': {
+        id: chrome.runtime.id,
+        url: 'https://us-east-1.console.aws.amazon.com/console/home',
+        tab: { id: 7 }
+      },
+      'an extension frame inside a web page': {
+        ...extensionPage,
+        frameId: 3,
+        tab: { id: 7, url: 'https://example.com/' }
+      },
+      'another extension': { id: 'other-extension-id', url: 'chrome-extension://other-extension-id/page.html' },
+      'an unknown sender': undefined
+    };
+
+    beforeEach(() => {
+      storedData = {
+        accounts: {
+          '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1 }
+        }
+      };
+    });
+
+    for (const [name, sender] of Object.entries(senders)) {
+      test(`are rejected from ${name}`, async () => {
+        for (const message of privileged) {
+          const response = await handleMessage(message, sender);
+
+          expect(response).toEqual({ success: false, error: `${message.type} is only accepted from extension pages` });
+        }
+        expect(storedData.accounts['123456789012']).toEqual({
+          accountId: '123456789012',
+          accountName: 'Production',
+          lastUpdated: 1
+        });
+        expect(storedData.settings).toBeUndefined();
+      });
+    }
+
+    test('are accepted from the options page open in its own tab', async () => {
+      const optionsTab = { ...extensionPage, frameId: 0, tab: { id: 8, url: extensionPage.url } };
+
+      const response = await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, optionsTab);
+
+      expect(response.success).toBe(true);
+    });
+
+    test('other messages are answered for content scripts', async () => {
+      const response = await handleMessage({ type: 'GET_ACCOUNT_NAME', accountId: '123456789012' }, senders['a console page']);
+
+      expect(response.success).toBe(true);
+    });
+  });
+
+  describe('ensureMigrated', () => {
+    let ensureMigrated;
+
+    beforeEach(() => {
+      jest.isolateModules(() => {
+        ({ ensureMigrated } = require('../../src/storage'));
+      });
+      storedData = {
+        accounts: { '123456789012': { accountName: 'Production', lastUpdated: 1 } },
+        version: 1
+      };
+      chrome.storage.local.get.mockClear();
+    });
+
+    test('runs the migrations once when they succeed', async () => {
+      expect((await ensureMigrated()).success).toBe(true);
+      await ensureMigrated();
+
+      expect(chrome.storage.local.get.mock.calls.filter(([keys]) => keys.includes('migrationState'))).toHaveLength(1);
+    });
+
+    test('tries again after a failed run', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      chrome.storage.local.get.mockImplementationOnce(() => Promise.reject(new Error('storage unavailable')));
+
+      expect((await ensureMigrated()).success).toBe(false);
+      const retried = await ensureMigrated();
+
+      expect(retried.success).toBe(true);
+      expect(storedData.version).toBe(STORAGE_VERSION);
+      consoleError.mockRestore();
     });
   });
 
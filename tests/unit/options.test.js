@@ -0,0 +1,408 @@
+const {
+  validateAlias,
+  saveAlias,
+  validateTags,
+  saveTags,
+  saveReadOnly,
+  createAccountRow,
+  getVisibleAccounts,
+  summarizeImport,
+  importAccounts,
+  exportBackup,
+  formatSyncStatus,
+  updateSettings,
+  setupSyncSection,
+  setupSettingControls
+} = require('../../src/options');
+
+describe('validateAlias', () => {
+  test('accepts and trims a normal alias', () => {
+    expect(validateAlias('  payments-prod  ')).toEqual({ valid: true, alias: 'payments-prod' });
+  });
+
+  test('treats empty and whitespace-only input as clearing the alias', () => {
+    expect(validateAlias('')).toEqual({ valid: true, alias: null });
+    expect(validateAlias('   ')).toEqual({ valid: true, alias: null });
+  });
+
+  test('rejects an alias longer than 256 characters', () => {
+    const result = validateAlias('a'.repeat(257));
+    expect(result.valid).toBe(false);
+    expect(result.error).toBeDefined();
+  });
+});
+
+describe('saveAlias', () => {
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+  });
+
+  test('sends the sanitized alias to the background worker', async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+
+    const response = await saveAlias('123456789012', ' payments-prod ');
+
+    expect(response.success).toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'SET_ACCOUNT_ALIAS',
+      accountId: '123456789012',
+      alias: 'payments-prod'
+    });
+  });
+
+  test('does not send an invalid alias', async () => {
+    const response = await saveAlias('123456789012', 'a'.repeat(257));
+
+    expect(response.success).toBe(false);
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateTags', () => {
+  test('accepts an environment with an optional color', () => {
+    expect(validateTags('prod')).toEqual({ valid: true, tags: { environment: 'prod' } });
+    expect(validateTags(' pci-prod ', '#AA00AA')).toEqual({
+      valid: true,
+      tags: { environment: 'pci-prod', color: '#aa00aa' }
+    });
+  });
+
+  test('treats an empty environment as clearing the tags', () => {
+    expect(validateTags('')).toEqual({ valid: true, tags: null });
+  });
+
+  test('rejects invalid environments and colors', () => {
+    expect(validateTags('<b>').valid).toBe(false);
+    expect(validateTags('prod', 'red').valid).toBe(false);
+  });
+});
+
+describe('saveTags', () => {
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+  });
+
+  test('omits the color when it matches the preset color', async () => {
+    await saveTags('123456789012', 'prod', '#D13212');
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'SET_ACCOUNT_TAGS',
+      accountId: '123456789012',
+      tags: { environment: 'prod' }
+    });
+  });
+
+  test('keeps a custom color', async () => {
+    await saveTags('123456789012', 'prod', '#000000');
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].tags).toEqual({ environment: 'prod', color: '#000000' });
+  });
+
+  test('sends null tags to clear the environment', async () => {
+    await saveTags('123456789012', '', undefined);
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].tags).toBeNull();
+  });
+});
+
+describe('saveReadOnly', () => {
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+  });
+
+  test('sends the read-only flag to the background worker', async () => {
+    const response = await saveReadOnly('123456789012', true);
+
+    expect(response.success).toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'SET_ACCOUNT_READ_ONLY',
+      accountId: '123456789012',
+      readOnly: true
+    });
+  });
+});
+
+describe('createAccountRow', () => {
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+  });
+
+  test('shows the read-only flag and puts the checkbox back when saving fails', async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Account not found' });
+    const row = createAccountRow({ accountId: '123456789012', accountName: 'Audit', readOnly: true });
+    const checkbox = row.querySelector('.read-only-input');
+
+    expect(checkbox.checked).toBe(true);
+
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new Event('change'));
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(checkbox.checked).toBe(true);
+    expect(row.querySelector('.row-status').textContent).toBe('Account not found');
+  });
+});
+
+describe('getVisibleAccounts', () => {
+  const accounts = {
+    '123456789012': { accountId: '123456789012', accountName: 'Workload-Payments-Production-EU', alias: 'payments-prod' },
+    '210987654321': { accountId: '210987654321', accountName: 'Audit' }
+  };
+
+  test('sorts accounts by captured name', () => {
+    expect(getVisibleAccounts(accounts, '').map(a => a.accountName))
+      .toEqual(['Audit', 'Workload-Payments-Production-EU']);
+  });
+
+  test('filters by alias, name or ID', () => {
+    expect(getVisibleAccounts(accounts, 'PAYMENTS-PROD').map(a => a.accountId)).toEqual(['123456789012']);
+    expect(getVisibleAccounts(accounts, 'audit').map(a => a.accountId)).toEqual(['210987654321']);
+    expect(getVisibleAccounts(accounts, '1234').map(a => a.accountId)).toEqual(['123456789012']);
+  });
+});
+
+describe('summarizeImport', () => {
+  test('counts new and known accounts and lists suspended ones', () => {
+    const parsed = {
+      accounts: [
+        { accountId: '123456789012', accountName: 'payments-prod', status: 'ACTIVE' },
+        { accountId: '210987654321', accountName: 'legacy', status: 'SUSPENDED' }
+      ],
+      rejected: [{ index: 2, id: '1', reason: 'Invalid account ID' }]
+    };
+    const stored = { '123456789012': { accountId: '123456789012', accountName: 'payments-prod' } };
+
+    const summary = summarizeImport(parsed, stored);
+
+    expect(summary.added).toBe(1);
+    expect(summary.updated).toBe(1);
+    expect(summary.suspended.map(a => a.accountId)).toEqual(['210987654321']);
+    expect(summary.rejected).toHaveLength(1);
+  });
+});
+
+describe('importAccounts', () => {
+  test('stores parsed accounts under their source', async () => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+    const accounts = [{ accountId: '123456789012', accountName: 'payments-prod' }];
+
+    await importAccounts({ success: true, source: 'organizations:o-exampleorgid', accounts, rejected: [] });
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'STORE_ACCOUNTS',
+      source: 'organizations:o-exampleorgid',
+      accounts,
+      mode: 'replace'
+    });
+  });
+
+  test('passes the merge mode through', async () => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+
+    await importAccounts({ success: true, source: 'aws-config', accounts: [], rejected: [] }, 'merge');
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].mode).toBe('merge');
+  });
+});
+
+describe('exportBackup', () => {
+  let click;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="backup-output"></div>';
+    chrome.runtime.sendMessage.mockReset();
+    URL.createObjectURL = jest.fn(() => 'blob:backup');
+    URL.revokeObjectURL = jest.fn();
+    click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    click.mockRestore();
+  });
+
+  test('downloads the data read through the background service worker', async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({
+      success: true,
+      version: 3,
+      accounts: { '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 1 } }
+    });
+
+    await exportBackup('csv');
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_BACKUP_DATA' });
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(document.getElementById('backup-output').textContent).toBe('Exported 1 accounts.');
+  });
+
+  test('shows why the export failed', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockRejectedValue(new Error('Extension context invalidated.'));
+
+    await exportBackup('json');
+
+    const output = document.getElementById('backup-output');
+    expect(click).not.toHaveBeenCalled();
+    expect(output.textContent).toBe('Export failed: Extension context invalidated.');
+    expect(output.classList.contains('error')).toBe(true);
+    consoleError.mockRestore();
+  });
+});
+
+describe('formatSyncStatus', () => {
+  test('says when sync is off', () => {
+    expect(formatSyncStatus(false, { lastSyncAt: 1 }).text).toMatch(/Sync is off/);
+  });
+
+  test('reports the last error', () => {
+    expect(formatSyncStatus(true, { lastError: 'Account data (200000 bytes) exceeds the sync quota' }))
+      .toEqual({ text: 'Sync failed: Account data (200000 bytes) exceeds the sync quota', error: true });
+  });
+
+  test('shows how much sync storage is used', () => {
+    const status = formatSyncStatus(true, { lastSyncAt: Date.now(), bytes: 25600, quotaBytes: 102400 });
+
+    expect(status.error).toBe(false);
+    expect(status.text).toMatch(/using 25% of sync storage/);
+  });
+});
+
+describe('updateSettings', () => {
+  test('sends the changes to the background service worker', async () => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, settings: { syncEnabled: true } });
+
+    const response = await updateSettings({ syncEnabled: true });
+
+    expect(response.success).toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } });
+  });
+});
+
+describe('setupSyncSection', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="sync-enabled" type="checkbox">
+      <button id="sync-now">Sync now</button>
+      <p id="sync-status"></p>`;
+    chrome.storage.local.get.mockResolvedValue({ settings: { syncEnabled: true }, syncState: {} });
+    chrome.runtime.sendMessage.mockReset();
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+  });
+
+  test('re-enables the button and shows the error when a sync fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockRejectedValue(new Error('Could not establish connection.'));
+    await setupSyncSection();
+    const button = document.getElementById('sync-now');
+
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(button.disabled).toBe(false);
+    expect(document.getElementById('sync-status').textContent).toBe('Sync failed: Could not establish connection.');
+    consoleError.mockRestore();
+  });
+
+  test('reports a sync the background service worker could not finish', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (message) => (
+      message.type === 'SYNC_NOW' ? { success: false, error: 'QUOTA_BYTES quota exceeded' } : { success: true, accounts: {} }
+    ));
+    await setupSyncSection();
+
+    document.getElementById('sync-now').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('sync-now').disabled).toBe(false);
+    expect(document.getElementById('sync-status').textContent).toBe('Sync failed: QUOTA_BYTES quota exceeded');
+  });
+});
+
+describe('setupSettingControls', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="annotate-account-ids" type="checkbox">
+      <select id="tab-title-mode">
+        <option value="session"></option>
+        <option value="prefix"></option>
+        <option value="off"></option>
+      </select>
+      <div id="display-status"></div>`;
+    chrome.runtime.sendMessage.mockReset();
+  });
+
+  test('shows the current settings and saves changes', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (message) => (
+      message.type === 'GET_SETTINGS'
+        ? { success: true, settings: { annotateAccountIds: true, tabTitleMode: 'session' } }
+        : { success: true }
+    ));
+    await setupSettingControls();
+    const select = document.getElementById('tab-title-mode');
+
+    expect(document.getElementById('annotate-account-ids').checked).toBe(true);
+    expect(select.value).toBe('session');
+
+    select.value = 'prefix';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'UPDATE_SETTINGS', settings: { tabTitleMode: 'prefix' } });
+  });
+
+  test('puts the saved value back when saving fails', async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (message) => (
+      message.type === 'GET_SETTINGS'
+        ? { success: true, settings: { tabTitleMode: 'session' } }
+        : { success: false, error: 'Invalid value for setting: tabTitleMode' }
+    ));
+    await setupSettingControls();
+    const select = document.getElementById('tab-title-mode');
+
+    select.value = 'off';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(select.value).toBe('session');
+    expect(document.getElementById('display-status').textContent).toMatch(/Could not save setting/);
+  });
+
+  test('puts the saved value back when the background service worker cannot be reached', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockImplementation(async (message) => {
+      if (message.type === 'GET_SETTINGS') {
+        return { success: true, settings: { annotateAccountIds: true } };
+      }
+      throw new Error('Extension context invalidated.');
+    });
+    await setupSettingControls();
+    const checkbox = document.getElementById('annotate-account-ids');
+
+    checkbox.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(checkbox.checked).toBe(true);
+    expect(checkbox.disabled).toBe(false);
+    expect(document.getElementById('display-status').textContent)
+      .toBe('Could not save setting: Extension context invalidated.');
+    consoleError.mockRestore();
+  });
+
+  test('reports settings that could not be loaded', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockRejectedValue(new Error('Extension context invalidated.'));
+
+    await setupSettingControls();
+
+    expect(document.getElementById('display-status').textContent)
+      .toBe('Could not load settings: Extension context invalidated.');
+    consoleError.mockRestore();
+  });
+});
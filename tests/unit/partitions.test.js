@@ -0,0 +1,91 @@
+const {
+  PARTITIONS,
+  DEFAULT_PARTITION,
+  isValidPartition,
+  getConsolePartition,
+  getPortalPartition,
+  getPortalSource,
+  getArnPartition,
+  getRegionPartition,
+  getAccountPartition
+} = require('../../src/partitions');
+
+describe('isValidPartition', () => {
+  test('accepts the known partitions only', () => {
+    expect(Object.keys(PARTITIONS).every(isValidPartition)).toBe(true);
+    expect(isValidPartition('aws-iso')).toBe(false);
+    expect(isValidPartition('constructor')).toBe(false);
+    expect(isValidPartition(undefined)).toBe(false);
+  });
+});
+
+describe('getConsolePartition', () => {
+  test('recognizes console hosts of each partition', () => {
+    expect(getConsolePartition('us-east-1.console.aws.amazon.com')).toBe('aws');
+    expect(getConsolePartition('us-gov-west-1.console.amazonaws-us-gov.com')).toBe('aws-us-gov');
+    expect(getConsolePartition('console.amazonaws.cn')).toBe('aws-cn');
+  });
+
+  test('ignores other and look-alike hosts', () => {
+    expect(getConsolePartition('signin.aws.amazon.com')).toBeNull();
+    expect(getConsolePartition('console.amazonaws.cn.example.com')).toBeNull();
+    expect(getConsolePartition(null)).toBeNull();
+  });
+});
+
+describe('getPortalPartition', () => {
+  test('tells GovCloud portals apart from commercial ones', () => {
+    expect(getPortalPartition('my-org.awsapps.com')).toBe('aws');
+    expect(getPortalPartition('start.us-gov-home.awsapps.com')).toBe('aws-us-gov');
+    expect(getPortalPartition('d-1234567890.awsapps.cn')).toBe('aws-cn');
+  });
+
+  test('ignores hosts that are not portals', () => {
+    expect(getPortalPartition('awsapps.com.example.com')).toBeNull();
+  });
+});
+
+describe('getPortalSource', () => {
+  test('uses the origin for portals with their own host', () => {
+    const location = new URL('https://my-org.awsapps.com/start/#/');
+    expect(getPortalSource(location)).toBe('https://my-org.awsapps.com');
+  });
+
+  test('keeps the directory path for GovCloud portals', () => {
+    const location = new URL('https://start.us-gov-home.awsapps.com/directory/d-1234567890#/');
+    expect(getPortalSource(location)).toBe('https://start.us-gov-home.awsapps.com/directory/d-1234567890');
+  });
+});
+
+describe('getArnPartition', () => {
+  test('reads the partition of an ARN', () => {
+    expect(getArnPartition('arn:aws:organizations::111111111111:account/o-x/123456789012')).toBe('aws');
+    expect(getArnPartition('arn:aws-us-gov:iam::123456789012:role/Admin')).toBe('aws-us-gov');
+    expect(getArnPartition('arn:aws-cn:iam::123456789012:role/Admin')).toBe('aws-cn');
+  });
+
+  test('returns null for unknown partitions and non-ARNs', () => {
+    expect(getArnPartition('arn:aws-iso:iam::123456789012:role/Admin')).toBeNull();
+    expect(getArnPartition('123456789012')).toBeNull();
+  });
+});
+
+describe('getRegionPartition', () => {
+  test('maps regions to their partition', () => {
+    expect(getRegionPartition('eu-west-1')).toBe('aws');
+    expect(getRegionPartition('us-gov-east-1')).toBe('aws-us-gov');
+    expect(getRegionPartition('cn-northwest-1')).toBe('aws-cn');
+  });
+
+  test('returns null for values that are not region names', () => {
+    expect(getRegionPartition('default')).toBeNull();
+    expect(getRegionPartition(undefined)).toBeNull();
+  });
+});
+
+describe('getAccountPartition', () => {
+  test('defaults to commercial AWS for accounts without a partition', () => {
+    expect(getAccountPartition({ accountId: '123456789012' })).toBe(DEFAULT_PARTITION);
+    expect(getAccountPartition({ accountId: '123456789012', partition: 'aws-cn' })).toBe('aws-cn');
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  formatAccountId,
+  formatSources,
+  toAccountRows,
+  filterAccounts,
+  sortAccounts,
+  copyAccountId
+} = require('../../src/popup');
+
+const storedAccounts = {
+  '123456789012': {
+    accountId: '123456789012',
+    accountName: 'Production',
+    lastUpdated: 3000,
+    sources: ['https://prod-org.awsapps.com'],
+    roles: ['AdministratorAccess', 'ReadOnlyAccess']
+  },
+  '234567890123': {
+    accountId: '234567890123',
+    accountName: 'development',
+    lastUpdated: 1000,
+    sources: ['https://sandbox-org.awsapps.com', 'https://partner-org.awsapps.com']
+  },
+  '345678901234': {
+    accountId: '345678901234',
+    accountName: 'Audit',
+    lastUpdated: 2000
+  }
+};
+
+describe('formatAccountId', () => {
+  test('returns bare ID by default', () => {
+    expect(formatAccountId('123456789012')).toBe('123456789012');
+  });
+
+  test('inserts dashes when requested', () => {
+    expect(formatAccountId('123456789012', true)).toBe('1234-5678-9012');
+  });
+
+  test('leaves malformed IDs untouched', () => {
+    expect(formatAccountId('12345', true)).toBe('12345');
+  });
+});
+
+describe('formatSources', () => {
+  test('shows portal hostnames', () => {
+    expect(formatSources(['https://prod-org.awsapps.com', 'https://partner-org.awsapps.com']))
+      .toBe('prod-org.awsapps.com, partner-org.awsapps.com');
+  });
+
+  test('keeps non-URL sources as-is', () => {
+    expect(formatSources(['unknown'])).toBe('unknown');
+    expect(formatSources(['organizations:o-exampleorgid'])).toBe('organizations:o-exampleorgid');
+  });
+
+  test('returns empty string when there are no sources', () => {
+    expect(formatSources(undefined)).toBe('');
+    expect(formatSources([])).toBe('');
+  });
+});
+
+describe('filterAccounts', () => {
+  const rows = toAccountRows(storedAccounts);
+
+  test('returns all rows for an empty query', () => {
+    expect(filterAccounts(rows, '  ')).toHaveLength(3);
+  });
+
+  test('matches names case-insensitively', () => {
+    expect(filterAccounts(rows, 'PROD').map(r => r.accountId)).toEqual(['123456789012']);
+  });
+
+  test('matches bare and dashed IDs', () => {
+    expect(filterAccounts(rows, '2345678901').map(r => r.accountId)).toContain('123456789012');
+    expect(filterAccounts(rows, '3456-7890').map(r => r.accountId)).toEqual(['345678901234']);
+  });
+
+  test('matches role names', () => {
+    expect(filterAccounts(rows, 'readonly').map(r => r.accountId)).toEqual(['123456789012']);
+  });
+
+  test('matches source portal', () => {
+    expect(filterAccounts(rows, 'partner-org').map(r => r.accountId)).toEqual(['234567890123']);
+  });
+});
+
+describe('sortAccounts', () => {
+  const rows = toAccountRows(storedAccounts);
+
+  test('sorts names case-insensitively', () => {
+    expect(sortAccounts(rows, 'accountName').map(r => r.accountName))
+      .toEqual(['Audit', 'development', 'Production']);
+  });
+
+  test('sorts timestamps numerically in descending order', () => {
+    expect(sortAccounts(rows, 'lastUpdated', 'descending').map(r => r.lastUpdated))
+      .toEqual([3000, 2000, 1000]);
+  });
+
+  test('does not mutate the input', () => {
+    const before = rows.map(r => r.accountId);
+    sortAccounts(rows, 'accountId', 'descending');
+    expect(rows.map(r => r.accountId)).toEqual(before);
+  });
+});
+
+describe('copyAccountId', () => {
+  beforeEach(() => {
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: jest.fn(() => Promise.resolve()) },
+      configurable: true
+    });
+  });
+
+  test('copies the bare form', async () => {
+    await expect(copyAccountId('123456789012', false)).resolves.toBe(true);
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('123456789012');
+  });
+
+  test('copies the dashed form', async () => {
+    await copyAccountId('123456789012', true);
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('1234-5678-9012');
+  });
+
+  test('reports failure when the clipboard rejects', async () => {
+    navigator.clipboard.writeText.mockImplementation(() => Promise.reject(new Error('denied')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(copyAccountId('123456789012', false)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  parseRoleLink,
+  extractRolesFromPortal,
+  extractAccountsFromPortal,
+  findCredentialsControl,
+  focusPortalAccount,
+  sendAccountsToBackground
+} = require('../../src/portal-content');
+
+describe('parseRoleLink', () => {
+  test('reads the account and role from a portal sign-in link', () => {
+    expect(parseRoleLink('https://my-org.awsapps.com/start/#/console?account_id=123456789012&role_name=AdministratorAccess'))
+      .toEqual({ accountId: '123456789012', roleName: 'AdministratorAccess' });
+  });
+
+  test('ignores links without an account or role', () => {
+    expect(parseRoleLink('#/console?role_name=AdministratorAccess')).toBeNull();
+    expect(parseRoleLink('#/console?account_id=123&role_name=Admin')).toBeNull();
+    expect(parseRoleLink(null)).toBeNull();
+  });
+});
+
+describe('extractRolesFromPortal', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('groups the listed roles by account', () => {
+    document.body.innerHTML = `
+      <a href="#/console?account_id=123456789012&role_name=AdministratorAccess">AdministratorAccess</a>
+      <a href="#/console?account_id=123456789012&role_name=ReadOnlyAccess">ReadOnlyAccess</a>
+      <a href="#/console?account_id=123456789012&role_name=ReadOnlyAccess">ReadOnlyAccess</a>
+      <a href="#/console?account_id=234567890123&role_name=Billing">Billing</a>`;
+
+    expect(extractRolesFromPortal()).toEqual({
+      '123456789012': ['AdministratorAccess', 'ReadOnlyAccess'],
+      '234567890123': ['Billing']
+    });
+  });
+
+  test('attaches roles to the accounts whose role list is open', () => {
+    document.body.innerHTML = `
+      <button>Production 123456789012 | prod@example.com</button>
+      <a href="#/console?account_id=123456789012&role_name=AdministratorAccess">AdministratorAccess</a>
+      <button>Development 234567890123 | dev@example.com</button>`;
+
+    expect(extractAccountsFromPortal()).toEqual([
+      { accountName: 'Production', accountId: '123456789012', roles: ['AdministratorAccess'] },
+      { accountName: 'Development', accountId: '234567890123' }
+    ]);
+  });
+});
+
+describe('focusPortalAccount', () => {
+  const portalPage = `
+    <button id="prod" aria-expanded="false">Production 123456789012 | prod@example.com</button>
+    <ul>
+      <li>
+        <a href="#/console?account_id=123456789012&role_name=AdministratorAccess">AdministratorAccess</a>
+        <button id="admin-keys">Access keys</button>
+      </li>
+      <li>
+        <a href="#/console?account_id=123456789012&role_name=ReadOnlyAccess">ReadOnlyAccess</a>
+        <button id="readonly-keys">Access keys</button>
+      </li>
+    </ul>
+    <button id="dev">Development 234567890123 | dev@example.com</button>`;
+
+  beforeEach(() => {
+    document.body.innerHTML = portalPage;
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete Element.prototype.scrollIntoView;
+  });
+
+  test('finds the access keys in the row of the requested role', () => {
+    expect(findCredentialsControl('123456789012', 'ReadOnlyAccess').id).toBe('readonly-keys');
+    expect(findCredentialsControl('123456789012', null).id).toBe('admin-keys');
+    expect(findCredentialsControl('234567890123', null)).toBeNull();
+  });
+
+  test('scrolls to and expands the account', async () => {
+    const clicks = [];
+    document.getElementById('prod').addEventListener('click', () => clicks.push('prod'));
+
+    await expect(focusPortalAccount({ accountId: '123456789012', credentials: false, roleName: null })).resolves.toBe(true);
+    expect(Element.prototype.scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+    expect(clicks).toEqual(['prod']);
+  });
+
+  test('opens the access keys when asked', async () => {
+    const clicks = [];
+    document.getElementById('readonly-keys').addEventListener('click', () => clicks.push('keys'));
+
+    await focusPortalAccount({ accountId: '123456789012', credentials: true, roleName: 'ReadOnlyAccess' });
+    expect(clicks).toEqual(['keys']);
+  });
+
+  test('reports accounts that are not listed', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(focusPortalAccount({ accountId: '345678901234', credentials: false, roleName: null })).resolves.toBe(false);
+  });
+});
+
+describe('sendAccountsToBackground', () => {
+  const accounts = [{ accountId: '123456789012', accountName: 'payments-prod' }];
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('replaces the portal list when the full list is shown', async () => {
+    document.body.innerHTML = '<input type="search" placeholder="Search accounts">';
+
+    await sendAccountsToBackground(accounts);
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].mode).toBe('replace');
+  });
+
+  test('merges a capture of a filtered list, so hidden accounts are kept', async () => {
+    document.body.innerHTML = '<input type="search" placeholder="Search accounts">';
+    document.querySelector('input').value = 'payments';
+
+    await sendAccountsToBackground(accounts);
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].mode).toBe('merge');
+  });
+
+  test('merges a capture taken while the list is still loading', async () => {
+    document.body.innerHTML = '<portal-application><div role="progressbar"></div></portal-application>';
+
+    await sendAccountsToBackground(accounts);
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].mode).toBe('merge');
+  });
+
+  test('ignores loading elements outside the list and hidden indicators', async () => {
+    document.body.innerHTML = `
+      <div class="app-loading-placeholder"></div>
+      <nav><span class="spinner"></span><div role="progressbar"></div></nav>
+      <portal-application><div role="progressbar" hidden></div><portal-instance></portal-instance></portal-application>`;
+
+    await sendAccountsToBackground(accounts);
+
+    expect(chrome.runtime.sendMessage.mock.calls[0][0].mode).toBe('replace');
+  });
+});
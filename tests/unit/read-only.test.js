@@ -0,0 +1,166 @@
+const {
+  READ_ONLY_CONFIG,
+  isChangeAction,
+  isReadOnlyOverridden,
+  setReadOnlyOverride,
+  startReadOnlyMode,
+  stopReadOnlyMode,
+  readOnlyState
+} = require('../../src/read-only');
+const { GUARDRAIL_CONFIG, startGuardrail, stopGuardrail } = require('../../src/guardrail');
+
+describe('isChangeAction', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('recognizes buttons that create, delete, save or update', () => {
+    document.body.innerHTML = `
+      <button id="create">Create bucket</button>
+      <button id="save">Save changes</button>
+      <input id="update" type="submit" value="Update stack">
+      <button id="cancel">Cancel</button>
+      <button id="view">View details</button>`;
+
+    expect(isChangeAction(document.getElementById('create'))).toBe(true);
+    expect(isChangeAction(document.getElementById('save'))).toBe(true);
+    expect(isChangeAction(document.getElementById('update'))).toBe(true);
+    expect(isChangeAction(document.getElementById('cancel'))).toBe(false);
+    expect(isChangeAction(document.getElementById('view'))).toBe(false);
+  });
+});
+
+describe('startReadOnlyMode', () => {
+  let created;
+
+  beforeEach(() => {
+    sessionStorage.clear();
+    created = jest.fn();
+    document.body.innerHTML = '<button id="create">Create bucket</button><button id="refresh">Refresh</button>';
+    document.getElementById('create').addEventListener('click', created);
+    startReadOnlyMode({ accountId: '123456789012', label: 'audit' });
+  });
+
+  afterEach(() => {
+    stopReadOnlyMode();
+    document.body.innerHTML = '';
+  });
+
+  test('marks the page and shows the banner', () => {
+    const banner = document.getElementById(READ_ONLY_CONFIG.bannerId);
+
+    expect(document.documentElement.getAttribute(READ_ONLY_CONFIG.rootAttribute)).toBe('on');
+    expect(banner.getAttribute('role')).toBe('alert');
+    expect(banner.textContent).toContain('audit is read-only');
+  });
+
+  test('holds back change actions and says so in the banner', () => {
+    document.getElementById('create').click();
+
+    expect(created).not.toHaveBeenCalled();
+    expect(document.getElementById(READ_ONLY_CONFIG.bannerId).textContent).toContain('"Create bucket" was blocked');
+  });
+
+  test('lets other buttons through', () => {
+    const refreshed = jest.fn();
+    document.getElementById('refresh').addEventListener('click', refreshed);
+
+    document.getElementById('refresh').click();
+
+    expect(refreshed).toHaveBeenCalled();
+  });
+
+  test('allows changes in this tab from the banner, and blocks them again', () => {
+    document.querySelector('.aws-account-read-only-toggle').click();
+
+    expect(isReadOnlyOverridden('123456789012')).toBe(true);
+    expect(document.documentElement.getAttribute(READ_ONLY_CONFIG.rootAttribute)).toBe('overridden');
+    document.getElementById('create').click();
+    expect(created).toHaveBeenCalledTimes(1);
+
+    document.querySelector('.aws-account-read-only-toggle').click();
+
+    expect(isReadOnlyOverridden('123456789012')).toBe(false);
+    document.getElementById('create').click();
+    expect(created).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the override per account', () => {
+    setReadOnlyOverride('123456789012', true);
+    startReadOnlyMode({ accountId: '210987654321', label: 'log-archive' });
+
+    document.getElementById('create').click();
+
+    expect(created).not.toHaveBeenCalled();
+    expect(document.getElementById(READ_ONLY_CONFIG.bannerId).textContent).toContain('log-archive');
+  });
+});
+
+describe('read-only mode with the guardrail', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    stopReadOnlyMode();
+    stopGuardrail();
+    document.body.innerHTML = '';
+  });
+
+  test('blocks a change before the guardrail asks for the alias', () => {
+    const deleted = jest.fn();
+    document.body.innerHTML = '<div role="dialog"><button id="delete">Delete stack</button></div>';
+    document.getElementById('delete').addEventListener('click', deleted);
+    startGuardrail({ label: 'payments-prod' });
+    startReadOnlyMode({ accountId: '123456789012', label: 'payments-prod' });
+
+    document.getElementById('delete').click();
+
+    expect(deleted).not.toHaveBeenCalled();
+    expect(document.getElementById(GUARDRAIL_CONFIG.overlayId)).toBeNull();
+    expect(document.getElementById(READ_ONLY_CONFIG.bannerId).textContent).toContain('"Delete stack" was blocked');
+  });
+
+  test('holds back a form submitted without a click', () => {
+    const submitted = jest.fn((event) => event.preventDefault());
+    document.body.innerHTML = '<form><input name="name"><button>Create bucket</button></form>';
+    const form = document.querySelector('form');
+    form.addEventListener('submit', submitted);
+    startReadOnlyMode({ accountId: '123456789012', label: 'audit' });
+
+    form.requestSubmit();
+
+    expect(submitted).not.toHaveBeenCalled();
+    expect(document.getElementById(READ_ONLY_CONFIG.bannerId).textContent).toContain('"Create bucket" was blocked');
+  });
+
+  test('lets a form through whose default button does not change anything', () => {
+    const submitted = jest.fn((event) => event.preventDefault());
+    document.body.innerHTML = `
+      <form><input name="q"><button>Search</button><button type="submit">Create bucket</button></form>`;
+    const form = document.querySelector('form');
+    form.addEventListener('submit', submitted);
+    startReadOnlyMode({ accountId: '123456789012', label: 'audit' });
+
+    form.requestSubmit();
+
+    expect(submitted).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('stopReadOnlyMode', () => {
+  test('removes the mark, the banner and the click handler', () => {
+    const created = jest.fn();
+    document.body.innerHTML = '<button id="create">Create bucket</button>';
+    document.getElementById('create').addEventListener('click', created);
+    startReadOnlyMode({ accountId: '123456789012', label: 'audit' });
+
+    stopReadOnlyMode();
+    document.getElementById('create').click();
+
+    expect(created).toHaveBeenCalled();
+    expect(document.getElementById(READ_ONLY_CONFIG.bannerId)).toBeNull();
+    expect(document.documentElement.hasAttribute(READ_ONLY_CONFIG.rootAttribute)).toBe(false);
+    expect(readOnlyState.listening).toBe(false);
+  });
+});
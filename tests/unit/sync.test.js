@@ -0,0 +1,382 @@
+const {
+  SYNC_KEYS,
+  REMOVAL_RETENTION_MS,
+  encodeSyncPayload,
+  decodeSyncPayload,
+  getStaleShardKeys,
+  findLocalRemovals,
+  resolveSyncConflicts,
+  stableStringify
+} = require('../../src/sync');
+const { handleMessage } = require('../../src/messages');
+
+// Sender of messages from the options page
+const extensionPage = { id: chrome.runtime.id, url: chrome.runtime.getURL('src/options.html') };
+
+/**
+ * Builds an account map of generated accounts
+ * @param {number} count - Number of accounts
+ * @returns {Object} Account map keyed by account ID
+ */
+function generateAccounts(count) {
+  const accounts = {};
+  for (let i = 0; i < count; i++) {
+    const accountId = String(100000000000 + i);
+    accounts[accountId] = {
+      accountName: `workload-${i}-payments-production-eu-west-1`,
+      lastUpdated: 1700000000000 + i,
+      sources: ['https://prod-org.awsapps.com']
+    };
+  }
+  return accounts;
+}
+
+describe('encodeSyncPayload / decodeSyncPayload', () => {
+  test('round-trips a payload that fits in one item', () => {
+    const payload = { accounts: generateAccounts(2), removed: { '999999999999': 5 } };
+    const encoded = encodeSyncPayload(payload);
+
+    expect(encoded.success).toBe(true);
+    expect(encoded.items[SYNC_KEYS.meta].shards).toBe(1);
+    expect(decodeSyncPayload(encoded.items)).toEqual(payload);
+  });
+
+  test('shards a large payload so every item fits the per-item quota', () => {
+    const payload = { accounts: generateAccounts(300), removed: {} };
+    const encoded = encodeSyncPayload(payload);
+
+    expect(encoded.success).toBe(true);
+    expect(encoded.items[SYNC_KEYS.meta].shards).toBeGreaterThan(1);
+    for (const [key, value] of Object.entries(encoded.items)) {
+      expect(Buffer.byteLength(key + JSON.stringify(value))).toBeLessThanOrEqual(8192);
+    }
+    expect(decodeSyncPayload(encoded.items)).toEqual(payload);
+  });
+
+  test('counts multi-byte and escaped characters against the quota', () => {
+    const accounts = { '123456789012': { accountName: '本番"環境"\\'.repeat(200), lastUpdated: 1, sources: [] } };
+    const encoded = encodeSyncPayload({ accounts, removed: {} }, { quotaBytes: 102400, quotaBytesPerItem: 1024, maxItems: 512 });
+
+    expect(encoded.success).toBe(true);
+    for (const [key, value] of Object.entries(encoded.items)) {
+      expect(Buffer.byteLength(key + JSON.stringify(value))).toBeLessThanOrEqual(1024);
+    }
+    expect(decodeSyncPayload(encoded.items).accounts).toEqual(accounts);
+  });
+
+  test('fails when the payload exceeds the total quota', () => {
+    const encoded = encodeSyncPayload({ accounts: generateAccounts(2000), removed: {} });
+
+    expect(encoded.success).toBe(false);
+    expect(encoded.error).toMatch(/exceeds the sync quota/);
+  });
+
+  test('returns null when nothing is synced or a shard is missing', () => {
+    const encoded = encodeSyncPayload({ accounts: generateAccounts(300), removed: {} });
+    const { [`${SYNC_KEYS.shardPrefix}1`]: missing, ...partial } = encoded.items;
+
+    expect(decodeSyncPayload({})).toBeNull();
+    expect(decodeSyncPayload(partial)).toBeNull();
+  });
+});
+
+describe('getStaleShardKeys', () => {
+  test('lists shards beyond the ones in use', () => {
+    const items = {
+      [SYNC_KEYS.meta]: { shards: 3 },
+      [`${SYNC_KEYS.shardPrefix}0`]: '',
+      [`${SYNC_KEYS.shardPrefix}1`]: '',
+      [`${SYNC_KEYS.shardPrefix}2`]: ''
+    };
+
+    expect(getStaleShardKeys(items, 1)).toEqual([`${SYNC_KEYS.shardPrefix}1`, `${SYNC_KEYS.shardPrefix}2`]);
+  });
+});
+
+describe('findLocalRemovals', () => {
+  test('records accounts synced before but gone locally', () => {
+    const removed = findLocalRemovals(['123456789012', '234567890123'], { '123456789012': {} }, {}, 500);
+
+    expect(removed).toEqual({ '234567890123': 500 });
+  });
+});
+
+describe('resolveSyncConflicts', () => {
+  const older = { accountId: '123456789012', accountName: 'old', lastUpdated: 100, sources: [] };
+  const newer = { accountId: '123456789012', accountName: 'new', lastUpdated: 200, sources: [] };
+
+  test('the most recently updated copy wins on either side', () => {
+    expect(resolveSyncConflicts(
+      { accounts: { '123456789012': older }, removed: {} },
+      { accounts: { '123456789012': newer }, removed: {} }
+    ).accounts['123456789012']).toBe(newer);
+
+    expect(resolveSyncConflicts(
+      { accounts: { '123456789012': newer }, removed: {} },
+      { accounts: { '123456789012': older }, removed: {} }
+    ).accounts['123456789012']).toBe(newer);
+  });
+
+  test('accounts only one side has are kept', () => {
+    const other = { accountId: '234567890123', accountName: 'other', lastUpdated: 1, sources: [] };
+    const resolved = resolveSyncConflicts(
+      { accounts: { '123456789012': older }, removed: {} },
+      { accounts: { '234567890123': other }, removed: {} }
+    );
+
+    expect(Object.keys(resolved.accounts).sort()).toEqual(['123456789012', '234567890123']);
+  });
+
+  test('a removal wins over older copies but not newer ones', () => {
+    const now = 1000;
+    const removedLater = resolveSyncConflicts(
+      { accounts: { '123456789012': older }, removed: {} },
+      { accounts: {}, removed: { '123456789012': 150 } },
+      now
+    );
+    expect(removedLater.accounts).toEqual({});
+    expect(removedLater.removed).toEqual({ '123456789012': 150 });
+
+    const updatedLater = resolveSyncConflicts(
+      { accounts: { '123456789012': newer }, removed: {} },
+      { accounts: {}, removed: { '123456789012': 150 } },
+      now
+    );
+    expect(updatedLater.accounts['123456789012']).toBe(newer);
+    expect(updatedLater.removed).toEqual({});
+  });
+
+  test('user edits are resolved on their own, so a later capture does not undo them', () => {
+    const edited = { ...older, alias: 'payments-prod', tags: { environment: 'prod' }, readOnly: true, overridesUpdated: 100 };
+    const resolved = resolveSyncConflicts(
+      { accounts: { '123456789012': edited }, removed: {} },
+      { accounts: { '123456789012': newer }, removed: {} }
+    ).accounts['123456789012'];
+
+    expect(resolved.accountName).toBe('new');
+    expect(resolved.alias).toBe('payments-prod');
+    expect(resolved.tags).toEqual({ environment: 'prod' });
+    expect(resolved.readOnly).toBe(true);
+    expect(resolved.overridesUpdated).toBe(100);
+  });
+
+  test('a more recent edit that clears an alias wins over the older alias', () => {
+    const aliased = { ...newer, alias: 'payments-prod', overridesUpdated: 100 };
+    const cleared = { ...older, overridesUpdated: 150 };
+    const resolved = resolveSyncConflicts(
+      { accounts: { '123456789012': aliased }, removed: {} },
+      { accounts: { '123456789012': cleared }, removed: {} }
+    ).accounts['123456789012'];
+
+    expect(resolved.accountName).toBe('new');
+    expect(resolved.alias).toBeUndefined();
+  });
+
+  test('old removals are forgotten', () => {
+    const resolved = resolveSyncConflicts(
+      { accounts: {}, removed: {} },
+      { accounts: {}, removed: { '123456789012': 100 } },
+      100 + REMOVAL_RETENTION_MS
+    );
+
+    expect(resolved.removed).toEqual({});
+  });
+});
+
+describe('stableStringify', () => {
+  test('ignores key order', () => {
+    expect(stableStringify({ a: 1, b: [{ c: 2, d: 3 }] })).toBe(stableStringify({ b: [{ d: 3, c: 2 }], a: 1 }));
+  });
+});
+
+describe('Account sync', () => {
+  const portal = 'https://prod-org.awsapps.com';
+  let storedData;
+  let syncedData;
+
+  beforeEach(() => {
+    storedData = {};
+    syncedData = {};
+
+    chrome.storage.local.set.mockImplementation((data) => {
+      Object.assign(storedData, data);
+      return Promise.resolve();
+    });
+    chrome.storage.local.get.mockImplementation((keys) => {
+      const result = {};
+      keys.forEach(key => {
+        if (storedData[key] !== undefined) {
+          result[key] = storedData[key];
+        }
+      });
+      return Promise.resolve(result);
+    });
+    chrome.storage.sync.get.mockImplementation(() => Promise.resolve({ ...syncedData }));
+    chrome.storage.sync.set.mockImplementation((data) => {
+      Object.assign(syncedData, data);
+      return Promise.resolve();
+    });
+    chrome.storage.sync.remove.mockImplementation((keys) => {
+      keys.forEach(key => delete syncedData[key]);
+      return Promise.resolve();
+    });
+    chrome.storage.sync.set.mockClear();
+  });
+
+  test('nothing is synced while sync is off', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    const response = await handleMessage({ type: 'SYNC_NOW' }, extensionPage);
+
+    expect(response.success).toBe(false);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('turning sync on mirrors local accounts without their IDs inside entries', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    const response = await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(response.success).toBe(true);
+    const synced = decodeSyncPayload(syncedData);
+    expect(synced.accounts['123456789012'].accountName).toBe('Production');
+    expect(synced.accounts['123456789012'].accountId).toBeUndefined();
+    expect(storedData.syncState.syncedIds).toEqual(['123456789012']);
+    expect(storedData.syncState.lastError).toBeNull();
+  });
+
+  test('accounts and newer edits from another device are taken in', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    const localUpdate = storedData.accounts['123456789012'].lastUpdated;
+    Object.assign(syncedData, encodeSyncPayload({
+      accounts: {
+        '123456789012': { accountName: 'Production', alias: 'payments-prod', lastUpdated: localUpdate + 1, sources: [portal] },
+        '234567890123': { accountName: 'Development', lastUpdated: 1, sources: [portal] }
+      },
+      removed: {}
+    }).items);
+
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(storedData.accounts['123456789012'].alias).toBe('payments-prod');
+    expect(storedData.accounts['234567890123'].accountName).toBe('Development');
+  });
+
+  test('an alias set here survives a later capture synced from another device', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    await handleMessage({ type: 'SET_ACCOUNT_ALIAS', accountId: '123456789012', alias: 'payments-prod' }, extensionPage);
+    await handleMessage({ type: 'SET_ACCOUNT_READ_ONLY', accountId: '123456789012', readOnly: true }, extensionPage);
+    const editedAt = storedData.accounts['123456789012'].overridesUpdated;
+
+    // The other device captured the portal after the edit, before it had synced
+    Object.assign(syncedData, encodeSyncPayload({
+      accounts: {
+        '123456789012': { accountName: 'Production-EU', lastUpdated: editedAt + 1000, sources: [portal] }
+      },
+      removed: {}
+    }).items);
+
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(storedData.accounts['123456789012'].accountName).toBe('Production-EU');
+    expect(storedData.accounts['123456789012'].alias).toBe('payments-prod');
+    expect(storedData.accounts['123456789012'].readOnly).toBe(true);
+    const synced = decodeSyncPayload(syncedData).accounts['123456789012'];
+    expect(synced.alias).toBe('payments-prod');
+    expect(synced.readOnly).toBe(true);
+  });
+
+  test('a local entry equal to the synced one is not written back in another form', async () => {
+    storedData.accounts = {
+      '123456789012': { accountId: '123456789012', accountName: 'Production', lastUpdated: 5, roles: ['Admin', 'Admin'], alias: '' }
+    };
+    Object.assign(syncedData, encodeSyncPayload({
+      accounts: { '123456789012': { accountName: 'Production', lastUpdated: 5, sources: [], roles: ['Admin'] } },
+      removed: {}
+    }).items);
+
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('a capture stored while a sync is reading the synced copy is not overwritten', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    storedData.settings = { syncEnabled: true };
+    Object.assign(syncedData, encodeSyncPayload({
+      accounts: { '345678901234': { accountName: 'Staging', lastUpdated: 1, sources: [portal] } },
+      removed: {}
+    }).items);
+    let releaseSyncRead;
+    chrome.storage.sync.get.mockImplementationOnce(() => new Promise((resolve) => {
+      releaseSyncRead = () => resolve({ ...syncedData });
+    }));
+
+    const sync = handleMessage({ type: 'SYNC_NOW' }, extensionPage);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const store = handleMessage({
+      type: 'STORE_ACCOUNTS',
+      source: portal,
+      mode: 'merge',
+      accounts: [{ accountId: '234567890123', accountName: 'Development' }]
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    releaseSyncRead();
+    await Promise.all([sync, store]);
+
+    expect(Object.keys(storedData.accounts).sort()).toEqual(['123456789012', '234567890123', '345678901234']);
+  });
+
+  test('invalid synced entries are ignored', async () => {
+    Object.assign(syncedData, encodeSyncPayload({
+      accounts: { '123456789012': { accountName: '', lastUpdated: 1 } },
+      removed: {}
+    }).items);
+
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(storedData.accounts).toBeUndefined();
+    expect(decodeSyncPayload(syncedData).accounts).toEqual({});
+  });
+
+  test('an account removed locally is removed from the synced copy', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [] });
+    await handleMessage({ type: 'SYNC_NOW' }, extensionPage);
+
+    const synced = decodeSyncPayload(syncedData);
+    expect(synced.accounts['123456789012']).toBeUndefined();
+    expect(synced.removed['123456789012']).toBeDefined();
+  });
+
+  test('unchanged data is not written again', async () => {
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts: [{ accountId: '123456789012', accountName: 'Production' }] });
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+    chrome.storage.sync.set.mockClear();
+
+    await handleMessage({ type: 'SYNC_NOW' }, extensionPage);
+
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('a quota failure is recorded and local data is kept', async () => {
+    const accounts = Object.entries(generateAccounts(2000)).map(([accountId, a]) => ({ accountId, accountName: a.accountName }));
+    await handleMessage({ type: 'STORE_ACCOUNTS', source: portal, accounts });
+
+    await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: true } }, extensionPage);
+
+    expect(Object.keys(storedData.accounts)).toHaveLength(2000);
+    expect(storedData.syncState.lastError).toMatch(/exceeds the sync quota/);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown settings and wrong value types', async () => {
+    expect((await handleMessage({ type: 'UPDATE_SETTINGS', settings: { nope: true } }, extensionPage)).error).toBe('Unknown setting: nope');
+    expect((await handleMessage({ type: 'UPDATE_SETTINGS', settings: { syncEnabled: 'yes' } }, extensionPage)).error)
+      .toBe('Invalid value for setting: syncEnabled');
+    expect((await handleMessage({ type: 'UPDATE_SETTINGS', settings: { tabTitleMode: 'sideways' } }, extensionPage)).error)
+      .toBe('Invalid value for setting: tabTitleMode');
+    expect((await handleMessage({ type: 'UPDATE_SETTINGS', settings: { accountDisplayMode: 'banner' } }, extensionPage)).error)
+      .toBe('Invalid value for setting: accountDisplayMode');
+  });
+});
@@ -0,0 +1,208 @@
+const {
+  TAB_IDENTITY_CONFIG,
+  formatTabMark,
+  formatTabTitle,
+  getLabelInitials,
+  getPageFaviconUrl,
+  drawFaviconBadge,
+  setFaviconBadge,
+  clearFaviconBadge,
+  setTabIdentity,
+  clearTabIdentity
+} = require('../../src/tab-identity');
+
+/**
+ * Lets pending MutationObserver callbacks run
+ * @returns {Promise<void>}
+ */
+function flushObservers() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('formatTabMark / formatTabTitle / getLabelInitials', () => {
+  test('brackets the label with the environment tag in capitals', () => {
+    expect(formatTabMark('payments', 'prod')).toBe('[PROD payments]');
+    expect(formatTabMark('payments')).toBe('[payments]');
+  });
+
+  test('puts the mark before or after the page title', () => {
+    expect(formatTabTitle('EC2', '[PROD payments]')).toBe('[PROD payments] EC2');
+    expect(formatTabTitle('EC2', '[PROD payments]', 'suffix')).toBe('EC2 [PROD payments]');
+    expect(formatTabTitle('', '[PROD payments]')).toBe('[PROD payments]');
+  });
+
+  test('takes the first letters of up to two words', () => {
+    expect(getLabelInitials('payments-prod')).toBe('PP');
+    expect(getLabelInitials('Sandbox')).toBe('S');
+    expect(getLabelInitials('1234-5678-9012')).toBe('15');
+    expect(getLabelInitials('')).toBe('?');
+  });
+});
+
+describe('setTabIdentity / clearTabIdentity', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '<title>EC2 Management Console</title><link rel="icon" href="/favicon.ico">';
+  });
+
+  afterEach(() => {
+    clearTabIdentity();
+  });
+
+  test('marks the title with the account and environment', () => {
+    setTabIdentity({ label: 'payments', environment: 'prod' });
+
+    expect(document.title).toBe('[PROD payments] EC2 Management Console');
+  });
+
+  test('keeps the mark when the console changes the title', async () => {
+    setTabIdentity({ label: 'payments-prod', position: 'suffix' });
+
+    document.title = 'Instances | EC2';
+    await flushObservers();
+
+    expect(document.title).toBe('Instances | EC2 [payments-prod]');
+  });
+
+  test('switching accounts does not stack labels', () => {
+    setTabIdentity({ label: 'payments-prod' });
+    setTabIdentity({ label: 'payments-dev' });
+
+    expect(document.title).toBe('[payments-dev] EC2 Management Console');
+  });
+
+  test('clearing restores the page title', () => {
+    setTabIdentity({ label: 'payments-prod' });
+    clearTabIdentity();
+
+    expect(document.title).toBe('EC2 Management Console');
+  });
+});
+
+/**
+ * Builds a canvas context whose drawing calls can be inspected
+ * @returns {Object} Mock 2D context
+ */
+function createMockContext() {
+  const context = {};
+  for (const method of ['clearRect', 'drawImage', 'beginPath', 'arc', 'fill', 'stroke', 'fillText']) {
+    context[method] = jest.fn();
+  }
+  return context;
+}
+
+describe('drawFaviconBadge', () => {
+  test('draws the page icon with a letter badge in the corner', () => {
+    const context = createMockContext();
+    const image = {};
+
+    drawFaviconBadge(context, 32, { text: 'P', color: '#d13212' }, image);
+
+    expect(context.drawImage).toHaveBeenCalledWith(image, 0, 0, 32, 32);
+    expect(context.fillStyle).toBe('#ffffff');
+    expect(context.fillText).toHaveBeenCalledWith('P', expect.any(Number), expect.any(Number));
+    const [x, y, radius] = context.arc.mock.calls[0];
+    expect(x + radius).toBeCloseTo(32);
+    expect(y + radius).toBeCloseTo(32);
+  });
+
+  test('draws a plain dot without text', () => {
+    const context = createMockContext();
+
+    drawFaviconBadge(context, 32, { text: '', color: '#1d8102' }, {});
+
+    expect(context.fill).toHaveBeenCalled();
+    expect(context.fillText).not.toHaveBeenCalled();
+  });
+
+  test('fills the whole icon when the page icon could not be loaded', () => {
+    const context = createMockContext();
+
+    drawFaviconBadge(context, 32, { text: 'SB', color: '#0073bb' }, null);
+
+    expect(context.drawImage).not.toHaveBeenCalled();
+    expect(context.arc.mock.calls[0].slice(0, 3)).toEqual([16, 16, 16]);
+  });
+});
+
+describe('setFaviconBadge / clearFaviconBadge', () => {
+  let OriginalImage;
+  let imageLoads;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<link rel="icon" href="https://console.aws.amazon.com/favicon.ico">';
+    OriginalImage = global.Image;
+    imageLoads = true;
+    global.Image = class {
+      set src(url) {
+        this.url = url;
+        setTimeout(() => (imageLoads ? this.onload() : this.onerror()), 0);
+      }
+    };
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => createMockContext());
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+  });
+
+  afterEach(() => {
+    global.Image = OriginalImage;
+    jest.restoreAllMocks();
+    clearFaviconBadge();
+  });
+
+  test('finds the page icon and ignores the badged one', () => {
+    const badged = document.createElement('link');
+    badged.id = TAB_IDENTITY_CONFIG.faviconId;
+    badged.rel = 'icon';
+    badged.href = 'data:image/png;base64,BBBB';
+    document.head.appendChild(badged);
+
+    expect(getPageFaviconUrl()).toBe('https://console.aws.amazon.com/favicon.ico');
+  });
+
+  test('adds the badged icon last in the head and removes it again', async () => {
+    const link = await setFaviconBadge({ text: 'P', color: '#d13212' });
+
+    expect(link.href).toBe('data:image/png;base64,AAAA');
+    expect(document.head.lastElementChild).toBe(link);
+
+    clearFaviconBadge();
+    expect(document.getElementById(TAB_IDENTITY_CONFIG.faviconId)).toBeNull();
+  });
+
+  test('draws the badge alone when the page icon taints the canvas', async () => {
+    const drawImage = jest.fn();
+    HTMLCanvasElement.prototype.getContext.mockImplementation(() => ({ ...createMockContext(), drawImage }));
+    HTMLCanvasElement.prototype.toDataURL
+      .mockImplementationOnce(() => { throw new DOMException('The canvas has been tainted', 'SecurityError'); });
+
+    const link = await setFaviconBadge({ text: 'P', color: '#d13212' });
+
+    expect(link.href).toBe('data:image/png;base64,AAAA');
+    expect(drawImage).toHaveBeenCalledTimes(1);
+    expect(HTMLCanvasElement.prototype.toDataURL).toHaveBeenCalledTimes(2);
+  });
+
+  test('draws the badge alone when the page icon cannot be loaded', async () => {
+    imageLoads = false;
+
+    const link = await setFaviconBadge({ text: 'P', color: '#d13212' });
+
+    expect(link.href).toBe('data:image/png;base64,AAAA');
+  });
+
+  test('keeps the page icon when drawing fails for another reason', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    HTMLCanvasElement.prototype.toDataURL.mockImplementationOnce(() => { throw new TypeError('boom'); });
+
+    expect(await setFaviconBadge({ text: 'P', color: '#d13212' })).toBeNull();
+    expect(document.getElementById(TAB_IDENTITY_CONFIG.faviconId)).toBeNull();
+    consoleError.mockRestore();
+  });
+
+  test('an older request finishing late is dropped', async () => {
+    const first = setFaviconBadge({ text: 'P', color: '#d13212' });
+    const second = setFaviconBadge({ text: 'D', color: '#1d8102' });
+
+    expect(await first).toBeNull();
+    expect(await second).not.toBeNull();
+  });
+});
@@ -1,4 +1,13 @@
-const { isValidAccountId, isValidAccountName, sanitizeAccountName } = require('../../src/validation');
+const {
+  isValidAccountId,
+  isValidAccountName,
+  sanitizeAccountName,
+  isValidEnvironment,
+  isValidColor,
+  isValidEmail,
+  isValidAccountStatus,
+  validateStoredAccount
+} = require('../../src/validation');
 
 describe('isValidAccountId', () => {
   test('accepts valid 12-digit account ID', () => {
@@ -83,3 +92,130 @@ describe('sanitizeAccountName', () => {
     expect(sanitizeAccountName('Production')).toBe('Production');
   });
 });
+
+describe('isValidEnvironment', () => {
+  test('accepts presets and custom values', () => {
+    expect(isValidEnvironment('prod')).toBe(true);
+    expect(isValidEnvironment('pci-prod')).toBe(true);
+    expect(isValidEnvironment('Shared Services 2')).toBe(true);
+  });
+
+  test('rejects empty and overly long values', () => {
+    expect(isValidEnvironment('')).toBe(false);
+    expect(isValidEnvironment('   ')).toBe(false);
+    expect(isValidEnvironment('a'.repeat(33))).toBe(false);
+  });
+
+  test('rejects markup and punctuation', () => {
+    expect(isValidEnvironment('<b>prod</b>')).toBe(false);
+    expect(isValidEnvironment('-prod')).toBe(false);
+  });
+
+  test('rejects non-string input', () => {
+    expect(isValidEnvironment(null)).toBe(false);
+    expect(isValidEnvironment(1)).toBe(false);
+  });
+});
+
+describe('isValidColor', () => {
+  test('accepts #rrggbb colors', () => {
+    expect(isValidColor('#d13212')).toBe(true);
+    expect(isValidColor('#ABCDEF')).toBe(true);
+  });
+
+  test('rejects other color forms', () => {
+    expect(isValidColor('#fff')).toBe(false);
+    expect(isValidColor('red')).toBe(false);
+    expect(isValidColor('rgb(0,0,0)')).toBe(false);
+    expect(isValidColor(undefined)).toBe(false);
+  });
+});
+
+describe('isValidEmail', () => {
+  test('accepts plausible addresses', () => {
+    expect(isValidEmail('aws+prod@example.com')).toBe(true);
+    expect(isValidEmail(' root@example.com ')).toBe(true);
+  });
+
+  test('rejects malformed addresses', () => {
+    expect(isValidEmail('example.com')).toBe(false);
+    expect(isValidEmail('a b@example.com')).toBe(false);
+    expect(isValidEmail('')).toBe(false);
+    expect(isValidEmail(null)).toBe(false);
+  });
+});
+
+describe('isValidAccountStatus', () => {
+  test('accepts Organizations status values', () => {
+    expect(isValidAccountStatus('ACTIVE')).toBe(true);
+    expect(isValidAccountStatus('SUSPENDED')).toBe(true);
+    expect(isValidAccountStatus('PENDING_CLOSURE')).toBe(true);
+  });
+
+  test('rejects other values', () => {
+    expect(isValidAccountStatus('active')).toBe(false);
+    expect(isValidAccountStatus('')).toBe(false);
+    expect(isValidAccountStatus(undefined)).toBe(false);
+  });
+});
+
+describe('validateStoredAccount', () => {
+  const entry = {
+    accountId: '123456789012',
+    accountName: ' Production ',
+    alias: 'prod',
+    tags: { environment: 'prod', color: '#FF0000' },
+    email: 'prod@example.com',
+    status: 'ACTIVE',
+    lastUpdated: 1000,
+    sources: ['https://prod-org.awsapps.com', 'https://prod-org.awsapps.com'],
+    unexpected: 'dropped'
+  };
+
+  test('cleans a complete entry', () => {
+    expect(validateStoredAccount(entry)).toEqual({
+      valid: true,
+      account: {
+        accountId: '123456789012',
+        accountName: 'Production',
+        alias: 'prod',
+        tags: { environment: 'prod', color: '#ff0000' },
+        email: 'prod@example.com',
+        status: 'ACTIVE',
+        lastUpdated: 1000,
+        sources: ['https://prod-org.awsapps.com']
+      }
+    });
+  });
+
+  test('keeps the partition of GovCloud and China accounts', () => {
+    expect(validateStoredAccount({ ...entry, partition: 'aws-us-gov' }).account.partition).toBe('aws-us-gov');
+  });
+
+  test('keeps distinct role names and drops an empty role list', () => {
+    expect(validateStoredAccount({ ...entry, roles: ['AdministratorAccess', 'AdministratorAccess'] }).account.roles)
+      .toEqual(['AdministratorAccess']);
+    expect(validateStoredAccount({ ...entry, roles: [] }).account.roles).toBeUndefined();
+  });
+
+  test('keeps the read-only flag only when set', () => {
+    expect(validateStoredAccount({ ...entry, readOnly: true }).account.readOnly).toBe(true);
+    expect(validateStoredAccount({ ...entry, readOnly: false }).account.readOnly).toBeUndefined();
+  });
+
+  test('fills in defaults for a minimal entry', () => {
+    expect(validateStoredAccount({ accountId: '123456789012', accountName: 'Production' }).account)
+      .toEqual({ accountId: '123456789012', accountName: 'Production', lastUpdated: 0, sources: [] });
+  });
+
+  test('rejects entries with an invalid field', () => {
+    expect(validateStoredAccount({ ...entry, accountId: '1' }).reason).toBe('Invalid account ID');
+    expect(validateStoredAccount({ ...entry, alias: ' ' }).reason).toBe('Invalid alias');
+    expect(validateStoredAccount({ ...entry, tags: { environment: '' } }).reason).toBe('Invalid environment');
+    expect(validateStoredAccount({ ...entry, sources: 'portal' }).reason).toBe('Invalid sources');
+    expect(validateStoredAccount({ ...entry, partition: 'aws-iso' }).reason).toBe('Invalid partition');
+    expect(validateStoredAccount({ ...entry, roles: ['Admin Access'] }).reason).toBe('Invalid roles');
+    expect(validateStoredAccount({ ...entry, readOnly: 'yes' }).reason).toBe('Invalid read-only flag');
+    expect(validateStoredAccount(null).valid).toBe(false);
+  });
+});